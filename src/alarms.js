@@ -0,0 +1,89 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// A durable object has a single alarm, which is shared by all tasks that need one. The time at
+// which each task is due is kept in the worker storage and the alarm is set to the earliest.
+const ALARM_PREFIX = 'alarm_';
+
+/**
+ * Schedule a task to run when the alarm goes off. If the task was already scheduled, its time
+ * is replaced.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} task - The name of the task
+ * @param {number} time - When the task is due, in milliseconds since the epoch
+ */
+export const scheduleAlarm = async (storage, task, time) => {
+  await storage.put(`${ALARM_PREFIX}${task}`, time);
+  const alarm = await storage.getAlarm();
+  if (alarm === null || time < alarm) {
+    await storage.setAlarm(time);
+  }
+};
+
+/**
+ * Get when a task is due.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} task - The name of the task
+ * @returns {Promise<number | undefined>} - When the task is due, in milliseconds since the
+ * epoch, or undefined if it is not scheduled
+ */
+export const getAlarmTime = async (storage, task) => storage.get(`${ALARM_PREFIX}${task}`);
+
+/**
+ * Check whether a task is scheduled.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} task - The name of the task
+ * @returns {Promise<boolean>} - true if the task is scheduled
+ */
+export const isAlarmScheduled = async (storage, task) => {
+  const time = await getAlarmTime(storage, task);
+  return time !== undefined;
+};
+
+/**
+ * Cancel a scheduled task. The alarm itself is left alone, when it goes off there is nothing
+ * to do for the task.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} task - The name of the task
+ */
+export const cancelAlarm = async (storage, task) => {
+  await storage.delete([`${ALARM_PREFIX}${task}`]);
+};
+
+/**
+ * Called when the alarm goes off. Removes the tasks that are due from the schedule and sets the
+ * alarm for the next task that is scheduled, if any.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<string[]>} - The names of the tasks that are due
+ */
+export const takeDueAlarms = async (storage) => {
+  const now = Date.now();
+  const scheduled = await storage.list({ prefix: ALARM_PREFIX });
+
+  const due = [];
+  let next = null;
+  scheduled.forEach((time, key) => {
+    if (time <= now) {
+      due.push(key.substring(ALARM_PREFIX.length));
+    } else if (next === null || time < next) {
+      next = time;
+    }
+  });
+
+  if (due.length > 0) {
+    await storage.delete(due.map((task) => `${ALARM_PREFIX}${task}`));
+  }
+  if (next !== null) {
+    await storage.setAlarm(next);
+  }
+  return due;
+};
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// Bearer tokens are JWTs signed by the identity provider, like IMS. They are verified in the
+// worker with the public keys of the provider, which are fetched from the JWKS_URL of the
+// environment and cached. For local development and tests a key set can be configured directly
+// in JWKS instead. Without either, tokens are not verified in the worker.
+const JWKS_TTL = 60 * 60 * 1000;
+// When a token is signed with an unknown key, the keys are fetched again at most this often
+const JWKS_REFRESH_INTERVAL = 60 * 1000;
+
+// The permissions that da-admin granted a user for a document are cached for a short time, so
+// that new connections of the user don't need to ask da-admin again.
+const PERMISSION_TTL = 60 * 1000;
+const MAX_PERMISSIONS = 1000;
+
+const keySets = new Map();
+const permissions = new Map();
+
+/**
+ * Clear the cached keys and permissions.
+ */
+export function clearAuthCache() {
+  keySets.clear();
+  permissions.clear();
+}
+
+const base64urlToString = (value) => atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+const base64urlToBytes = (value) => Uint8Array.from(
+  base64urlToString(value),
+  (c) => c.charCodeAt(0),
+);
+// The header and payload of a JWT are UTF-8 JSON
+const base64urlToJson = (value) => JSON.parse(new TextDecoder().decode(base64urlToBytes(value)));
+
+/**
+ * Get the public keys to verify tokens with.
+ * @param {object} env - The worker environment
+ * @param {boolean} refresh - true to fetch the keys again if they were not fetched recently
+ * @returns {Promise<object[] | null>} - The keys as JWKs, or null if none are configured
+ */
+async function getKeys(env, refresh = false) {
+  if (env.JWKS) {
+    return (typeof env.JWKS === 'string' ? JSON.parse(env.JWKS) : env.JWKS).keys;
+  }
+  if (!env.JWKS_URL) {
+    return null;
+  }
+
+  const cached = keySets.get(env.JWKS_URL);
+  const now = Date.now();
+  if (cached && now - cached.fetched < (refresh ? JWKS_REFRESH_INTERVAL : JWKS_TTL)) {
+    return cached.keys;
+  }
+  const resp = await fetch(env.JWKS_URL);
+  if (!resp.ok) {
+    // eslint-disable-next-line no-console
+    console.log('Unable to fetch the token keys', resp.status);
+    return cached?.keys ?? null;
+  }
+  const { keys } = await resp.json();
+  keySets.set(env.JWKS_URL, { keys, fetched: now });
+  return keys;
+}
+
+// When the token expires, in milliseconds. IMS tokens have their creation time and lifetime
+// in milliseconds instead of the standard exp claim.
+const expiresAt = (claims) => {
+  if (claims.exp) {
+    return claims.exp * 1000;
+  }
+  if (claims.created_at && claims.expires_in) {
+    return Number(claims.created_at) + Number(claims.expires_in);
+  }
+  return null;
+};
+
+/**
+ * Decode the claims of the bearer token of an authorization header. The token is not verified,
+ * see verifyToken() for that.
+ * @param {string} auth - The authorization header
+ * @returns {object | null} - The claims, or null if the token is not a JWT
+ */
+export function decodeClaims(auth) {
+  const payload = auth?.split(' ').pop().split('.')[1];
+  if (!payload) {
+    return null;
+  }
+  try {
+    const claims = base64urlToJson(payload);
+    return typeof claims === 'object' ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Get when the bearer token of an authorization header expires. The token is only decoded, not
+ * verified, so this can only be used to check the token earlier.
+ * @param {string} auth - The authorization header
+ * @returns {number | null} - When the token expires, in milliseconds since the epoch, or null
+ * if unknown
+ */
+export function tokenExpiry(auth) {
+  const claims = decodeClaims(auth);
+  return claims ? expiresAt(claims) : null;
+}
+
+/**
+ * Verify the bearer token of an authorization header in the worker. The token must be an RS256
+ * JWT signed with one of the configured keys, which hasn't expired.
+ * @param {string} auth - The authorization header
+ * @param {object} env - The worker environment
+ * @returns {Promise<object | null>} - The claims of the token, or null if it can't be verified
+ */
+export async function verifyToken(auth, env) {
+  const parts = auth?.split(' ').pop().split('.');
+  if (parts?.length !== 3) {
+    return null;
+  }
+  try {
+    const [header, payload, signature] = parts;
+    const { alg, kid } = base64urlToJson(header);
+    if (alg !== 'RS256') {
+      return null;
+    }
+
+    let keys = await getKeys(env);
+    let jwk = keys?.find((key) => key.kid === kid);
+    if (keys && !jwk) {
+      keys = await getKeys(env, true);
+      jwk = keys?.find((key) => key.kid === kid);
+    }
+    if (!jwk) {
+      return null;
+    }
+
+    const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      algorithm,
+      key,
+      base64urlToBytes(signature),
+      new TextEncoder().encode(`${header}.${payload}`),
+    );
+    if (!valid) {
+      return null;
+    }
+
+    const claims = base64urlToJson(payload);
+    const expires = expiresAt(claims);
+    return expires !== null && expires > Date.now() ? claims : null;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.log('Unable to verify token', err.message);
+    return null;
+  }
+}
+
+/**
+ * Get the id of the user from the claims of a token, from its user_id, sub or email claim.
+ * @param {object} claims - The claims
+ * @returns {string | null} - The user id
+ */
+export const userId = (claims) => {
+  const id = claims?.user_id || claims?.sub || claims?.email;
+  return id ? String(id) : null;
+};
+
+/**
+ * Get the permission that da-admin recently granted a user for a document.
+ * @param {string} user - The user id
+ * @param {string} docName - The document name
+ * @returns {object | undefined} - The permission, with readOnly set if the user can only read
+ * the document, or undefined if it isn't cached
+ */
+export function getCachedPermission(user, docName) {
+  const key = `${user}\n${docName}`;
+  const permission = permissions.get(key);
+  if (permission && permission.expires <= Date.now()) {
+    permissions.delete(key);
+    return undefined;
+  }
+  return permission;
+}
+
+/**
+ * Cache the permission that da-admin granted a user for a document.
+ * @param {string} user - The user id
+ * @param {string} docName - The document name
+ * @param {boolean} readOnly - true if the user can only read the document
+ */
+export function cachePermission(user, docName, readOnly) {
+  const key = `${user}\n${docName}`;
+  permissions.delete(key);
+  permissions.set(key, { readOnly, expires: Date.now() + PERMISSION_TTL });
+  if (permissions.size > MAX_PERMISSIONS) {
+    // The oldest entry is first
+    permissions.delete(permissions.keys().next().value);
+  }
+}
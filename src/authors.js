@@ -0,0 +1,255 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import debounce from 'lodash/debounce.js';
+import { decodeClaims, userId } from './auth.js';
+
+// The attribution of the document is kept in the worker storage. It has the users by id, the
+// user of each Yjs client ID, a log of when the clients were first seen and the last edit of
+// each top-level block, keyed by the ID of the Yjs item of the block.
+const AUTHORS_KEY = 'authors';
+
+// The longest log that is kept, the oldest entries are dropped first
+const MAX_LOG_SIZE = 1000;
+// The largest value that the worker storage accepts
+export const MAX_STORAGE_VALUE_SIZE = 131072;
+
+const emptyAttribution = () => ({
+  users: {}, clients: {}, log: [], blocks: {},
+});
+
+/**
+ * Get the user from the claims of a bearer token. The token was already accepted by da-admin,
+ * it is only decoded here to attribute the changes of the connection.
+ * @param {string} auth - The authorization header
+ * @returns {object | null} - The id and name of the user, or null if unknown
+ */
+export const userFromAuth = (auth) => {
+  const claims = decodeClaims(auth);
+  const id = userId(claims);
+  if (!id) {
+    return null;
+  }
+  return { id: String(id), name: String(claims.email || claims.name || id) };
+};
+
+/**
+ * Read the attribution of the document from the worker storage.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<object>} - The attribution
+ */
+export const readAttribution = async (storage) => ({
+  ...emptyAttribution(),
+  ...(await storage.get(AUTHORS_KEY)),
+});
+
+// The ID of the Yjs item of a type, which doesn't change when the type is edited
+// eslint-disable-next-line no-underscore-dangle
+const itemId = (type) => type._item.id;
+
+// The key of a top-level block
+const blockKey = (block) => `${itemId(block).client}:${itemId(block).clock}`;
+
+/**
+ * Find the top-level block of the fragment that a type is in.
+ * @param {Y.AbstractType} type - The type
+ * @param {Y.XmlFragment} root - The prosemirror fragment
+ * @returns {Y.XmlElement | null} - The block, or null if the type is not in the fragment
+ */
+export const topLevelBlock = (type, root) => {
+  let block = type;
+  while (block.parent && block.parent !== root) {
+    block = block.parent;
+  }
+  return block.parent === root ? block : null;
+};
+
+// The text items of a node in document order, with their Yjs client ID and length
+const textItems = (node) => {
+  if (node.nodeName !== undefined) {
+    return node.toArray().flatMap(textItems);
+  }
+  const items = [];
+  // eslint-disable-next-line no-underscore-dangle
+  for (let item = node._start; item !== null; item = item.right) {
+    if (!item.deleted && item.countable) {
+      items.push({ client: item.id.client, length: item.length });
+    }
+  }
+  return items;
+};
+
+/**
+ * Drop what is no longer needed from the attribution before it is stored: the blocks that are
+ * not in the document anymore, the clients whose content was deleted and the users that are
+ * not referenced anymore. If the attribution is still too large for the worker storage, the
+ * oldest entries of the log are dropped.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @param {object} attribution - The attribution, which is changed
+ * @throws {Error} - If the attribution is too large even without a log
+ */
+const pruneAttribution = (ydoc, attribution) => {
+  const blocks = ydoc.getXmlFragment('prosemirror').toArray();
+  const keys = new Set(blocks.map(blockKey));
+  const clients = new Set(blocks.flatMap((block) => [
+    itemId(block).client,
+    ...textItems(block).map(({ client }) => client),
+  ]).map(String));
+  /* eslint-disable no-param-reassign */
+  Object.keys(attribution.blocks).filter((key) => !keys.has(key))
+    .forEach((key) => delete attribution.blocks[key]);
+  Object.keys(attribution.clients).filter((client) => !clients.has(client))
+    .forEach((client) => delete attribution.clients[client]);
+  const users = new Set([
+    ...Object.values(attribution.clients),
+    ...Object.values(attribution.blocks).map(({ user }) => user),
+    ...attribution.log.map(({ user }) => user),
+  ]);
+  Object.keys(attribution.users).filter((user) => !users.has(user))
+    .forEach((user) => delete attribution.users[user]);
+
+  const size = () => new TextEncoder().encode(JSON.stringify(attribution)).length;
+  while (attribution.log.length > 0 && size() > MAX_STORAGE_VALUE_SIZE) {
+    attribution.log.splice(0, Math.ceil(attribution.log.length / 2));
+  }
+  /* eslint-enable no-param-reassign */
+  if (size() > MAX_STORAGE_VALUE_SIZE) {
+    throw new Error('Attribution too big for worker storage');
+  }
+};
+
+/**
+ * Track who changes the document. Changes are made by the connections, which are the origin of
+ * their transactions. The Yjs client IDs that a connection writes with are attributed to its
+ * user, as is the last edit of the blocks it changes. The attribution is stored shortly after
+ * the changes, and is kept on the ydoc as attribution.
+ * @param {WSSharedDoc} ydoc - The shared ydoc
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ */
+export const bindAuthors = async (ydoc, storage) => {
+  let attribution;
+  try {
+    attribution = await readAttribution(storage);
+  } catch (err) {
+    // The changes are still attributed from now on
+    // eslint-disable-next-line no-console
+    console.log('Problem reading the attribution from worker storage', err.message);
+    attribution = emptyAttribution();
+  }
+  // eslint-disable-next-line no-param-reassign
+  ydoc.attribution = attribution;
+
+  const store = debounce(async () => {
+    if (ydoc.discarded) {
+      return;
+    }
+    try {
+      pruneAttribution(ydoc, attribution);
+      await storage.put(AUTHORS_KEY, attribution);
+    } catch (err) {
+      // The attribution is stored again with the next change
+      // eslint-disable-next-line no-console
+      console.error('Problem storing the attribution in worker storage', err);
+    }
+  }, 2000, { maxWait: 10000 });
+  // eslint-disable-next-line no-param-reassign
+  ydoc.storeAttribution = () => {
+    store();
+    return store.flush();
+  };
+
+  const root = ydoc.getXmlFragment('prosemirror');
+  ydoc.on('afterTransaction', (transaction) => {
+    const conn = transaction.origin;
+    if (!ydoc.conns?.has(conn)) {
+      return;
+    }
+    const user = userFromAuth(conn.auth);
+    if (!user) {
+      return;
+    }
+    const time = Date.now();
+    let changed = false;
+
+    transaction.afterState.forEach((clock, client) => {
+      if (clock > (transaction.beforeState.get(client) || 0)
+        && attribution.clients[client] !== user.id) {
+        attribution.clients[client] = user.id;
+        attribution.users[user.id] = { name: user.name };
+        attribution.log.push({ client, user: user.id, time });
+        changed = true;
+      }
+    });
+    if (attribution.log.length > MAX_LOG_SIZE) {
+      attribution.log.splice(0, attribution.log.length - MAX_LOG_SIZE);
+    }
+
+    const edited = (block) => {
+      attribution.blocks[blockKey(block)] = { user: user.id, time };
+      changed = true;
+    };
+    transaction.changedParentTypes.forEach((_, type) => {
+      if (type === root) {
+        // Blocks that were added in the transaction
+        const { beforeState } = transaction;
+        root.toArray()
+          .filter((block) => itemId(block).clock >= (beforeState.get(itemId(block).client) || 0))
+          .forEach(edited);
+      } else {
+        const block = topLevelBlock(type, root);
+        if (block) {
+          edited(block);
+        }
+      }
+    });
+    if (changed) {
+      store();
+    }
+  });
+};
+
+/**
+ * Get the authorship of the blocks of the document. For each top-level block this has the
+ * ranges of its text with the user that wrote them, and who edited the block last. The offsets
+ * of the ranges are in the text of the block. Content that was not written in a session, like
+ * the content loaded from da-admin, has no user.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @param {object} attribution - The attribution of the document
+ * @returns {object} - The users by id and the authorship of the blocks
+ */
+export const readAuthors = (ydoc, attribution) => {
+  const userOf = (client) => attribution.clients[client] ?? null;
+  const blocks = ydoc.getXmlFragment('prosemirror').toArray().map((block, index) => {
+    const ranges = [];
+    let offset = 0;
+    textItems(block).forEach(({ client, length }) => {
+      const user = userOf(client);
+      const last = ranges[ranges.length - 1];
+      if (last && last.user === user) {
+        last.end += length;
+      } else {
+        ranges.push({ start: offset, end: offset + length, user });
+      }
+      offset += length;
+    });
+
+    const lastEdit = attribution.blocks[blockKey(block)];
+    return {
+      index,
+      type: block.nodeName,
+      ranges,
+      createdBy: userOf(itemId(block).client),
+      lastEditedBy: lastEdit?.user ?? null,
+      lastEdited: lastEdit?.time ?? null,
+    };
+  });
+  return { users: attribution.users, blocks };
+};
@@ -0,0 +1,194 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as awarenessProtocol from 'y-protocols/awareness.js';
+import * as decoding from 'lib0/decoding.js';
+import * as encoding from 'lib0/encoding.js';
+import { userFromAuth } from './authors.js';
+
+// The awareness updates of the clients are checked before they are applied and broadcast to
+// the other clients. Updates that are too large or don't have the expected shape are rejected.
+const MAX_AWARENESS_UPDATE_SIZE = 16 * 1024;
+// The most awareness client IDs that a connection can control
+const MAX_AWARENESS_CLIENTS = 4;
+const MAX_NAME_LENGTH = 100;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([0-9.,%\s]+\)|[a-z]{3,20})$/i;
+
+// The updates of a connection are applied at most once per interval. The updates received in
+// between are combined and applied at the end of the interval.
+const AWARENESS_INTERVAL = 100;
+const throttles = new WeakMap();
+
+// An awareness update is a list of client IDs with the clock and JSON state of each
+const decodeUpdate = (update) => {
+  const decoder = decoding.createDecoder(update);
+  const length = decoding.readVarUint(decoder);
+  return Array.from({ length }, () => ({
+    clientID: decoding.readVarUint(decoder),
+    clock: decoding.readVarUint(decoder),
+    state: JSON.parse(decoding.readVarString(decoder)),
+  }));
+};
+
+const encodeUpdate = (entries) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, entries.length);
+  entries.forEach(({ clientID, clock, state }) => {
+    encoding.writeVarUint(encoder, clientID);
+    encoding.writeVarUint(encoder, clock);
+    encoding.writeVarString(encoder, JSON.stringify(state));
+  });
+  return encoding.toUint8Array(encoder);
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check that an awareness state has the shape the editor uses. The state is null when the
+ * client leaves. Otherwise the user has a name and color, and the cursor has the relative
+ * positions of its anchor and head.
+ * @param {object | null} state - The awareness state
+ * @returns {string | null} - A description of the problem, or null if the state is valid
+ */
+export const validateAwarenessState = (state) => {
+  if (state === null) {
+    return null;
+  }
+  if (!isObject(state)) {
+    return 'Awareness state must be an object';
+  }
+  const { user, cursor } = state;
+  if (user !== undefined) {
+    if (!isObject(user)) {
+      return 'Awareness user must be an object';
+    }
+    if (user.name !== undefined
+      && (typeof user.name !== 'string' || user.name.length > MAX_NAME_LENGTH)) {
+      return 'Invalid awareness user name';
+    }
+    if (user.color !== undefined
+      && (typeof user.color !== 'string' || !COLOR_PATTERN.test(user.color))) {
+      return 'Invalid awareness user color';
+    }
+  }
+  if (cursor !== undefined && cursor !== null
+    && (!isObject(cursor) || !isObject(cursor.anchor) || !isObject(cursor.head))) {
+    return 'Invalid awareness cursor';
+  }
+  return null;
+};
+
+/**
+ * Read an awareness update of a connection. The client IDs in the update must not be those of
+ * other connections, or of the server. The id and name of the user of the connection are
+ * stamped into the states, so that the other clients know who it is.
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {WebSocket} conn - The connection
+ * @param {Uint8Array} update - The awareness update
+ * @returns {object} - The entries of the update, or the problem if it is not valid
+ * @throws {Error} - If the update can't be decoded
+ */
+const readClientUpdate = (doc, conn, update) => {
+  if (update.length > MAX_AWARENESS_UPDATE_SIZE) {
+    return { problem: `Awareness update is larger than ${MAX_AWARENESS_UPDATE_SIZE} bytes` };
+  }
+  const entries = decodeUpdate(update);
+
+  // The client IDs of updates that are not applied yet are controlled by the connection too
+  const controlled = new Set([
+    ...(doc.conns.get(conn) ?? []),
+    ...(throttles.get(conn)?.pending.keys() ?? []),
+  ]);
+  const others = new Set();
+  doc.conns.forEach((ids, c) => c !== conn && ids.forEach((id) => others.add(id)));
+  const added = new Set(entries.map(({ clientID }) => clientID)
+    .filter((clientID) => !controlled.has(clientID)));
+  if (controlled.size + added.size > MAX_AWARENESS_CLIENTS) {
+    return { problem: `A connection can have at most ${MAX_AWARENESS_CLIENTS} awareness clients` };
+  }
+  const foreign = entries.find(({ clientID }) => others.has(clientID)
+    || clientID === doc.awareness.clientID);
+  if (foreign) {
+    return { problem: `Awareness client ${foreign.clientID} belongs to another connection` };
+  }
+  const problem = entries.map(({ state }) => validateAwarenessState(state)).find((p) => p);
+  if (problem) {
+    return { problem };
+  }
+
+  const user = userFromAuth(conn.auth);
+  return {
+    entries: entries.map((entry) => (user && entry.state !== null
+      ? {
+        ...entry,
+        state: {
+          ...entry.state,
+          user: { ...entry.state.user, id: user.id, name: user.name },
+        },
+      }
+      : entry)),
+  };
+};
+
+/**
+ * Apply an awareness update of a connection to the awareness of the shared ydoc, from where it
+ * is broadcast to all connections. The update is validated first and the user of the
+ * connection is stamped into its states. The updates of a connection are applied at most once
+ * per interval, the updates received in between are combined.
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {WebSocket} conn - The connection
+ * @param {Uint8Array} update - The awareness update
+ * @returns {string | null} - A description of the problem if the update was rejected, or null
+ * @throws {Error} - If the update can't be decoded
+ */
+export const applyClientAwareness = (doc, conn, update) => {
+  const { entries, problem } = readClientUpdate(doc, conn, update);
+  if (problem) {
+    return problem;
+  }
+
+  // The client IDs are recorded right away, so that they are kept with the connection even if
+  // the room is hibernated before the update is applied
+  entries.forEach(({ clientID, state }) => state !== null && doc.conns.get(conn)?.add(clientID));
+
+  let throttle = throttles.get(conn);
+  if (!throttle) {
+    throttle = { last: 0, pending: new Map(), timer: null };
+    throttles.set(conn, throttle);
+  }
+  entries.forEach((entry) => {
+    const pending = throttle.pending.get(entry.clientID);
+    if (!pending || pending.clock <= entry.clock) {
+      throttle.pending.set(entry.clientID, entry);
+    }
+  });
+
+  const flush = () => {
+    throttle.last = Date.now();
+    throttle.timer = null;
+    const pending = [...throttle.pending.values()];
+    throttle.pending.clear();
+    // The connection might have been closed in the meantime
+    if (doc.conns.has(conn) && pending.length > 0) {
+      awarenessProtocol.applyAwarenessUpdate(doc.awareness, encodeUpdate(pending), conn);
+      // A client that left before its state was applied is no longer controlled by the connection
+      pending.forEach(({ clientID }) => !doc.awareness.states.has(clientID)
+        && doc.conns.get(conn).delete(clientID));
+    }
+  };
+  const wait = throttle.last + AWARENESS_INTERVAL - Date.now();
+  if (wait <= 0 && !throttle.timer) {
+    flush();
+  } else if (!throttle.timer) {
+    throttle.timer = setTimeout(flush, wait);
+  }
+  return null;
+};
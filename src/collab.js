@@ -15,7 +15,63 @@ import {
 import { DOMParser, DOMSerializer } from 'prosemirror-model';
 import { fromHtml } from 'hast-util-from-html';
 import { matches } from 'hast-util-select';
-import { getSchema } from './schema.js';
+import * as propertyInformation from 'property-information';
+import { syncMetadataMap } from './metadata.js';
+import { getSchema, isSafeHref, splitSections } from './schema.js';
+
+// The elements that the schema supports, with the hast properties that it keeps. For null all
+// properties are supported, the images are converted separately.
+const SUPPORTED_ELEMENTS = {
+  p: ['id', 'dataId'],
+  h1: ['id', 'dataId'],
+  h2: ['id', 'dataId'],
+  h3: ['id', 'dataId'],
+  h4: ['id', 'dataId'],
+  h5: ['id', 'dataId'],
+  h6: ['id', 'dataId'],
+  blockquote: ['id', 'dataId'],
+  pre: ['id', 'dataId'],
+  ul: ['id', 'dataId'],
+  ol: ['id', 'dataId'],
+  li: [],
+  hr: [],
+  br: [],
+  a: ['href', 'title'],
+  em: [],
+  i: [],
+  strong: [],
+  b: [],
+  code: [],
+  sup: [],
+  sub: [],
+  u: [],
+  s: [],
+  del: [],
+  strike: [],
+  span: ['className'],
+  table: ['id', 'dataId'],
+  tbody: [],
+  thead: [],
+  tr: [],
+  td: ['colSpan', 'rowSpan'],
+  th: ['colSpan', 'rowSpan'],
+  img: null,
+  picture: null,
+  source: null,
+  'da-loc-added': null,
+  'da-loc-deleted': null,
+};
+
+// The elements that are left out of the document without losing anything if they have no
+// attributes, as their content is kept. The divs are the cells of blocks.
+const TRANSPARENT_ELEMENTS = ['div'];
+
+// The elements that hold text, the raw HTML nodes in these are inline
+const TEXT_ELEMENTS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'a', 'em', 'i', 'strong',
+  'b', 'code', 'sup', 'sub', 'u', 's', 'del', 'strike', 'span'];
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'source', 'track', 'wbr'];
 
 function convertSectionBreak(node) {
   if (!node) return;
@@ -32,6 +88,192 @@ function convertSectionBreak(node) {
   }
 }
 
+/**
+ * Convert the properties of a hast element back to HTML attributes. The attribute names are
+ * looked up in the HTML or SVG schema of property-information. Boolean attributes that are set
+ * have an empty value, those that are not set are left out.
+ * @param {object} properties - The hast properties
+ * @param {string} space - 'svg' for the properties of an element in an SVG image
+ * @returns {object} - The attributes
+ */
+export function hastAttributes(properties, space = 'html') {
+  const attrs = {};
+  Object.entries(properties || {}).forEach(([name, value]) => {
+    if (value === false || value === null || value === undefined) {
+      return;
+    }
+    const info = propertyInformation.find(propertyInformation[space], name);
+    if (value === true) {
+      attrs[info.attribute] = '';
+    } else {
+      attrs[info.attribute] = Array.isArray(value) ? value.join(info.commaSeparated ? ', ' : ' ') : String(value);
+    }
+  });
+  return attrs;
+}
+
+/**
+ * Get the attributes of a section from the properties of its hast element.
+ * @param {object} properties - The hast properties
+ * @returns {string | null} - The attributes as JSON, or null if the section has none
+ */
+function sectionAttributes(properties) {
+  const attrs = hastAttributes(properties);
+  return Object.keys(attrs).length > 0 ? JSON.stringify(attrs) : null;
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null
+  && !Array.isArray(value);
+// The sources of a picture are a list of the attributes of its <source> elements
+const isSourceList = (value) => Array.isArray(value) && value.every(isPlainObject);
+
+/**
+ * Parse a JSON value that is kept in an attribute of the ydoc. Clients can change these
+ * attributes, so values that can't be parsed or don't have the expected shape are dropped.
+ * @param {string} json - The JSON
+ * @param {function} isValid - Checks the shape of the parsed value
+ * @returns {*} - The value, or null if it is not valid
+ */
+function parseAttrJson(json, isValid) {
+  try {
+    const value = JSON.parse(json);
+    return isValid(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Serialize a hast node as HTML.
+ * @param {object} node - The hast node
+ * @param {boolean} raw - true for the text in a script or style element, which isn't escaped
+ * @param {string} parentSpace - 'svg' for the nodes in an SVG image
+ * @returns {string} - The HTML
+ */
+function hast2html(node, raw = false, parentSpace = 'html') {
+  if (node.type === 'text') {
+    return raw ? node.value : escapeHtml(node.value);
+  }
+  if (node.type === 'comment') {
+    return `<!--${node.value}-->`;
+  }
+  if (node.type !== 'element') {
+    return '';
+  }
+  const space = node.tagName === 'svg' ? 'svg' : parentSpace;
+  const attrs = Object.entries(hastAttributes(node.properties, space))
+    .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttr(value)}"`))
+    .join('');
+  if (VOID_ELEMENTS.includes(node.tagName)) {
+    return `<${node.tagName}${attrs}>`;
+  }
+  const content = node.tagName === 'template' ? node.content : node;
+  const children = (content?.children || [])
+    .map((child) => hast2html(child, ['script', 'style'].includes(node.tagName), space))
+    .join('');
+  return `<${node.tagName}${attrs}>${children}</${node.tagName}>`;
+}
+
+// Raw HTML is shown by the clients and published as is, so the elements and attributes in it
+// that could run scripts are dropped
+const UNSAFE_ELEMENTS = ['script'];
+const URL_PROPERTIES = ['href', 'src', 'action', 'formAction', 'poster', 'cite', 'data',
+  'xLinkHref'];
+
+const isSafeProperty = ([name, value]) => !/^on/i.test(name) && name !== 'srcDoc'
+  && !(URL_PROPERTIES.includes(name) && !isSafeHref(value));
+
+function sanitizeHast(node) {
+  if (node.type !== 'element' && node.type !== 'root') {
+    return node;
+  }
+  const sanitized = {
+    ...node,
+    children: (node.children || [])
+      .filter((child) => !UNSAFE_ELEMENTS.includes(child.tagName))
+      .map(sanitizeHast),
+  };
+  if (node.properties) {
+    sanitized.properties = Object.fromEntries(Object.entries(node.properties)
+      .filter(isSafeProperty));
+  }
+  if (node.content) {
+    sanitized.content = sanitizeHast(node.content);
+  }
+  return sanitized;
+}
+
+/**
+ * Sanitize the markup of a raw HTML node. The markup is parsed and serialized again without
+ * the script elements, the event handler attributes and the links that could run scripts.
+ * Clients can change the markup, so it is sanitized whenever it is shown.
+ * @param {string} html - The markup
+ * @returns {string} - The sanitized markup
+ */
+export function sanitizeRawHtml(html) {
+  const tree = sanitizeHast(fromHtml(String(html ?? ''), { fragment: true }));
+  return tree.children.map((child) => hast2html(child)).join('');
+}
+
+/**
+ * Check whether the schema supports an element with all its attributes. Elements that are not
+ * supported would be dropped when the document is parsed, with their content or attributes.
+ * @param {object} node - The hast element
+ * @returns {boolean} - true if the element is supported
+ */
+function isSupported(node) {
+  const { tagName, properties } = node;
+  if (TRANSPARENT_ELEMENTS.includes(tagName)) {
+    // Without attributes nothing is lost when these are left out
+    return Object.keys(properties || {}).length === 0;
+  }
+  const supported = SUPPORTED_ELEMENTS[tagName];
+  if (supported === undefined) {
+    return false;
+  }
+  if (tagName === 'span' && !node.children?.length) {
+    // A span is a mark, which only exists on text. Without text its class would be lost, like
+    // that of an icon.
+    return false;
+  }
+  return supported === null
+    || Object.keys(properties || {}).every((name) => supported.includes(name));
+}
+
+/**
+ * Replace the elements that the schema doesn't support with raw HTML nodes, which carry the
+ * original markup through the editor. In a textblock these are inline nodes, elsewhere block
+ * nodes. Scripts are dropped, see sanitizeRawHtml().
+ * @param {object} parent - The hast element to process the children of
+ * @param {boolean} block - true if the children of the parent are blocks
+ * @param {object[]} preserved - The report of the preserved markup, which is added to
+ */
+function preserveRawHtml(parent, block, preserved) {
+  // eslint-disable-next-line no-param-reassign
+  parent.children = parent.children.flatMap((child) => {
+    if (UNSAFE_ELEMENTS.includes(child.tagName)) {
+      return [];
+    }
+    if (child.type === 'comment' || (child.type === 'element' && !isSupported(child))) {
+      const html = hast2html(sanitizeHast(child));
+      preserved.push({ element: child.tagName || '#comment', html });
+      return {
+        type: 'element',
+        tagName: block ? 'da-raw-html' : 'da-raw-html-inline',
+        properties: { html },
+        children: [],
+      };
+    }
+    if (child.children) {
+      preserveRawHtml(child, block && !TEXT_ELEMENTS.includes(child.tagName), preserved);
+    }
+    return [child];
+  });
+}
+
 function divFilter(parent) {
   return parent.children.filter((child) => child.tagName === 'div');
 }
@@ -132,10 +374,38 @@ function fixImageLinks(node) {
   return node;
 }
 
-export function aem2doc(html, ydoc) {
-  const tree = fromHtml(html, { fragment: true });
-  const main = tree.children.find((child) => child.tagName === 'main');
+/**
+ * Recursively keeps the <source> elements of pictures on their img elements, so that they can
+ * be restored when the document is converted back to AEM HTML.
+ */
+function keepPictureSources(node) {
+  (node.children || []).forEach((child) => {
+    if (child.tagName === 'picture') {
+      const img = child.children.find((pictureChild) => pictureChild.tagName === 'img');
+      if (img) {
+        const sources = child.children
+          .filter((pictureChild) => pictureChild.tagName === 'source')
+          .map((source) => hastAttributes(source.properties));
+        img.properties.sources = JSON.stringify(sources);
+      }
+    } else {
+      keepPictureSources(child);
+    }
+  });
+}
+
+/**
+ * Convert the hast tree of an AEM <main> element into the ydoc. The top-level <div> elements
+ * of main are the sections, blocks are <div> elements with a class inside the sections.
+ * Markup that the schema doesn't support is kept as raw HTML, see preserveRawHtml().
+ * @param {object} main - The hast element of main
+ * @param {Y.Doc} ydoc - The ydoc to update
+ * @returns {object[]} - The report of the markup that was preserved as raw HTML, with the
+ * element name and the HTML of each
+ */
+export function main2doc(main, ydoc) {
   fixImageLinks(main);
+  keepPictureSources(main);
   (main.children || []).forEach((parent) => {
     if (parent.tagName === 'div' && parent.children) {
       const children = [];
@@ -167,18 +437,33 @@ export function aem2doc(html, ydoc) {
       }
     }
   });
+  const preserved = [];
+  (main.children || [])
+    .filter((section) => section.tagName === 'div' && section.children)
+    .forEach((section) => preserveRawHtml(section, true, preserved));
   convertSectionBreak(main);
   let count = 0;
+  // eslint-disable-next-line no-param-reassign
   main.children = main.children.flatMap((node) => {
     const result = [];
     if (node.tagName === 'div') {
+      // The attributes of the section are kept on the rule in front of it. The first section
+      // only gets a rule if it has attributes.
+      const sectionAttrs = sectionAttributes(node.properties);
+      const rule = {
+        type: 'element', tagName: 'hr', children: [], properties: { sectionAttrs },
+      };
       if (count > 0) {
         result.push({
           type: 'element', tagName: 'p', children: [], properties: {},
         });
+        result.push(rule);
         result.push({
-          type: 'element', tagName: 'hr', children: [], properties: {},
+          type: 'element', tagName: 'p', children: [], properties: {},
         });
+        result.push(...node.children);
+      } else if (sectionAttrs) {
+        result.push(rule);
         result.push({
           type: 'element', tagName: 'p', children: [], properties: {},
         });
@@ -238,8 +523,11 @@ export function aem2doc(html, ydoc) {
           if (name === 'colspan') {
             // when `tree` is created using `fromHtml` in hast-util-from-html
             // that then calls fromParse5 in hast-util-from-parse5
-            // which converts the `colspan` attribute to `colSpan`            // eslint-disable-next-line no-param-reassign
-            name = 'colSpan';
+            // which converts the `colspan` attribute to `colSpan`
+            return target.properties ? target.properties.colSpan : undefined;
+          }
+          if (name === 'class') {
+            return target.properties?.className?.join(' ');
           }
           return target.properties ? target.properties[name] : undefined;
         };
@@ -259,31 +547,65 @@ export function aem2doc(html, ydoc) {
 
   const json = DOMParser.fromSchema(getSchema()).parse(new Proxy(main, handler2));
   prosemirrorToYXmlFragment(json, ydoc.getXmlFragment('prosemirror'));
+  return preserved;
 }
 
-const getAttrString = (attributes) => Object.entries(attributes).map(([key, value]) => ` ${key}="${value}"`).join('');
+/**
+ * Convert AEM HTML into the ydoc. The key/value blocks, like the metadata, are also mirrored
+ * in the metadata map of the ydoc.
+ * @param {string} html - The AEM HTML
+ * @param {Y.Doc} ydoc - The ydoc to update
+ * @returns {object[]} - The report of the markup that was preserved as raw HTML
+ */
+export function aem2doc(html, ydoc) {
+  const tree = fromHtml(html, { fragment: true });
+  const main = tree.children.find((child) => child.tagName === 'main');
+  const preserved = main2doc(main, ydoc);
+  syncMetadataMap(ydoc);
+  return preserved;
+}
+
+// Attribute names can come from clients, through the JSON of the section attributes and picture
+// sources. Names that would break out of the tag and event handlers are dropped.
+const isSafeAttrName = (name) => /^[a-z][a-z0-9-]*$/i.test(name) && !/^on/i.test(name);
 
-function tohtml(node) {
+const getAttrString = (attributes) => Object.entries(attributes)
+  .filter(([key]) => isSafeAttrName(key))
+  .map(([key, value]) => ` ${key}="${escapeAttr(String(value))}"`).join('');
+
+export function tohtml(node) {
   const { attributes } = node;
-  let attrString = getAttrString(attributes);
+  if (node.type === 'da-raw-html' || node.type === 'da-raw-html-inline') {
+    return sanitizeRawHtml(attributes.html);
+  }
+  const attrString = getAttrString(attributes);
   if (!node.children || node.children.length === 0) {
     if (node.type === 'text') {
-      return node.text;
+      return escapeHtml(node.text);
     }
     if (node.type === 'p') return '';
-    if (node.type === 'img' && !attributes.loading) {
-      attrString += ' loading="lazy"';
-    }
     if (node.type === 'img') {
-      const { href, src, title } = attributes;
-      if (attributes.href) {
-        delete attributes.href;
-        delete attributes.title;
-        attrString = getAttrString(attributes);
-        const titleStr = title ? ` title="${title}"` : '';
-        return `<a href="${href}"${titleStr}><picture><source srcset="${src}"><source srcset="${src}" media="(min-width: 600px)"><img${attrString}></picture></a>`;
+      const {
+        href, src, title, sources, ...imgAttributes
+      } = attributes;
+      if (!href) {
+        if (title) {
+          imgAttributes.title = title;
+        }
+        if (!imgAttributes.loading) {
+          imgAttributes.loading = 'lazy';
+        }
       }
-      return `<picture><source srcset="${src}"><source srcset="${src}" media="(min-width: 600px)"><img${attrString}></picture>`;
+      // Images that were not in a picture, like new images, get the default sources
+      const sourceList = (sources && parseAttrJson(sources, isSourceList)) || [
+        { srcset: src },
+        { srcset: src, media: '(min-width: 600px)' },
+      ];
+      const picture = `<picture>${sourceList.map((source) => `<source${getAttrString(source)}>`).join('')}<img${getAttrString({ src, ...imgAttributes })}></picture>`;
+      if (href) {
+        return `<a${getAttrString(title ? { href, title } : { href })}>${picture}</a>`;
+      }
+      return picture;
     }
 
     const result = node.type !== 'br' ? `<${node.type}${attrString}></${node.type}>` : `<${node.type}>`;
@@ -308,7 +630,7 @@ function tohtml(node) {
   return `<${node.type}${attrString}>${children.map((child) => tohtml(child)).join('')}</${node.type}>`;
 }
 
-function toBlockCSSClassNames(text) {
+export function toBlockCSSClassNames(text) {
   if (!text) return [];
   const names = [];
   const idx = text.lastIndexOf('(');
@@ -344,7 +666,14 @@ export function tableToBlock(child, fragment) {
   });
 }
 
-export function doc2aem(ydoc) {
+/**
+ * Convert the ydoc into the sections of the AEM document. Each section is a 'div' node of the
+ * intermediate node structure, where nodes have a type (the tag name), attributes and children
+ * and text nodes have a text instead. Blocks are 'div' nodes with a class in the sections.
+ * @param {Y.Doc} ydoc - The ydoc to convert
+ * @returns {object[]} - The section nodes
+ */
+export function doc2sections(ydoc) {
   const schema = getSchema();
   const json = yDocToProsemirror(schema, ydoc);
 
@@ -400,18 +729,65 @@ export function doc2aem(ydoc) {
       fragment.children.push(child);
     }
   });
-  // convert sections
+  // convert sections, with the attributes kept on the rules that separate them
+  const rules = json.content.content.filter((node) => node.type.name === 'horizontal_rule');
+  const sectionAttrs = new Map(fragment.children
+    .filter((child) => child.type === 'hr')
+    .map((hr, i) => [hr, rules[i].attrs.sectionAttrs]));
+  const sections = splitSections(
+    fragment.children,
+    (child) => child.type === 'hr',
+    (hr) => sectionAttrs.get(hr),
+  );
+  return sections.map(({ rule, nodes }) => {
+    const attrs = rule && sectionAttrs.get(rule);
+    const attributes = (attrs && parseAttrJson(attrs, isPlainObject)) || {};
+    return { type: 'div', attributes, children: nodes };
+  });
+}
 
-  const section = { type: 'div', attributes: {}, children: [] };
-  const sections = [...fragment.children].reduce((acc, child) => {
-    if (child.type === 'hr') {
-      acc.push({ type: 'div', attributes: {}, children: [] });
+/**
+ * Find the ids that are used more than once in the document, for example because a heading
+ * was copied.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @returns {string[]} - The duplicate ids
+ */
+export function findDuplicateIds(ydoc) {
+  const ids = new Set();
+  const duplicates = new Set();
+  const find = (node) => {
+    const id = node.getAttribute?.('id');
+    if (id) {
+      if (ids.has(id)) {
+        duplicates.add(id);
+      }
+      ids.add(id);
+    }
+    if (node.toArray && node.nodeName !== undefined) {
+      node.toArray().forEach(find);
+    }
+  };
+  ydoc.getXmlFragment('prosemirror').toArray().forEach(find);
+  return [...duplicates];
+}
+
+// Only the first element with an id keeps it, so that the ids of the AEM HTML are unique
+function removeDuplicateIds(node, ids) {
+  if (node.attributes?.id) {
+    if (ids.has(node.attributes.id)) {
+      // eslint-disable-next-line no-param-reassign
+      delete node.attributes.id;
     } else {
-      acc[acc.length - 1].children.push(child);
+      ids.add(node.attributes.id);
     }
-    return acc;
-  }, [section]);
+  }
+  (node.children || []).forEach((child) => removeDuplicateIds(child, ids));
+}
 
+export function doc2aem(ydoc) {
+  const sections = doc2sections(ydoc);
+  const ids = new Set();
+  sections.forEach((section) => removeDuplicateIds(section, ids));
   const text = sections.map((s) => tohtml(s)).join('');
   return `
 <body>
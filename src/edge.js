@@ -9,7 +9,25 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import { invalidateFromAdmin, setupWSConnection } from './shareddoc.js';
+import { getAlarmTime, scheduleAlarm, takeDueAlarms } from './alarms.js';
+import {
+  cachePermission, getCachedPermission, tokenExpiry, userId, verifyToken,
+} from './auth.js';
+import { readAttribution, readAuthors } from './authors.js';
+import { doc2aem } from './collab.js';
+import { readMetadata, updateMetadata, validateMetadata } from './metadata.js';
+import { readPresence } from './presence.js';
+import { checkRoundTrip } from './roundtrip.js';
+import { SCHEMA_VERSION } from './schema.js';
+import {
+  cancelSaveRetry, closeConn, findYDoc, invalidateFromAdmin, loadYDoc, messageListener,
+  readAuthRefresh, restoreWSConnection, retrySave, SAVE_RETRY_ALARM, setupWSConnection,
+  UNAUTHORIZED_CLOSE_CODE,
+} from './shareddoc.js';
+import {
+  createScheduledVersion, createVersion, getVersion, listVersions, restoreVersion,
+  scheduleVersions, VERSIONS_ALARM,
+} from './versions.js';
 
 // This is the Edge Worker, built using Durable Objects!
 
@@ -19,14 +37,21 @@ import { invalidateFromAdmin, setupWSConnection } from './shareddoc.js';
 //
 // This worker, when deployed, must be configured with an environment binding:
 // * rooms: A Durable Object namespace binding mapped to the DocRoom class.
+//
+// Optionally the following environment variables can be set:
+// * ALLOWED_ORIGINS: The origins from which documents are accepted, see getAllowedOrigins().
+// * MIN_SCHEMA_VERSION: The oldest schema version that clients can connect with, see
+//   getMinSchemaVersion().
 
 // `handleErrors()` is a little utility function that can wrap an HTTP request handler in a
-// try/catch and return errors to the client. You probably wouldn't want to use this in production
-// code but it is convenient when debugging and iterating.
+// try/catch and return errors to the client. The details of the error, like the stack, are only
+// logged, the client gets a generic message.
 export async function handleErrors(request, func) {
   try {
     return await func();
   } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Uncaught exception', err);
     if (request.headers.get('Upgrade') === 'websocket') {
       // Annoyingly, if we return an HTTP error in response to a WebSocket request, Chrome devtools
       // won't show us the response body! So... let's send a WebSocket response with an error
@@ -34,27 +59,224 @@ export async function handleErrors(request, func) {
       // eslint-disable-next-line no-undef
       const pair = new WebSocketPair();
       pair[1].accept();
-      pair[1].send(JSON.stringify({ error: err.stack }));
+      pair[1].send(JSON.stringify({ error: 'Internal error' }));
       pair[1].close(1011, 'Uncaught exception during session setup');
       return new Response(null, { status: 101, webSocket: pair[0] });
     }
-    return new Response(err.stack, { status: 500 });
+    return new Response('Internal error', { status: 500 });
   }
 }
+
+// The origins from which documents are accepted if the environment doesn't configure any.
+const DEFAULT_ALLOWED_ORIGINS = [
+  'https://admin.da.live',
+  'https://stage-admin.da.live',
+  'http://localhost:*',
+];
+
+/**
+ * Get the list of origins from which documents are accepted. This is configured via the
+ * ALLOWED_ORIGINS environment variable, which is either an array or a comma-separated string
+ * of origin patterns. See isAllowedOrigin() for the pattern syntax.
+ * @param {object} env - The worker environment
+ * @returns {string[]} - The allowed origin patterns
+ */
+export function getAllowedOrigins(env) {
+  const configured = env?.ALLOWED_ORIGINS;
+  if (!configured) {
+    return DEFAULT_ALLOWED_ORIGINS;
+  }
+
+  const origins = Array.isArray(configured) ? configured : configured.split(',');
+  return origins.map((o) => o.trim()).filter((o) => o.length > 0);
+}
+
+/**
+ * Get the oldest schema version that clients can connect with. Clients pass the version of
+ * their schema in the schema parameter of the connection URL, clients that don't are on
+ * version 1. By default only clients with the current schema can connect, as clients with an
+ * older schema delete the content that they don't know. While the clients are updated, the
+ * MIN_SCHEMA_VERSION environment variable can let older clients connect.
+ * @param {object} env - The worker environment
+ * @returns {number} - The oldest schema version that is accepted
+ */
+export function getMinSchemaVersion(env) {
+  const configured = Number.parseInt(env?.MIN_SCHEMA_VERSION, 10);
+  return Number.isNaN(configured) ? SCHEMA_VERSION : configured;
+}
+
+/**
+ * Check whether the URL matches one of the allowed origin patterns. A pattern has the form
+ * scheme://host[:port] where the host may start with '*.' to match any subdomain and the port
+ * may be '*' to match any port. For example: https://*.da.live or http://localhost:*
+ * @param {URL} url - The document URL
+ * @param {string[]} allowedOrigins - The allowed origin patterns
+ * @returns {boolean} - true if the URL is from an allowed origin
+ */
+export function isAllowedOrigin(url, allowedOrigins) {
+  return allowedOrigins.some((pattern) => {
+    const match = pattern.match(/^(https?):\/\/(\*\.)?([^:/*]+)(?::(\d+|\*))?\/?$/);
+    if (!match) {
+      return false;
+    }
+
+    const [, scheme, wildcard, host, port] = match;
+    if (url.protocol !== `${scheme}:`) {
+      return false;
+    }
+    if (wildcard ? !url.hostname.endsWith(`.${host}`) : url.hostname !== host) {
+      return false;
+    }
+    return port === '*' || url.port === (port || '');
+  });
+}
+
+/**
+ * Safari sends the path of the document URL with only one slash after the scheme, which
+ * turns https://admin.da.live into https:/admin.da.live. Restore the missing slash.
+ * @param {string} docName - The document name as taken from the request path
+ * @returns {string} - The fixed up document name
+ */
+export function fixupDocName(docName) {
+  return docName.replace(/^(https?):\/(?!\/)/, '$1://');
+}
+
+/**
+ * Check whether a da-admin response only grants read access to the document. da-admin lists
+ * the actions permitted to the caller in the X-da-actions header, for example
+ * /mydoc.html=read,write. If the header is not present access is not restricted.
+ * @param {Headers} headers - The headers of the da-admin response
+ * @returns {boolean} - true if the document cannot be written
+ */
+export function isReadOnly(headers) {
+  const actions = headers.get('X-da-actions');
+  if (!actions) {
+    return false;
+  }
+  return !actions.substring(actions.indexOf('=') + 1).split(',')
+    .map((action) => action.trim())
+    .includes('write');
+}
+
+/**
+ * Check if the caller is authorized to access the document. Only da-admin knows the
+ * permissions, so da-admin is asked with a HEAD request. When the token of the caller can be
+ * verified in the worker, the permission that da-admin granted is cached for a short time, and
+ * reused for the next requests of the same user for the document.
+ * @param {string} docName - The document name
+ * @param {string} auth - The authorization header value
+ * @param {object} env - The worker environment
+ * @returns {Promise<object>} - The denied property holds an error response if the caller
+ * is not authorized. The readOnly property is true if the caller can only read the document.
+ */
+async function checkAuthorization(docName, auth, env) {
+  try {
+    const user = auth ? userId(await verifyToken(auth, env)) : null;
+    const cached = user && getCachedPermission(user, docName);
+    if (cached) {
+      return { readOnly: cached.readOnly };
+    }
+
+    const opts = { method: 'HEAD' };
+    if (auth) {
+      opts.headers = new Headers({ Authorization: auth });
+    }
+
+    const initialReq = await env.daadmin.fetch(docName, opts);
+    if (!initialReq.ok && initialReq.status !== 404) {
+      // eslint-disable-next-line no-console
+      console.log(`${initialReq.status} - ${initialReq.statusText}`);
+      return { denied: new Response('unable to get resource', { status: initialReq.status }) };
+    }
+    const readOnly = isReadOnly(initialReq.headers);
+    if (user) {
+      cachePermission(user, docName, readOnly);
+    }
+    return { readOnly };
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.log(err);
+    return { denied: new Response('unable to get resource', { status: 500 }) };
+  }
+}
+
+// True if da-admin no longer grants access, as opposed to da-admin not being available
+const isRevoked = (denied) => denied.status === 401 || denied.status === 403;
+
 // Admin APIs are forwarded to the durable object. They need the doc name as a query
-// parameter on the url.
-async function adminAPI(api, url, request, env) {
+// parameter on the url. Other query parameters, the request method and body are passed on.
+// APIs that expose document content need 'read' access and APIs that change it need 'write'
+// access, these are authorized with the Authorization header.
+async function adminAPI(api, url, request, env, access = undefined) {
   const doc = url.searchParams.get('doc');
   if (!doc) {
     return new Response('Bad', { status: 400 });
   }
 
+  if (access) {
+    const auth = request.headers.get('Authorization');
+    const { denied, readOnly } = await checkAuthorization(doc, auth, env);
+    if (denied) {
+      return denied;
+    }
+    if (access === 'write' && readOnly) {
+      return new Response('Forbidden', { status: 403 });
+    }
+  }
+
   // eslint-disable-next-line no-console
   console.log('Room name:', doc);
   const id = env.rooms.idFromName(doc);
   const roomObject = env.rooms.get(id);
 
-  return roomObject.fetch(new URL(`${doc}?api=${api}`));
+  const roomURL = new URL(`${doc}?api=${api}`);
+  url.searchParams.forEach((value, key) => {
+    if (key !== 'doc') {
+      roomURL.searchParams.append(key, value);
+    }
+  });
+  const opts = { method: request.method };
+  if (request.body) {
+    opts.body = request.body;
+  }
+  return roomObject.fetch(roomURL, opts);
+}
+
+// The most documents that the presence can be requested for at once
+const MAX_PRESENCE_DOCS = 100;
+
+// The presence API returns who is connected to a document. With a POST of a JSON object with
+// a list of docs, it returns the presence for each of these documents that the caller can read.
+async function presenceAPI(url, request, env) {
+  if (request.method !== 'POST') {
+    return adminAPI('presence', url, request, env, 'read');
+  }
+
+  let docs;
+  try {
+    ({ docs } = await request.json());
+  } catch (err) {
+    return new Response('Invalid JSON', { status: 400 });
+  }
+  if (!Array.isArray(docs) || docs.length > MAX_PRESENCE_DOCS
+    || docs.some((doc) => typeof doc !== 'string' || !/^https?:\/\//.test(doc))) {
+    return new Response(`Expected a list of at most ${MAX_PRESENCE_DOCS} docs`, { status: 400 });
+  }
+
+  const auth = request.headers.get('Authorization');
+  const presence = await Promise.all([...new Set(docs)].map(async (doc) => {
+    const { denied } = await checkAuthorization(doc, auth, env);
+    if (denied) {
+      return null;
+    }
+    const roomObject = env.rooms.get(env.rooms.idFromName(doc));
+    const resp = await roomObject.fetch(new URL(`${doc}?api=presence`), { method: 'GET' });
+    return resp.ok ? [doc, await resp.json()] : null;
+  }));
+  return new Response(JSON.stringify({ docs: Object.fromEntries(presence.filter((p) => p)) }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
 }
 
 // A simple Ping API to check that the worker responds.
@@ -69,11 +291,60 @@ function ping(env) {
   return new Response(json, { status: 200 });
 }
 
+// The largest HTML that the round trip can be checked for
+const MAX_ROUNDTRIP_SIZE = 1024 * 1024;
+
+// Check whether the HTML in the request body survives a round trip through the collaborative
+// editor. The caller must be able to read the document in the doc parameter, the HTML is
+// typically that of this document.
+async function roundTrip(url, request, env) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
+  const doc = url.searchParams.get('doc');
+  if (!doc) {
+    return new Response('Bad', { status: 400 });
+  }
+  const { denied } = await checkAuthorization(doc, request.headers.get('Authorization'), env);
+  if (denied) {
+    return denied;
+  }
+
+  const tooLarge = () => new Response(`HTML is larger than ${MAX_ROUNDTRIP_SIZE} bytes`, { status: 413 });
+  if (Number(request.headers.get('Content-Length')) > MAX_ROUNDTRIP_SIZE) {
+    return tooLarge();
+  }
+  const html = await request.text();
+  if (new TextEncoder().encode(html).length > MAX_ROUNDTRIP_SIZE) {
+    return tooLarge();
+  }
+  if (!html.trim()) {
+    return new Response('No HTML', { status: 400 });
+  }
+  return new Response(JSON.stringify(checkRoundTrip(html)), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
 /** Handle the API calls. Supported API calls right now are:
  * /ping - returns a simple JSON response to check that the worker is up.
  * /syncadmin - sync the doc state with the state of da-admin. Any internal state
  *              for this document in the worker is cleared.
  * /deleteadmin - the document is deleted and should be removed from the worker internal state.
+ * /render - returns the HTML of the current state of the document in the worker, including
+ *           changes that have not been saved to da-admin yet.
+ * /versions - GET lists the versions of the document, or with a version parameter returns the
+ *             HTML of that version. POST creates a new version, with an optional label parameter.
+ * /versions/restore - POST restores the version given in the version parameter.
+ * /metadata - GET returns the key/value blocks of the document, like the metadata, as JSON.
+ *             PATCH changes them in the open document, with a JSON body of the changes.
+ * /authors - returns who wrote the text of each block of the document and who edited it last.
+ * /presence - returns the users that are connected to the document. POST returns them for each
+ *             of the documents in the JSON body that the caller can read.
+ * /roundtrip - POST checks whether the HTML in the body is changed by a round trip through the
+ *              editor and returns the differences as JSON. The caller needs read access to the
+ *              document in the doc parameter.
  * @param {URL} url - The request url
  * @param {Request} request - The request object
  * @param {Object} env - The worker environment
@@ -86,6 +357,20 @@ async function handleApiCall(url, request, env) {
       return adminAPI('syncAdmin', url, request, env);
     case '/api/v1/deleteadmin':
       return adminAPI('deleteAdmin', url, request, env);
+    case '/api/v1/render':
+      return adminAPI('render', url, request, env, 'read');
+    case '/api/v1/versions':
+      return adminAPI('versions', url, request, env, request.method === 'GET' ? 'read' : 'write');
+    case '/api/v1/versions/restore':
+      return adminAPI('restoreVersion', url, request, env, 'write');
+    case '/api/v1/metadata':
+      return adminAPI('metadata', url, request, env, request.method === 'GET' ? 'read' : 'write');
+    case '/api/v1/authors':
+      return adminAPI('authors', url, request, env, 'read');
+    case '/api/v1/presence':
+      return presenceAPI(url, request, env);
+    case '/api/v1/roundtrip':
+      return roundTrip(url, request, env);
     default:
       return new Response('Bad Request', { status: 400 });
   }
@@ -94,7 +379,6 @@ async function handleApiCall(url, request, env) {
 // This is where the requests for the worker come in. They can either be pure API requests or
 // requests to set up a session with a Durable Object through a Yjs WebSocket.
 export async function handleApiRequest(request, env) {
-  let timingDaAdminHeadDuration;
   const timingStartTime = Date.now();
 
   // We've received a pure API request - handle it and return.
@@ -107,43 +391,40 @@ export async function handleApiRequest(request, env) {
 
   // We need to massage the path somewhat because on connections from localhost safari sends
   // a path with only one slash for some reason.
-  let docName = request.url.substring(new URL(request.url).origin.length + 1)
-    .replace('https:/admin.da.live', 'https://admin.da.live')
-    .replace('http:/localhost', 'http://localhost');
+  let docName = fixupDocName(request.url.substring(new URL(request.url).origin.length + 1));
 
   if (docName.indexOf('?') > 0) {
     docName = docName.substring(0, docName.indexOf('?'));
   }
 
-  // Make sure we only work with da.live or localhost
-  if (!docName.startsWith('https://admin.da.live/')
-      && !docName.startsWith('https://stage-admin.da.live/')
-      && !docName.startsWith('http://localhost:')) {
+  let docURL;
+  try {
+    docURL = new URL(docName);
+  } catch (err) {
     return new Response('unable to get resource', { status: 404 });
   }
 
-  // Check if we have the authorization for the room (this is a poor man's solution as right now
-  // only da-admin knows).
-  try {
-    const opts = { method: 'HEAD' };
-    if (auth) {
-      opts.headers = new Headers({ Authorization: auth });
-    }
-
-    const timingBeforeDaAdminHead = Date.now();
-    const initialReq = await env.daadmin.fetch(docName, opts);
-    timingDaAdminHeadDuration = Date.now() - timingBeforeDaAdminHead;
+  // Make sure we only work with documents from the configured origins
+  if (!isAllowedOrigin(docURL, getAllowedOrigins(env))) {
+    // eslint-disable-next-line no-console
+    console.log('Rejected document from origin:', docURL.origin);
+    return new Response('origin not allowed', { status: 403 });
+  }
 
-    if (!initialReq.ok && initialReq.status !== 404) {
-      // eslint-disable-next-line no-console
-      console.log(`${initialReq.status} - ${initialReq.statusText}`);
-      return new Response('unable to get resource', { status: initialReq.status });
-    }
-  } catch (err) {
+  const schemaVersion = Number.parseInt(url.searchParams.get('schema') ?? '1', 10);
+  if (!(schemaVersion >= getMinSchemaVersion(env))) {
     // eslint-disable-next-line no-console
-    console.log(err);
-    return new Response('unable to get resource', { status: 500 });
+    console.log('Rejected client with schema version:', url.searchParams.get('schema'));
+    return new Response('schema version not supported', { status: 426 });
+  }
+
+  // Check if we have the authorization for the room
+  const timingBeforeDaAdminHead = Date.now();
+  const { denied, readOnly } = await checkAuthorization(docName, auth, env);
+  if (denied) {
+    return denied;
   }
+  const timingDaAdminHeadDuration = Date.now() - timingBeforeDaAdminHead;
 
   const timingBeforeDocRoomGet = Date.now();
   // Each Durable Object has a 256-bit unique ID. Route the request based on the path.
@@ -161,12 +442,16 @@ export async function handleApiRequest(request, env) {
   // eslint-disable-next-line no-console
   console.log(`FETCHING: ${docName} ${id}`);
 
-  const headers = [...request.headers,
+  // The read-only header is set here only, it can't be passed by the client
+  const headers = [...request.headers]
+    .filter(([name]) => name.toLowerCase() !== 'x-collab-readonly');
+  headers.push(
     ['X-collab-room', docName],
+    ['X-collab-readonly', readOnly],
     ['X-timing-start', timingStartTime],
     ['X-timing-da-admin-head-duration', timingDaAdminHeadDuration],
     ['X-timing-docroom-get-duration', timingDocRoomGetDuration],
-  ];
+  );
   if (auth) {
     headers.push(['Authorization', auth]);
   }
@@ -191,8 +476,22 @@ export default {
 // Implements a Durable Object that coordinates an individual doc room. Participants
 // connect to the room using WebSockets, and the room broadcasts messages from each participant
 // to all others.
+const wsReadyStateOpen = 1;
+
+// While the document is being edited, the authorization of the connections is checked again at
+// this interval, and when their token expires.
+export const REAUTH_ALARM = 'reauth';
+const REAUTH_INTERVAL = 5 * 60 * 1000;
+
+// An alarm task that fails is run again after this delay
+const ALARM_RETRY_DELAY = 60 * 1000;
+
 export class DocRoom {
   constructor(controller, env) {
+    // `controller` is the durable object state, through which WebSockets are accepted with
+    // the hibernation API.
+    this.state = controller;
+
     // `controller.storage` provides access to our durable storage. It provides a simple KV
     // get()/put() interface.
     this.storage = controller.storage;
@@ -202,9 +501,9 @@ export class DocRoom {
   }
 
   // Handle the API calls. Supported API calls right now are to sync the doc with the da-admin
-  // state or to indicate that the document has been deleted from da-admin.
-  // The implementation of these two is currently identical.
-  // eslint-disable-next-line class-methods-use-this
+  // state or to indicate that the document has been deleted from da-admin, to render the
+  // current state of the document and to work with the versions of the document.
+  // The implementation of the first two is currently identical.
   async handleApiCall(url, request) {
     const qidx = request.url.indexOf('?');
     const baseURL = request.url.substring(0, qidx);
@@ -212,22 +511,419 @@ export class DocRoom {
     const api = url.searchParams.get('api');
     switch (api) {
       case 'deleteAdmin':
-        if (await invalidateFromAdmin(baseURL)) {
+        if (await this.invalidate(baseURL, true)) {
           return new Response(null, { status: 204 });
         } else {
           return new Response('Not Found', { status: 404 });
         }
       case 'syncAdmin':
-        if (await invalidateFromAdmin(baseURL)) {
+        if (await this.invalidate(baseURL)) {
           return new Response('OK', { status: 200 });
         } else {
           return new Response('Not Found', { status: 404 });
         }
+      case 'render':
+        return this.handleRender(baseURL);
+      case 'versions':
+        return this.handleVersions(baseURL, url, request);
+      case 'restoreVersion':
+        return this.handleRestoreVersion(baseURL, url, request);
+      case 'metadata':
+        return this.handleMetadata(baseURL, request);
+      case 'authors':
+        return this.handleAuthors(baseURL);
+      case 'presence':
+        return this.handlePresence(baseURL);
       default:
         return new Response('Invalid API', { status: 400 });
     }
   }
 
+  /**
+   * Invalidate the document by closing all its connections. This includes the connections of
+   * a hibernated room, for which the ydoc is no longer in memory. The changes of a deleted
+   * document are not saved anymore.
+   * @param {string} docName - The document name
+   * @param {boolean} deleted - true if the document was deleted in da-admin
+   * @returns {Promise<boolean>} - true if the document had connections
+   */
+  async invalidate(docName, deleted = false) {
+    const ydoc = findYDoc(docName);
+    const hibernated = this.openWebSockets().filter((ws) => !ydoc?.conns.has(ws));
+    hibernated.forEach((ws) => ws.close());
+
+    if (deleted) {
+      await cancelSaveRetry(this.storage);
+    }
+    const invalidated = await invalidateFromAdmin(docName, deleted);
+    return invalidated || hibernated.length > 0;
+  }
+
+  /**
+   * Render the current state of the document as HTML. If the document is open this is the
+   * shared ydoc, otherwise the state is restored from the worker storage.
+   * @param {string} docName - The document name
+   */
+  async handleRender(docName) {
+    const ydoc = await loadYDoc(docName, this.storage);
+    if (!ydoc) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response(doc2aem(ydoc), { status: 200, headers: { 'Content-Type': 'text/html' } });
+  }
+
+  /**
+   * List the versions of the document, get the HTML of a version or create a new version.
+   * @param {string} docName - The document name
+   * @param {URL} url - The API url, which can have a version or label parameter
+   * @param {Request} request - The API request
+   */
+  async handleVersions(docName, url, request) {
+    if (request.method === 'POST') {
+      const ydoc = await loadYDoc(docName, this.storage);
+      if (!ydoc) {
+        return new Response('Not Found', { status: 404 });
+      }
+      const version = await createVersion(ydoc, this.storage, url.searchParams.get('label'));
+      return new Response(JSON.stringify(version), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const id = url.searchParams.get('version');
+    if (!id) {
+      const versions = await listVersions(this.storage);
+      return new Response(JSON.stringify({ versions }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const ydoc = await loadYDoc(docName, this.storage);
+    const html = ydoc ? await getVersion(ydoc, this.storage, id) : null;
+    if (html === null) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response(html, { status: 200, headers: { 'Content-Type': 'text/html' } });
+  }
+
+  /**
+   * Restore a version of the document. This can only be done while the document is open,
+   * as the restored content needs to be sent to the clients and saved in da-admin.
+   * @param {string} docName - The document name
+   * @param {URL} url - The API url, which must have a version parameter
+   * @param {Request} request - The API request
+   */
+  async handleRestoreVersion(docName, url, request) {
+    if (request.method !== 'POST') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    const id = url.searchParams.get('version');
+    if (!id) {
+      return new Response('Bad', { status: 400 });
+    }
+
+    const ydoc = await this.restoreSessions(docName);
+    if (!ydoc || !await restoreVersion(ydoc, this.storage, id)) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response('OK', { status: 200 });
+  }
+
+  /**
+   * Get or change the key/value blocks of the document, see metadata.js. Changes can only be
+   * made while the document is open, so that they are merged with the edits of the clients.
+   * @param {string} docName - The document name
+   * @param {Request} request - The API request, a PATCH has the changes as JSON body
+   */
+  async handleMetadata(docName, request) {
+    let ydoc;
+    if (request.method === 'PATCH') {
+      let changes;
+      try {
+        changes = await request.json();
+      } catch (err) {
+        return new Response('Invalid JSON', { status: 400 });
+      }
+      const problem = validateMetadata(changes);
+      if (problem) {
+        return new Response(problem, { status: 400 });
+      }
+
+      ydoc = await this.restoreSessions(docName);
+      if (ydoc) {
+        updateMetadata(ydoc, changes);
+      }
+    } else if (request.method === 'GET') {
+      ydoc = await loadYDoc(docName, this.storage);
+    } else {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    if (!ydoc) {
+      return new Response('Not Found', { status: 404 });
+    }
+    return new Response(JSON.stringify(readMetadata(ydoc)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Get the authorship of the blocks of the document, see readAuthors().
+   * @param {string} docName - The document name
+   */
+  async handleAuthors(docName) {
+    const ydoc = await loadYDoc(docName, this.storage);
+    if (!ydoc) {
+      return new Response('Not Found', { status: 404 });
+    }
+    // An open document has the latest attribution, which might not be stored yet
+    const attribution = ydoc.attribution ?? await readAttribution(this.storage);
+    return new Response(JSON.stringify(readAuthors(ydoc, attribution)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Get the users that are connected to the document, see readPresence(). This doesn't wake
+   * up the sessions of a hibernated room, the presence is then known from the attachments of
+   * the WebSockets only.
+   * @param {string} docName - The document name
+   * @returns {Promise<Response>} - The number of connections and their users as JSON
+   */
+  async handlePresence(docName) {
+    const connections = this.openWebSockets().map((ws) => ws.deserializeAttachment());
+    const users = readPresence(connections, findYDoc(docName));
+    return new Response(JSON.stringify({ count: users.length, users }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  // The system calls alarm() when the alarm goes off. It is shared by the tasks scheduled
+  // in alarms.js, which are run when they are due. A task that fails doesn't keep the others
+  // from running, it is scheduled to run again.
+  async alarm() {
+    const due = await takeDueAlarms(this.storage);
+    const tasks = [
+      [SAVE_RETRY_ALARM, () => this.retrySave()],
+      [VERSIONS_ALARM, () => this.takeVersion()],
+      [REAUTH_ALARM, () => this.reauthorize()],
+    ].filter(([task]) => due.includes(task));
+    for (let i = 0; i < tasks.length; i += 1) {
+      const [task, run] = tasks[i];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await run();
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(`Alarm task ${task} failed`, err);
+        // eslint-disable-next-line no-await-in-loop
+        await scheduleAlarm(this.storage, task, Date.now() + ALARM_RETRY_DELAY);
+      }
+    }
+  }
+
+  // Retry a failed save in da-admin. This also works when nobody is editing the document
+  // anymore, it is then saved from the worker storage.
+  async retrySave() {
+    const docName = await this.storage.get('doc');
+    if (!docName) {
+      await cancelSaveRetry(this.storage);
+      return;
+    }
+    const ydoc = await this.restoreSessions(docName);
+    await retrySave(docName, this.storage, this.env.daadmin, ydoc);
+  }
+
+  // While the document is being edited a version is taken at every interval.
+  async takeVersion() {
+    const [ws] = this.openWebSockets();
+    if (!ws) {
+      // Nobody is editing the document, the next session will schedule the versions again.
+      return;
+    }
+
+    // A hibernated room isn't rebuilt for this, its ydoc didn't change since it was in memory.
+    // Its changes until then are taken in a version once it is rebuilt.
+    const ydoc = findYDoc(ws.deserializeAttachment().docName);
+    if (ydoc) {
+      await createScheduledVersion(ydoc, this.storage);
+    }
+    await scheduleVersions(this.storage, true);
+  }
+
+  // Check the authorization of all connections again, connections that are no longer
+  // authorized are closed.
+  async reauthorize() {
+    const sockets = this.openWebSockets();
+    if (sockets.length === 0) {
+      // Nobody is editing the document, the next session will schedule the check again.
+      return;
+    }
+
+    // A hibernated room isn't rebuilt for this, the connections are checked with their
+    // attachments only
+    const { docName } = sockets[0].deserializeAttachment();
+    const ydoc = findYDoc(docName);
+    await Promise.all(sockets.map((ws) => this
+      .authorizeConnection(ws, ydoc, docName, ws.deserializeAttachment().auth)));
+    await this.scheduleReauthorization();
+  }
+
+  /**
+   * Check the authorization of a connection with da-admin and use it for the connection. If
+   * the token has expired, or da-admin no longer grants access, the connection is closed with
+   * the UNAUTHORIZED_CLOSE_CODE. If da-admin is not available, the connection keeps its
+   * current authorization.
+   * @param {WebSocket} ws - The WebSocket connection
+   * @param {WSSharedDoc | undefined} ydoc - The shared ydoc, if restored
+   * @param {string} docName - The document name
+   * @param {string} auth - The authorization header value to check
+   * @returns {Promise<boolean>} - true if the connection now uses the authorization
+   */
+  async authorizeConnection(ws, ydoc, docName, auth) {
+    const expiry = tokenExpiry(auth);
+    const expired = expiry !== null && expiry <= Date.now();
+    const { denied, readOnly } = expired
+      ? { denied: new Response('token expired', { status: 401 }) }
+      : await checkAuthorization(docName, auth, this.env);
+    if (denied) {
+      if (isRevoked(denied)) {
+        // eslint-disable-next-line no-console
+        console.log('Closing connection that is no longer authorized', docName, denied.status);
+        if (ydoc) {
+          await closeConn(ydoc, ws, UNAUTHORIZED_CLOSE_CODE, 'Unauthorized');
+        } else {
+          ws.close(UNAUTHORIZED_CLOSE_CODE, 'Unauthorized');
+        }
+      }
+      return false;
+    }
+
+    // eslint-disable-next-line no-param-reassign
+    ws.auth = auth;
+    // eslint-disable-next-line no-param-reassign
+    ws.readOnly = readOnly;
+    ws.serializeAttachment({ ...ws.deserializeAttachment(), auth, readOnly });
+    return true;
+  }
+
+  // Schedule the next check of the authorization of the connections. This is at the interval,
+  // or earlier when the token of a connection expires before then. By default the
+  // authorizations of the open connections are used.
+  async scheduleReauthorization(auths = this.openWebSockets()
+    .map((ws) => ws.deserializeAttachment().auth)) {
+    if (auths.length === 0) {
+      return;
+    }
+    const now = Date.now();
+    const expiries = auths.map(tokenExpiry).filter((expiry) => expiry !== null && expiry > now);
+    const time = Math.min(now + REAUTH_INTERVAL, ...expiries);
+    const scheduled = await getAlarmTime(this.storage, REAUTH_ALARM);
+    if (scheduled === undefined || time < scheduled) {
+      await scheduleAlarm(this.storage, REAUTH_ALARM, time);
+    }
+  }
+
+  // The WebSockets of the room that are open. These are also available after the room
+  // was hibernated.
+  openWebSockets() {
+    return this.state.getWebSockets().filter((ws) => ws.readyState === wsReadyStateOpen);
+  }
+
+  /**
+   * Get the shared ydoc of the document while it has open connections. After hibernation the
+   * ydoc is no longer in memory. It is then rebuilt and the WebSockets of the room are attached
+   * to it again, using the auth and awareness client IDs kept in their attachments.
+   * @param {string} docName - The document name
+   * @returns {Promise<WSSharedDoc | undefined>} - The shared ydoc, or undefined if there are
+   * no open connections
+   */
+  async restoreSessions(docName) {
+    let ydoc = findYDoc(docName);
+    const sockets = this.openWebSockets();
+    for (let i = 0; i < sockets.length; i += 1) {
+      const ws = sockets[i];
+      if (!ydoc?.conns.has(ws)) {
+        const { auth, readOnly, awarenessIds } = ws.deserializeAttachment();
+        ws.auth = auth;
+        ws.readOnly = readOnly;
+        // The first connection rebuilds the ydoc, so don't attach them concurrently
+        // eslint-disable-next-line no-await-in-loop
+        ydoc = await restoreWSConnection(ws, docName, this.env, this.storage, awarenessIds);
+      }
+    }
+    // Another message might have started restoring the ydoc
+    await ydoc?.promise;
+    return ydoc;
+  }
+
+  // The system calls webSocketMessage() for every message received on a WebSocket accepted
+  // with acceptWebSocket(), waking up the room if it was hibernated.
+  async webSocketMessage(ws, message) {
+    if (typeof message === 'string') {
+      // The Yjs protocol only uses binary messages
+      return;
+    }
+
+    const { docName } = ws.deserializeAttachment();
+    const ydoc = await this.restoreSessions(docName);
+    if (!ydoc) {
+      return;
+    }
+
+    const data = new Uint8Array(message);
+    // A client that refreshed its token sends the new authorization, which is checked before
+    // the connection uses it
+    const auth = readAuthRefresh(data);
+    if (auth !== null) {
+      if (await this.authorizeConnection(ws, ydoc, docName, auth)) {
+        await this.scheduleReauthorization();
+      }
+      return;
+    }
+    messageListener(ws, ydoc, data);
+    DocRoom.updateAttachment(ws, ydoc);
+  }
+
+  // The system calls webSocketClose() when the client closed the WebSocket.
+  // eslint-disable-next-line class-methods-use-this
+  async webSocketClose(ws) {
+    const { docName } = ws.deserializeAttachment();
+    const ydoc = findYDoc(docName);
+    if (ydoc) {
+      // When the last connection closes the pending changes are saved, which the room has to
+      // stay up for
+      await closeConn(ydoc, ws);
+    } else {
+      ws.close();
+    }
+  }
+
+  async webSocketError(ws, error) {
+    // eslint-disable-next-line no-console
+    console.log('WebSocket error', error);
+    await this.webSocketClose(ws);
+  }
+
+  // Keep the awareness client IDs controlled by the connection in its attachment, so that
+  // their awareness state can still be removed when it closes after the room was hibernated.
+  static updateAttachment(ws, ydoc) {
+    const controlledIds = ydoc.conns.get(ws);
+    if (!controlledIds) {
+      return;
+    }
+    const attachment = ws.deserializeAttachment();
+    if (attachment.awarenessIds.length !== controlledIds.size
+      || attachment.awarenessIds.some((id) => !controlledIds.has(id))) {
+      ws.serializeAttachment({ ...attachment, awarenessIds: Array.from(controlledIds) });
+    }
+  }
+
   // Isolated for testing
   static newWebSocketPair() {
     // eslint-disable-next-line no-undef
@@ -255,6 +951,7 @@ export class DocRoom {
     }
     const auth = request.headers.get('Authorization');
     const docName = request.headers.get('X-collab-room');
+    const readOnly = request.headers.get('X-collab-readonly') === 'true';
 
     if (!docName) {
       return new Response('expected docName', { status: 400 });
@@ -269,7 +966,9 @@ export class DocRoom {
     const pair = DocRoom.newWebSocketPair();
 
     // We're going to take pair[1] as our end, and return pair[0] to the client.
-    const timingData = await this.handleSession(pair[1], docName, auth);
+    const timingData = await this.handleSession(pair[1], docName, auth, readOnly);
+    await scheduleVersions(this.storage);
+    await this.scheduleReauthorization([auth]);
     const timingSetupWebSocketDuration = Date.now() - timingBeforeSetupWebsocket;
 
     const reqHeaders = request.headers;
@@ -290,16 +989,29 @@ export class DocRoom {
    * @param {WebSocket} webSocket - The WebSocket connection to the client
    * @param {string} docName - The document name
    * @param {string} auth - The authorization header
+   * @param {boolean} readOnly - true if the client can't change the document
    */
-  async handleSession(webSocket, docName, auth) {
-    // Accept our end of the WebSocket. This tells the runtime that we'll be terminating the
-    // WebSocket in JavaScript, not sending it elsewhere.
-    webSocket.accept();
+  async handleSession(webSocket, docName, auth, readOnly = false) {
+    // If the room was hibernated, the connections that are still open are attached to the
+    // ydoc first. Otherwise they would miss the changes of the new connection.
+    await this.restoreSessions(docName);
+
+    // Accept our end of the WebSocket with the hibernation API. This tells the runtime that
+    // we'll be terminating the WebSocket in JavaScript, and it delivers the events to
+    // webSocketMessage() and webSocketClose(). While the connections are idle the room can be
+    // evicted from memory, so what is needed to restore the session is kept in the attachment.
+    this.state.acceptWebSocket(webSocket);
+    webSocket.serializeAttachment({
+      docName, auth, readOnly, awarenessIds: [], connected: Date.now(),
+    });
     // eslint-disable-next-line no-param-reassign
     webSocket.auth = auth;
+    // eslint-disable-next-line no-param-reassign
+    webSocket.readOnly = readOnly;
     // eslint-disable-next-line no-console
     console.log(`setupWSConnection ${docName} with auth(${webSocket.auth
-      ? webSocket.auth.substring(0, webSocket.auth.indexOf(' ')) : 'none'})`);
+      ? webSocket.auth.substring(0, webSocket.auth.indexOf(' ')) : 'none'})${
+      readOnly ? ' read-only' : ''}`);
     const timingData = await setupWSConnection(webSocket, docName, this.env, this.storage);
     return timingData;
   }
@@ -0,0 +1,228 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { micromark } from 'micromark';
+import { gfmTable, gfmTableHtml } from 'micromark-extension-gfm-table';
+import { fromHtml } from 'hast-util-from-html';
+import { selectAll } from 'hast-util-select';
+import {
+  doc2sections, main2doc, sanitizeRawHtml, tohtml, toBlockCSSClassNames,
+} from './collab.js';
+import { syncMetadataMap } from './metadata.js';
+
+const element = (tagName, properties, children) => ({
+  type: 'element', tagName, properties, children,
+});
+
+function textContent(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Convert a table parsed from markdown into an AEM block. The first row of the table holds
+ * the block name, as in Franklin markdown. Tables without a block name are left alone.
+ */
+function tableToDiv(table) {
+  const cells = (row) => row.children.filter((c) => c.tagName === 'th' || c.tagName === 'td');
+  const [nameRow, ...rows] = selectAll('tr', table);
+  const className = toBlockCSSClassNames(textContent(cells(nameRow)[0]));
+  if (className.length === 0) {
+    return table;
+  }
+
+  return element('div', { className }, rows.map((row) => {
+    // Markdown tables have the same number of cells in each row, trailing empty cells are
+    // dropped so that the last cell spans the remaining columns.
+    const rowCells = cells(row);
+    while (rowCells.length > 1 && rowCells[rowCells.length - 1].children.length === 0) {
+      rowCells.pop();
+    }
+    return element('div', {}, rowCells.map((cell) => element('div', {}, cell.children)));
+  }));
+}
+
+/**
+ * Convert Franklin markdown into the ydoc. Sections are separated by '---' and blocks are
+ * tables with the block name in the first row. The key/value blocks, like the metadata, are
+ * also mirrored in the metadata map of the ydoc.
+ * @param {string} markdown - The markdown
+ * @param {Y.Doc} ydoc - The ydoc to update
+ */
+export function md2doc(markdown, ydoc) {
+  const html = micromark(markdown, {
+    allowDangerousHtml: true,
+    extensions: [gfmTable()],
+    htmlExtensions: [gfmTableHtml()],
+  });
+  const tree = fromHtml(html, { fragment: true });
+
+  let section = element('div', {}, []);
+  const main = element('main', {}, [section]);
+  tree.children.forEach((node) => {
+    if (node.type === 'text' && node.value.trim() === '') {
+      return;
+    }
+    if (node.tagName === 'hr') {
+      section = element('div', {}, []);
+      main.children.push(section);
+    } else if (node.tagName === 'table') {
+      section.children.push(tableToDiv(node));
+    } else {
+      section.children.push(node);
+    }
+  });
+  main2doc(main, ydoc);
+  syncMetadataMap(ydoc);
+}
+
+const escapeText = (text) => text.replace(/[\\`*_[\]<>&]/g, '\\$&');
+
+// Escape the characters that would end a <destination> or "title" of a link or image early
+const escapeDestination = (url = '') => `<${url.replace(/[\\<>]/g, '\\$&').replace(/\n/g, '%0A')}>`;
+const escapeTitle = (title) => (title ? ` "${title.replace(/[\\"]/g, '\\$&')}"` : '');
+
+// Escape characters at the start of a paragraph that would otherwise start another construct
+const escapeLineStart = (md) => md
+  .replace(/^[#>+=-]/, '\\$&')
+  .replace(/^(\d+)([.)])/, '$1\\$2');
+
+function inlineToMd(nodes) {
+  // eslint-disable-next-line no-use-before-define
+  return nodes.map((node) => inlineNodeToMd(node)).join('');
+}
+
+function inlineNodeToMd(node) {
+  const { attributes } = node;
+  switch (node.type) {
+    case 'text':
+      return escapeText(node.text);
+    case 'strong':
+      return `**${inlineToMd(node.children)}**`;
+    case 'em':
+      return `*${inlineToMd(node.children)}*`;
+    case 'code': {
+      const code = node.children.map((c) => c.text).join('');
+      const ticks = code.includes('`') ? '``' : '`';
+      return `${ticks}${code}${ticks}`;
+    }
+    case 'a': {
+      const { href, title } = attributes;
+      return `[${inlineToMd(node.children)}](${escapeDestination(href)}${escapeTitle(title)})`;
+    }
+    case 'img': {
+      const {
+        src, alt, href, title,
+      } = attributes;
+      const img = `![${escapeText(alt || '')}](${escapeDestination(src)}${href ? '' : escapeTitle(title)})`;
+      return href ? `[${img}](${escapeDestination(href)}${escapeTitle(title)})` : img;
+    }
+    case 'br':
+      return '<br>';
+    case 'da-raw-html-inline':
+      // Markup that the editor doesn't support is kept as HTML, which markdown allows
+      return sanitizeRawHtml(attributes.html);
+    case 'sup':
+    case 'sub':
+    case 'u':
+    case 's':
+    case 'del':
+    case 'strike':
+      return `<${node.type}>${inlineToMd(node.children)}</${node.type}>`;
+    default:
+      return inlineToMd(node.children);
+  }
+}
+
+const indent = (md, prefix) => md.split('\n')
+  .map((line, idx) => (idx > 0 && line !== '' ? `${prefix}${line}` : line))
+  .join('\n');
+
+function listToMd(list) {
+  return list.children.map((li, idx) => {
+    const marker = list.type === 'ol' ? `${idx + 1}. ` : '- ';
+    const content = li.children
+      // eslint-disable-next-line no-use-before-define
+      .map((child, i) => (i > 0 && child.type !== 'ul' && child.type !== 'ol' ? '\n' : '') + blockToMd(child))
+      .join('\n');
+    return `${marker}${indent(content, ' '.repeat(marker.length))}`;
+  }).join('\n');
+}
+
+// A cell with a single paragraph is written as markdown, anything else can't be expressed
+// inside a markdown table and is written as HTML instead.
+function cellToMd(cell) {
+  const blocks = cell.children.filter((c) => c.type !== 'p' || c.children.length > 0);
+  if (blocks.length === 0) return '';
+  if (blocks.length === 1 && blocks[0].type === 'p') {
+    return inlineToMd(blocks[0].children).replace(/\|/g, '\\|');
+  }
+  return blocks.map((b) => tohtml(b)).join('')
+    .replace(/\|/g, '&#124;')
+    .replace(/\n/g, '&#10;');
+}
+
+function blockTableToMd(block) {
+  const [name, ...variants] = block.attributes.class.split(' ');
+  const blockName = variants.length > 0 ? `${name} (${variants.join(', ')})` : name;
+  const rows = block.children.map((row) => row.children.map(cellToMd));
+  const cols = Math.max(1, ...rows.map((row) => row.length));
+  const line = (cells) => `| ${[...cells, ...Array(cols - cells.length).fill('')].join(' | ')} |`;
+  return [line([blockName]), line(Array(cols).fill('---')), ...rows.map(line)].join('\n');
+}
+
+function blocksToMd(nodes) {
+  // eslint-disable-next-line no-use-before-define
+  return nodes.map((node) => blockToMd(node)).filter((md) => md !== '').join('\n\n');
+}
+
+function blockToMd(node) {
+  switch (node.type) {
+    case 'p':
+      return escapeLineStart(inlineToMd(node.children));
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `${'#'.repeat(Number(node.type[1]))} ${inlineToMd(node.children)}`;
+    case 'ul':
+    case 'ol':
+      return listToMd(node);
+    case 'pre': {
+      const code = node.children[0].children.map((c) => c.text).join('').replace(/\n$/, '');
+      const fence = code.includes('```') ? '````' : '```';
+      return `${fence}\n${code}\n${fence}`;
+    }
+    case 'blockquote':
+      return blocksToMd(node.children).split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n');
+    case 'div':
+      if (node.attributes.class) {
+        return blockTableToMd(node);
+      }
+      return blocksToMd(node.children);
+    case 'da-raw-html':
+      return sanitizeRawHtml(node.attributes.html);
+    default:
+      return blocksToMd(node.children);
+  }
+}
+
+/**
+ * Convert the ydoc into Franklin markdown. Sections are separated by '---' and blocks are
+ * written as tables with the block name in the first row.
+ * @param {Y.Doc} ydoc - The ydoc to convert
+ * @returns {string} - The markdown
+ */
+export function doc2md(ydoc) {
+  return `${doc2sections(ydoc).map((section) => blocksToMd(section.children)).join('\n\n---\n\n')}\n`;
+}
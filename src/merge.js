@@ -0,0 +1,232 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as Y from 'yjs';
+import { aem2doc } from './collab.js';
+
+/**
+ * Convert AEM HTML to the top-level blocks of the prosemirror fragment, using a temporary doc.
+ * @param {string} html - The AEM HTML
+ * @returns {Y.XmlElement[]} - The blocks
+ */
+const toBlocks = (html) => {
+  const ydoc = new Y.Doc();
+  aem2doc(html, ydoc);
+  return ydoc.getXmlFragment('prosemirror').toArray();
+};
+
+/**
+ * Copy a block of another document. Unlike clone() of Yjs, this keeps the attributes that are
+ * not strings, like the level of headings and the colspan of table cells.
+ * @param {Y.XmlElement | Y.XmlText} node - The node to copy
+ * @returns {Y.XmlElement | Y.XmlText} - The copy
+ */
+const copyNode = (node) => {
+  if (node instanceof Y.XmlText) {
+    return node.clone();
+  }
+  const copy = new Y.XmlElement(node.nodeName);
+  Object.entries(node.getAttributes()).forEach(([name, value]) => copy.setAttribute(name, value));
+  copy.insert(0, node.toArray().map(copyNode));
+  return copy;
+};
+
+/**
+ * Find the middle snake of the shortest edit script of a and b, between the start and end
+ * indices. The edit script is searched from both ends at once until the searches meet, the
+ * middle snake is the run of common blocks where they do. See Myers, "An O(ND) Difference
+ * Algorithm and Its Variations".
+ * @returns {object} - The snake runs from x, y to u, v, relative to the start indices
+ */
+const middleSnake = (a, aStart, aEnd, b, bStart, bEnd) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // The furthest x reached on each diagonal, from the start and from the end
+  const forward = new Array(2 * max + 3).fill(0);
+  const backward = new Array(2 * max + 3).fill(0);
+  const furthest = (v, d, k) => (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+    ? v[offset + k + 1] : v[offset + k - 1] + 1);
+
+  for (let d = 0; d <= max; d += 1) {
+    for (let k = -d; k <= d; k += 2) {
+      const x = furthest(forward, d, k);
+      let u = x;
+      while (u < n && u - k < m && a[aStart + u] === b[bStart + u - k]) {
+        u += 1;
+      }
+      forward[offset + k] = u;
+      if (odd && Math.abs(delta - k) < d && u + backward[offset + delta - k] >= n) {
+        return {
+          x, y: x - k, u, v: u - k,
+        };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      const x = furthest(backward, d, k);
+      let u = x;
+      while (u < n && u - k < m && a[aEnd - 1 - u] === b[bEnd - 1 - u + k]) {
+        u += 1;
+      }
+      backward[offset + k] = u;
+      if (!odd && Math.abs(delta - k) <= d && u + forward[offset + delta - k] >= n) {
+        return {
+          x: n - u, y: m - u + k, u: n - x, v: m - x + k,
+        };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the longest common subsequence of two lists of blocks, compared by their serialization.
+ * The lists are split at the middle snake recursively, which needs memory linear in the length
+ * of the lists and time in the number of differences. The common start and end of the lists
+ * are matched first, as usually only a few blocks differ.
+ * @param {string[]} a - The first list
+ * @param {string[]} b - The second list
+ * @returns {Map<number, number>} - The indices in a of the common blocks, mapped to those in b,
+ * in order
+ */
+export const commonBlocks = (a, b) => {
+  const common = new Map();
+  const align = (aFrom, aTo, bFrom, bTo) => {
+    let aStart = aFrom;
+    let bStart = bFrom;
+    let aEnd = aTo;
+    let bEnd = bTo;
+    for (; aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]; aStart += 1, bStart += 1) {
+      common.set(aStart, bStart);
+    }
+    const suffix = [];
+    for (; aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]; aEnd -= 1, bEnd -= 1) {
+      suffix.unshift([aEnd - 1, bEnd - 1]);
+    }
+
+    if (aStart < aEnd && bStart < bEnd) {
+      const {
+        x, y, u, v,
+      } = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+      align(aStart, aStart + x, bStart, bStart + y);
+      for (let i = x; i < u; i += 1) {
+        common.set(aStart + i, bStart + y + i - x);
+      }
+      align(aStart + u, aEnd, bStart + v, bEnd);
+    }
+    suffix.forEach(([i, j]) => common.set(i, j));
+  };
+  align(0, a.length, 0, b.length);
+  return common;
+};
+
+/**
+ * Get the changes between two lists of blocks. Each change replaces the blocks from start to
+ * end in a with the blocks from bStart to bEnd in b.
+ * @param {string[]} a - The original list
+ * @param {string[]} b - The changed list
+ * @param {Map<number, number>} common - The common blocks of both lists
+ * @returns {object[]} - The changes, in order
+ */
+const changes = (a, b, common) => {
+  const result = [];
+  let prevA = 0;
+  let prevB = 0;
+  [...common, [a.length, b.length]].forEach(([i, j]) => {
+    if (i > prevA || j > prevB) {
+      result.push({
+        start: prevA, end: i, bStart: prevB, bEnd: j,
+      });
+    }
+    prevA = i + 1;
+    prevB = j + 1;
+  });
+  return result;
+};
+
+/**
+ * Find where the blocks of a change in the base are in the live document. This is only possible
+ * if the live document didn't change these blocks.
+ * @param {object} change - The change, with the start and end in the base
+ * @param {Map<number, number>} live - The base blocks that are unchanged in the live document,
+ * mapped to their index there
+ * @param {number} baseLength - The number of blocks in the base
+ * @returns {object | null} - The start and end in the live document, or null for a conflict
+ */
+const liveRange = ({ start, end }, live, baseLength) => {
+  if (start === end) {
+    // Blocks were inserted, after the previous block or before the next one
+    let at = null;
+    if (start === 0) {
+      at = 0;
+    } else if (live.has(start - 1)) {
+      at = live.get(start - 1) + 1;
+    } else if (start < baseLength && live.has(start)) {
+      at = live.get(start);
+    }
+    return at === null ? null : { start: at, end: at };
+  }
+
+  for (let i = start; i < end; i += 1) {
+    if (!live.has(i) || (i > start && live.get(i) !== live.get(i - 1) + 1)) {
+      return null;
+    }
+  }
+  return { start: live.get(start), end: live.get(end - 1) + 1 };
+};
+
+/**
+ * Merge the changes made to a document outside of the collaborative session into the live
+ * document. The blocks of the live document, the content it was last saved with and the
+ * external content are compared, and the blocks that were changed externally are replaced in
+ * the live document. If the live document changed the same blocks, its changes are kept and
+ * the external change is counted as a conflict.
+ * @param {Y.Doc} ydoc - The live document
+ * @param {string} base - The AEM HTML that the live document was last saved with
+ * @param {string} external - The AEM HTML as it was changed outside of the session
+ * @returns {object} - The number of external changes that were merged and the conflicts
+ */
+export function mergeExternal(ydoc, base, external) {
+  const root = ydoc.getXmlFragment('prosemirror');
+  const baseBlocks = toBlocks(base).map(String);
+  const liveBlocks = root.toArray().map(String);
+  const externalBlocks = toBlocks(external);
+  const externalStrings = externalBlocks.map(String);
+
+  const live = commonBlocks(baseBlocks, liveBlocks);
+  const externalChanges = changes(
+    baseBlocks,
+    externalStrings,
+    commonBlocks(baseBlocks, externalStrings),
+  );
+
+  let merged = 0;
+  let conflicts = 0;
+  ydoc.transact(() => {
+    // Apply the changes from the end, so that the indices of the earlier ones stay valid
+    externalChanges.reverse().forEach((change) => {
+      const range = liveRange(change, live, baseBlocks.length);
+      if (!range) {
+        conflicts += 1;
+        return;
+      }
+      root.delete(range.start, range.end - range.start);
+      root.insert(range.start, externalBlocks
+        .slice(change.bStart, change.bEnd)
+        .map(copyNode));
+      merged += 1;
+    });
+  });
+  return { merged, conflicts };
+}
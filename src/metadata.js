@@ -0,0 +1,296 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as Y from 'yjs';
+import { splitSections } from './schema.js';
+
+// Key/value blocks are mirrored in the metadata map of the ydoc, next to the prosemirror
+// fragment. Page blocks occur once in the document and are keyed by their name. Section blocks
+// occur once per section and are keyed by their name and the index of the section, for
+// example section-metadata:1. Each entry is a map of the keys in the block to their values.
+const PAGE_BLOCKS = ['metadata'];
+const SECTION_BLOCKS = ['section-metadata'];
+
+// The origin of the transactions that keep the map and the tables in sync
+const METADATA_ORIGIN = 'metadata';
+
+/**
+ * Get the metadata map of the ydoc.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @returns {Y.Map} - The metadata map
+ */
+export const getMetadataMap = (ydoc) => ydoc.getMap('metadata');
+
+// The name of a block, from the text in the header row of its table
+const toBlockName = (text) => text.trim().toLowerCase().replace(/[^0-9a-z]+/g, '-');
+
+// The text of a node, the paragraphs of a table cell are separated by newlines
+const textOf = (node) => {
+  if (node instanceof Y.XmlText) {
+    return node.toDelta().map((d) => (typeof d.insert === 'string' ? d.insert : '')).join('');
+  }
+  return node.toArray().map(textOf).join(node.nodeName === 'table_cell' ? '\n' : '');
+};
+
+// The sections of the document, numbered like the sections of the AEM HTML
+const sectionsOf = (root) => splitSections(
+  root.toArray(),
+  (node) => node.nodeName === 'horizontal_rule',
+  (rule) => rule.getAttribute('sectionAttrs'),
+);
+
+/**
+ * Find the key/value blocks of the document.
+ * @param {Y.XmlFragment} root - The prosemirror fragment
+ * @returns {Map<string, object>} - The blocks by their metadata key, with the table, the
+ * index of the table in the fragment and the rows by key
+ */
+const findBlocks = (root) => {
+  const blocks = new Map();
+  const nodes = root.toArray();
+  sectionsOf(root).forEach(({ nodes: sectionNodes }, section) => sectionNodes.forEach((node) => {
+    if (node.nodeName !== 'table' || node.length === 0) {
+      return;
+    }
+    const [header, ...rows] = node.toArray();
+    const name = toBlockName(textOf(header));
+    let key;
+    if (PAGE_BLOCKS.includes(name)) {
+      key = name;
+    } else if (SECTION_BLOCKS.includes(name)) {
+      key = `${name}:${section}`;
+    }
+    if (!key || blocks.has(key)) {
+      return;
+    }
+
+    const values = new Map();
+    rows.forEach((row) => {
+      const [keyCell, valueCell] = row.toArray();
+      const rowKey = keyCell ? textOf(keyCell).trim() : '';
+      if (rowKey && !values.has(rowKey)) {
+        values.set(rowKey, { row, value: valueCell ? textOf(valueCell).trim() : '' });
+      }
+    });
+    blocks.set(key, { table: node, index: nodes.indexOf(node), rows: values });
+  }));
+  return blocks;
+};
+
+/**
+ * Read the key/value blocks from the tables of the document.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @returns {object} - The values of each block, by metadata key
+ */
+export const readMetadata = (ydoc) => {
+  const metadata = {};
+  findBlocks(ydoc.getXmlFragment('prosemirror')).forEach(({ rows }, key) => {
+    metadata[key] = Object.fromEntries([...rows].map(([k, { value }]) => [k, value]));
+  });
+  return metadata;
+};
+
+/**
+ * Update the metadata map from the tables of the document. Only the entries that changed
+ * are written.
+ * @param {Y.Doc} ydoc - The ydoc
+ */
+export const syncMetadataMap = (ydoc) => {
+  const map = getMetadataMap(ydoc);
+  const metadata = readMetadata(ydoc);
+  ydoc.transact(() => {
+    [...map.keys()].filter((key) => !metadata[key]).forEach((key) => map.delete(key));
+    Object.entries(metadata).forEach(([key, values]) => {
+      let entry = map.get(key);
+      if (!(entry instanceof Y.Map)) {
+        entry = new Y.Map();
+        map.set(key, entry);
+      }
+      [...entry.keys()].filter((k) => values[k] === undefined).forEach((k) => entry.delete(k));
+      Object.entries(values).forEach(([k, value]) => {
+        if (entry.get(k) !== value) {
+          entry.set(k, value);
+        }
+      });
+    });
+  }, METADATA_ORIGIN);
+};
+
+const paragraphs = (text) => text.split('\n').map((line) => {
+  const paragraph = new Y.XmlElement('paragraph');
+  if (line) {
+    paragraph.insert(0, [new Y.XmlText(line)]);
+  }
+  return paragraph;
+});
+
+const cell = (text, colspan = 1) => {
+  const tableCell = new Y.XmlElement('table_cell');
+  tableCell.setAttribute('colspan', colspan);
+  tableCell.setAttribute('rowspan', 1);
+  tableCell.insert(0, paragraphs(text));
+  return tableCell;
+};
+
+const row = (...texts) => {
+  const tableRow = new Y.XmlElement('table_row');
+  tableRow.insert(0, texts.map((text) => cell(text)));
+  return tableRow;
+};
+
+// Where a new block is inserted: at the end of the document for a page block and at the end
+// of its section for a section block. Returns -1 if the section doesn't exist.
+const insertIndex = (root, key) => {
+  const [, section] = key.split(':');
+  if (section === undefined) {
+    return root.length;
+  }
+  const sections = sectionsOf(root);
+  const idx = Number(section);
+  if (idx >= sections.length) {
+    return -1;
+  }
+  return idx + 1 < sections.length ? root.toArray().indexOf(sections[idx + 1].rule) : root.length;
+};
+
+/**
+ * Check that the changes to the metadata are valid: the keys are page or section blocks and
+ * the values of their keys are strings, or null to remove a key.
+ * @param {object} changes - The changes, by metadata key
+ * @returns {string | null} - A description of the problem, or null if the changes are valid
+ */
+export const validateMetadata = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'Metadata must be an object';
+  }
+  const isBlock = (key) => {
+    const [name, section] = key.split(':');
+    return section === undefined
+      ? PAGE_BLOCKS.includes(name)
+      : SECTION_BLOCKS.includes(name) && /^\d+$/.test(section);
+  };
+  const isValues = (values) => values === null || (typeof values === 'object'
+    && !Array.isArray(values)
+    && Object.values(values).every((v) => v === null || typeof v === 'string'));
+
+  const unknown = Object.keys(changes).find((key) => !isBlock(key));
+  if (unknown) {
+    return `Unknown metadata block: ${unknown}`;
+  }
+  const invalid = Object.keys(changes).find((key) => !isValues(changes[key]));
+  return invalid ? `Invalid values for metadata block: ${invalid}` : null;
+};
+
+/**
+ * Change the metadata of the document. The tables of the blocks are updated, or created if the
+ * document doesn't have them yet, and the metadata map is synced with them.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @param {object} changes - The changed blocks by metadata key, as validated by
+ * validateMetadata(). A block is an object with the changed values by key, a value of null
+ * removes the key. A block of null removes the whole block.
+ */
+export const updateMetadata = (ydoc, changes) => {
+  const root = ydoc.getXmlFragment('prosemirror');
+  ydoc.transact(() => {
+    // Work from the end of the document, so that inserted blocks don't move the others
+    const blocks = findBlocks(root);
+    Object.entries(changes)
+      .map(([key, values]) => {
+        const block = blocks.get(key);
+        return {
+          key, values, block, index: block ? block.index : insertIndex(root, key),
+        };
+      })
+      .sort((a, b) => b.index - a.index)
+      .forEach(({
+        key, values, block, index,
+      }) => {
+        if (!block) {
+          const entries = Object.entries(values || {}).filter(([, v]) => v !== null);
+          if (entries.length > 0 && index >= 0) {
+            const table = new Y.XmlElement('table');
+            const header = new Y.XmlElement('table_row');
+            header.insert(0, [cell(key.split(':')[0], 2)]);
+            table.insert(0, [header, ...entries.map(([k, v]) => row(k, v))]);
+            root.insert(index, [table]);
+          }
+          return;
+        }
+        if (values === null) {
+          root.delete(index, 1);
+          return;
+        }
+
+        // Keys are matched case-insensitively, like they are when the page is rendered
+        const rows = new Map([...block.rows].map(([k, r]) => [k.toLowerCase(), r]));
+        Object.entries(values).forEach(([k, value]) => {
+          const existing = rows.get(k.toLowerCase());
+          if (!existing) {
+            if (value !== null) {
+              block.table.push([row(k, value)]);
+            }
+          } else if (value === null) {
+            const { row: tableRow } = existing;
+            block.table.delete(block.table.toArray().indexOf(tableRow), 1);
+          } else if (existing.value !== value) {
+            const valueCell = existing.row.get(1);
+            if (valueCell) {
+              valueCell.delete(0, valueCell.length);
+              valueCell.insert(0, paragraphs(value));
+            } else {
+              existing.row.push([cell(value)]);
+            }
+          }
+        });
+      });
+  }, METADATA_ORIGIN);
+  syncMetadataMap(ydoc);
+};
+
+/**
+ * Keep the metadata map of a shared ydoc and the tables of its blocks in sync. When the tables
+ * are edited the map is updated and when a client changes the map the tables are updated.
+ * @param {Y.Doc} ydoc - The ydoc
+ */
+export const bindMetadata = (ydoc) => {
+  const map = getMetadataMap(ydoc);
+  ydoc.getXmlFragment('prosemirror').observeDeep((_, transaction) => {
+    if (transaction.origin !== METADATA_ORIGIN) {
+      syncMetadataMap(ydoc);
+    }
+  });
+  map.observeDeep((events, transaction) => {
+    if (transaction.origin === METADATA_ORIGIN) {
+      return;
+    }
+    const changes = {};
+    events.forEach((event) => {
+      if (event.target === map) {
+        event.changes.keys.forEach((_, key) => {
+          const entry = map.get(key);
+          changes[key] = entry instanceof Y.Map ? entry.toJSON() : null;
+        });
+      } else {
+        const [key] = event.path;
+        changes[key] = changes[key] || {};
+        event.changes.keys.forEach((_, k) => {
+          changes[key][k] = event.target.get(k) ?? null;
+        });
+      }
+    });
+    if (validateMetadata(changes) === null) {
+      updateMetadata(ydoc, changes);
+    } else {
+      // Invalid changes are reverted to what the tables have
+      syncMetadataMap(ydoc);
+    }
+  });
+};
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as Y from 'yjs';
+import { topLevelBlock, userFromAuth } from './authors.js';
+
+/**
+ * Find the top-level block that a cursor of the awareness state is in. The cursor holds the
+ * relative positions of its anchor and head, as set by y-prosemirror.
+ * @param {Y.Doc} ydoc - The ydoc
+ * @param {object} cursor - The cursor
+ * @returns {object | null} - The index and type of the block of the head of the cursor, or
+ * null if it is not in the document
+ */
+const cursorBlock = (ydoc, cursor) => {
+  const position = cursor.head ?? cursor.anchor;
+  if (!position) {
+    return null;
+  }
+  try {
+    const absolute = Y.createAbsolutePositionFromRelativePosition(
+      Y.createRelativePositionFromJSON(position),
+      ydoc,
+    );
+    if (!absolute) {
+      return null;
+    }
+    const root = ydoc.getXmlFragment('prosemirror');
+    const block = absolute.type === root
+      ? root.get(Math.min(absolute.index, root.length - 1))
+      : topLevelBlock(absolute.type, root);
+    const index = block ? root.toArray().indexOf(block) : -1;
+    return index < 0 ? null : { block: index, type: block.nodeName };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Get the presence of the users that are connected to a document. The users are known from
+ * the authorization of their connections. The color and cursor they show to the other clients
+ * are taken from their awareness state, which is only available while the ydoc is in memory.
+ * @param {object[]} connections - The connections, with their auth, readOnly flag, when they
+ * connected and the awareness client IDs they control
+ * @param {Y.Doc} ydoc - The ydoc with the awareness, if in memory
+ * @returns {object[]} - For each connection the user id, name, color, the block of the cursor,
+ * when it connected and whether it is read-only
+ */
+export const readPresence = (connections, ydoc = undefined) => {
+  const states = ydoc?.awareness?.getStates() ?? new Map();
+  return connections.map(({
+    auth, readOnly, connected, awarenessIds = [],
+  }) => {
+    const user = userFromAuth(auth);
+    const state = awarenessIds.map((id) => states.get(id)).find((s) => s);
+    return {
+      id: user?.id ?? null,
+      name: user?.name ?? null,
+      color: state?.user?.color ?? null,
+      cursor: state?.cursor ? cursorBlock(ydoc, state.cursor) : null,
+      connected: connected ?? null,
+      readOnly: !!readOnly,
+    };
+  });
+};
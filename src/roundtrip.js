@@ -0,0 +1,179 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as Y from 'yjs';
+import { parse } from 'parse5';
+import { aem2doc, doc2aem } from './collab.js';
+import { commonBlocks } from './merge.js';
+
+/**
+ * Convert a parse5 node to a plain node with the type, tag name, attributes and children.
+ * The HTML is read with parse5 directly instead of the hast tools that the editor uses, so that
+ * the attributes are compared with the names they have in the HTML. A mistake in how the editor
+ * maps the names would otherwise be made for the input and the output alike.
+ * @param {object} node - The parse5 node
+ * @returns {object} - The node
+ */
+const toNode = (node) => {
+  if (node.nodeName === '#text') {
+    return { type: 'text', value: node.value };
+  }
+  if (node.nodeName === '#comment') {
+    return { type: 'comment', value: node.data };
+  }
+  return {
+    type: node.tagName ? 'element' : node.nodeName,
+    tagName: node.tagName,
+    attributes: Object.fromEntries((node.attrs || []).map(({ name, value }) => [name, value])),
+    children: (node.childNodes || []).map(toNode),
+  };
+};
+
+/**
+ * Get the <main> element of AEM HTML.
+ * @param {string} html - The AEM HTML
+ * @returns {object} - The node of main
+ */
+const findMain = (html) => {
+  const find = (node) => {
+    if (node.tagName === 'main') {
+      return node;
+    }
+    return (node.children || []).reduce((found, child) => found || find(child), null);
+  };
+  return find(toNode(parse(html)));
+};
+
+const collapse = (text) => text.replace(/\s+/g, ' ');
+
+/**
+ * Normalize the children of a hast node, so that differences that don't change the meaning of
+ * the HTML are ignored: whitespace is collapsed and whitespace between elements is left out.
+ * @param {object} node - The hast node
+ * @returns {object[]} - The normalized children
+ */
+const normalizedChildren = (node) => (node.children || []).reduce((children, child) => {
+  if (child.type === 'text') {
+    const prev = children[children.length - 1];
+    if (prev?.type === 'text') {
+      prev.value = collapse(prev.value + child.value);
+    } else {
+      children.push({ type: 'text', value: collapse(child.value) });
+    }
+  } else if (child.type === 'element' || child.type === 'comment') {
+    children.push(child);
+  }
+  return children;
+}, []).filter((child) => child.type !== 'text' || child.value.trim() !== '');
+
+const key = (node) => (node.type === 'element' ? node.tagName : `#${node.type}`);
+
+const describe = (node) => {
+  if (node.type === 'text') {
+    return node.value.trim();
+  }
+  return node.type === 'comment' ? `<!--${node.value}-->` : `<${node.tagName}>`;
+};
+
+/**
+ * Compare two hast nodes and their children, and add their differences.
+ * @param {object} input - The node in the input
+ * @param {object} output - The node in the output of the round trip
+ * @param {string} path - The CSS-like path of the nodes
+ * @param {object[]} differences - The differences, which are added to
+ */
+function compare(input, output, path, differences) {
+  if (input.type === 'text' || input.type === 'comment') {
+    if (input.value.trim() !== output.value.trim()) {
+      differences.push({
+        path, type: input.type, input: input.value.trim(), output: output.value.trim(),
+      });
+    }
+    return;
+  }
+
+  // The order of the attributes doesn't matter
+  const inputAttrs = input.attributes;
+  const outputAttrs = output.attributes;
+  [...new Set([...Object.keys(inputAttrs), ...Object.keys(outputAttrs)])].sort().forEach((name) => {
+    const a = inputAttrs[name] ?? null;
+    const b = outputAttrs[name] ?? null;
+    if (a !== b) {
+      differences.push({
+        path, type: 'attribute', name, input: a, output: b,
+      });
+    }
+  });
+
+  // Align the children on their element names, so that a missing or added node is reported
+  // once instead of as a change of all the nodes after it
+  const inputChildren = normalizedChildren(input);
+  const outputChildren = normalizedChildren(output);
+  const common = commonBlocks(inputChildren.map(key), outputChildren.map(key));
+  const childPath = (children, index) => {
+    const child = children[index];
+    if (child.type !== 'element') {
+      return path;
+    }
+    const nth = children.slice(0, index + 1).filter((c) => c.type === 'element').length;
+    return `${path} > ${child.tagName}:nth-child(${nth})`;
+  };
+
+  let j = 0;
+  inputChildren.forEach((child, i) => {
+    if (!common.has(i)) {
+      differences.push({
+        path: childPath(inputChildren, i), type: 'missing', input: describe(child), output: null,
+      });
+      return;
+    }
+    for (; j < common.get(i); j += 1) {
+      differences.push({
+        path: childPath(outputChildren, j), type: 'added', input: null, output: describe(outputChildren[j]),
+      });
+    }
+    compare(child, outputChildren[j], childPath(inputChildren, i), differences);
+    j += 1;
+  });
+  for (; j < outputChildren.length; j += 1) {
+    differences.push({
+      path: childPath(outputChildren, j), type: 'added', input: null, output: describe(outputChildren[j]),
+    });
+  }
+}
+
+/**
+ * Check whether AEM HTML survives a round trip through the collaborative editor unchanged,
+ * that is converting it into a document and back. The <main> elements of the input and the
+ * output are compared semantically: whitespace and the order of attributes are ignored.
+ * @param {string} html - The AEM HTML to check, a whole page or the content of a section
+ * @returns {object} - identical is true if the round trip doesn't change the HTML. The
+ * differences each have the path of the element, the type of the difference (missing, added,
+ * attribute, text or comment) and the input and output values. preserved is the report of
+ * the markup that was kept as raw HTML. html is the output of the round trip.
+ */
+export function checkRoundTrip(html) {
+  // HTML without a <main> is taken as the content of a single section
+  const source = /<main[\s>]/i.test(html) ? html : `<main><div>${html}</div></main>`;
+  const input = findMain(source);
+  const ydoc = new Y.Doc();
+  const preserved = aem2doc(source, ydoc);
+  const output = doc2aem(ydoc);
+
+  const differences = [];
+  compare(input, findMain(output), 'main', differences);
+  return {
+    identical: differences.length === 0,
+    differences,
+    preserved,
+    html: output,
+  };
+}
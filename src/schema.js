@@ -26,6 +26,52 @@ import { Schema } from 'prosemirror-model';
 import { addListNodes } from 'prosemirror-schema-list';
 import { tableNodes } from 'prosemirror-tables';
 
+// The version of the schema. The clients must use the same schema, y-prosemirror deletes the
+// nodes, marks and attributes that the schema of a client doesn't know. Version 2 added the
+// section attributes, raw html nodes, picture sources, underline, strike and span marks and ids.
+export const SCHEMA_VERSION = 2;
+
+// The schemes that links can have. Others, like javascript: and data:, could run scripts.
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const STRIKE_TAGS = ['s', 'del', 'strike'];
+
+/**
+ * Check that a link is relative or has a scheme that can't run scripts when the link is
+ * followed. Browsers ignore whitespace and control characters in the scheme, so these are
+ * ignored here too.
+ * @param {string} href - The link
+ * @returns {boolean} - true if the link can be kept
+ */
+export function isSafeHref(href) {
+  const url = [...String(href ?? '')].filter((c) => c.charCodeAt(0) > 32).join('');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+  return !scheme || SAFE_SCHEMES.includes(scheme.toLowerCase());
+}
+
+/**
+ * Split the top-level nodes of a document into its sections. Each horizontal rule starts a new
+ * section, except for a rule at the start of the document with section attributes, which only
+ * holds the attributes of the first section.
+ * @param {object[]} nodes - The top-level nodes
+ * @param {function} isRule - Whether a node is a horizontal rule
+ * @param {function} getSectionAttrs - The section attributes of a rule
+ * @returns {object[]} - The sections, each with the `rule` that holds its attributes, or null,
+ * and its other `nodes`
+ */
+export function splitSections(nodes, isRule, getSectionAttrs) {
+  const sections = [{ rule: null, nodes: [] }];
+  nodes.forEach((node, index) => {
+    if (!isRule(node)) {
+      sections[sections.length - 1].nodes.push(node);
+    } else if (index === 0 && getSectionAttrs(node)) {
+      sections[0].rule = node;
+    } else {
+      sections.push({ rule: node, nodes: [] });
+    }
+  });
+  return sections;
+}
+
 function parseLocDOM(locTag) {
   return [{
     tag: locTag,
@@ -38,9 +84,16 @@ function parseLocDOM(locTag) {
   }];
 }
 
-const topLevelAttrs = { dataId: { default: null, validate: 'string|null' } };
-const getTopLevelToDomAttrs = (node) => ({ 'data-id': node.attrs.dataId });
-const getTopLevelParseAttrs = (dom) => ({ dataId: dom.getAttribute('dataId') || null });
+// The id is used for in-page anchors, like those of a table of contents
+const topLevelAttrs = {
+  id: { default: null, validate: 'string|null' },
+  dataId: { default: null, validate: 'string|null' },
+};
+const getTopLevelToDomAttrs = (node) => ({ id: node.attrs.id, 'data-id': node.attrs.dataId });
+const getTopLevelParseAttrs = (dom) => ({
+  id: dom.getAttribute('id') || null,
+  dataId: dom.getAttribute('dataId') || null,
+});
 
 const getHeadingAttrs = (level) => (dom) => ({
   level,
@@ -69,9 +122,15 @@ const baseNodes = {
       return ['blockquote', { ...getTopLevelToDomAttrs(node) }, 0];
     },
   },
+  // A horizontal rule separates the sections of the document. It holds the attributes of the
+  // section that follows it as a JSON string, so that they are kept when the document is stored.
   horizontal_rule: {
+    attrs: { sectionAttrs: { default: null, validate: 'string|null' } },
     group: 'block',
-    parseDOM: [{ tag: 'hr' }],
+    parseDOM: [{
+      tag: 'hr',
+      getAttrs: (dom) => ({ sectionAttrs: dom.getAttribute('sectionAttrs') || null }),
+    }],
     toDOM() {
       return ['hr'];
     },
@@ -118,6 +177,12 @@ const baseNodes = {
       alt: { default: null, validate: 'string|null' },
       title: { default: null, validate: 'string|null' },
       href: { default: null, validate: 'string|null' },
+      // The <source> elements of the original <picture> as JSON, the dimensions and loading
+      // of the image
+      sources: { default: null, validate: 'string|null' },
+      width: { default: null, validate: 'string|null' },
+      height: { default: null, validate: 'string|null' },
+      loading: { default: null, validate: 'string|null' },
       ...topLevelAttrs,
     },
     group: 'inline',
@@ -129,7 +194,11 @@ const baseNodes = {
           src: dom.getAttribute('src'),
           title: dom.getAttribute('title'),
           alt: dom.getAttribute('alt'),
-          href: dom.getAttribute('href'),
+          href: isSafeHref(dom.getAttribute('href')) ? dom.getAttribute('href') : null,
+          sources: dom.getAttribute('sources') || null,
+          width: dom.getAttribute('width') ? String(dom.getAttribute('width')) : null,
+          height: dom.getAttribute('height') ? String(dom.getAttribute('height')) : null,
+          loading: dom.getAttribute('loading') || null,
           ...getTopLevelParseAttrs(dom),
         };
       },
@@ -140,12 +209,20 @@ const baseNodes = {
         alt,
         title,
         href,
+        sources,
+        width,
+        height,
+        loading,
       } = node.attrs;
       return ['img', {
         src,
         alt,
         title,
-        href,
+        width,
+        height,
+        loading,
+        href: isSafeHref(href) ? href : null,
+        sources,
         ...getTopLevelToDomAttrs(node),
       }];
     },
@@ -159,6 +236,25 @@ const baseNodes = {
       return ['br'];
     },
   },
+  // Markup that the schema doesn't support is kept as raw HTML, so that it is stored unchanged
+  raw_html: {
+    attrs: { html: { default: '', validate: 'string' } },
+    group: 'block',
+    atom: true,
+    parseDOM: [{ tag: 'da-raw-html', getAttrs: (dom) => ({ html: dom.getAttribute('html') }) }],
+    toDOM: (node) => ['da-raw-html', { html: node.attrs.html }],
+  },
+  raw_html_inline: {
+    attrs: { html: { default: '', validate: 'string' } },
+    inline: true,
+    group: 'inline',
+    atom: true,
+    parseDOM: [{
+      tag: 'da-raw-html-inline',
+      getAttrs: (dom) => ({ html: dom.getAttribute('html') }),
+    }],
+    toDOM: (node) => ['da-raw-html-inline', { html: node.attrs.html }],
+  },
   // DA diffing tags
   loc_added: {
     group: 'block',
@@ -185,13 +281,17 @@ const baseMarks = {
       {
         tag: 'a[href]',
         getAttrs(dom) {
-          return { href: dom.getAttribute('href'), title: dom.getAttribute('title') };
+          const href = dom.getAttribute('href');
+          if (!isSafeHref(href)) {
+            return false;
+          }
+          return { href, title: dom.getAttribute('title') };
         },
       },
     ],
     toDOM(node) {
       const { href, title } = node.attrs;
-      return ['a', { href, title }, 0];
+      return ['a', { href: isSafeHref(href) ? href : null, title }, 0];
     },
   },
   em: {
@@ -240,11 +340,53 @@ function addCustomMarks(marks) {
     toDOM() { return ['sub', 0]; },
   };
 
+  const underline = {
+    parseDOM: [{ tag: 'u' }],
+    toDOM() { return ['u', 0]; },
+  };
+
+  // The tag is kept, so that <del> stays <del>
+  // The tag of a strike is shown as is, so it can only be one of the strike tags
+  const strike = {
+    attrs: {
+      tag: {
+        default: 's',
+        validate(tag) {
+          if (!STRIKE_TAGS.includes(tag)) {
+            throw new RangeError(`Invalid strike tag: ${tag}`);
+          }
+        },
+      },
+    },
+    parseDOM: [
+      { tag: 's', attrs: { tag: 's' } },
+      { tag: 'del', attrs: { tag: 'del' } },
+      { tag: 'strike', attrs: { tag: 'strike' } },
+    ],
+    toDOM(mark) { return [STRIKE_TAGS.includes(mark.attrs.tag) ? mark.attrs.tag : 's', 0]; },
+  };
+
+  // Spans with a class, like the :icon-name: icons. The context highlighting isn't content.
+  const span = {
+    attrs: { class: { validate: 'string' } },
+    parseDOM: [{
+      tag: 'span[class]',
+      getAttrs(dom) {
+        const className = dom.getAttribute('class');
+        return className && className !== 'highlighted-context' ? { class: className } : false;
+      },
+    }],
+    toDOM(mark) { return ['span', { class: mark.attrs.class }, 0]; },
+  };
+
   const contextHighlight = { toDOM: () => ['span', { class: 'highlighted-context' }, 0] };
 
   return marks
     .addToEnd('sup', sup)
     .addToEnd('sub', sub)
+    .addToEnd('underline', underline)
+    .addToEnd('strike', strike)
+    .addToEnd('span', span)
     .addToEnd('contextHighlightingMark', contextHighlight);
 }
 
@@ -12,11 +12,17 @@
 import * as Y from 'yjs';
 import * as syncProtocol from 'y-protocols/sync.js';
 import * as awarenessProtocol from 'y-protocols/awareness.js';
+import * as authProtocol from 'y-protocols/auth.js';
 
 import * as encoding from 'lib0/encoding.js';
 import * as decoding from 'lib0/decoding.js';
 import debounce from 'lodash/debounce.js';
-import { aem2doc, doc2aem } from './collab.js';
+import { cancelAlarm, scheduleAlarm } from './alarms.js';
+import { MAX_STORAGE_VALUE_SIZE, bindAuthors, userFromAuth } from './authors.js';
+import { applyClientAwareness } from './awareness.js';
+import { aem2doc, doc2aem, findDuplicateIds } from './collab.js';
+import { mergeExternal } from './merge.js';
+import { bindMetadata } from './metadata.js';
 
 const wsReadyStateConnecting = 0;
 const wsReadyStateOpen = 1;
@@ -30,16 +36,64 @@ const docs = new Map();
 const EMPTY_DOC = '<main></main>';
 const messageSync = 0;
 const messageAwareness = 1;
+const messageAuth = 2;
+// Custom message types, not used by y-protocols, to send errors and the save status to the
+// clients
+const messageError = 4;
+const messageSaveStatus = 5;
+// Custom message type with which a client replaces the authorization of its connection, when
+// its token was refreshed. The payload is the new Authorization header value.
+const messageRefreshAuth = 6;
 const MAX_STORAGE_KEYS = 128;
-const MAX_STORAGE_VALUE_SIZE = 131072;
+// The number of updates stored in the log before they are compacted into the base state
+const MAX_UPDATE_LOG_SIZE = 100;
+
+// A failed save in da-admin is retried with exponential backoff, starting at the base delay.
+// The pending retry is kept in the worker storage with the authorization to use.
+export const SAVE_RETRY_ALARM = 'saveRetry';
+const SAVE_RETRY_KEY = 'saveRetry';
+const SAVE_RETRY_BASE_DELAY = 5000;
+const SAVE_RETRY_MAX_DELAY = 10 * 60 * 1000;
+const SAVE_RETRY_MAX_ATTEMPTS = 10;
+
+// The error codes sent to the clients in error messages
+export const errorCodes = Object.freeze({
+  ADMIN_UNAUTHORIZED: 'ADMIN_UNAUTHORIZED', // da-admin rejected the user
+  LOAD_FAILED: 'LOAD_FAILED', // the document could not be loaded
+  SAVE_FAILED: 'SAVE_FAILED', // the document could not be saved in da-admin
+  PARSE_FAILED: 'PARSE_FAILED', // the document or a client message could not be processed
+  STORAGE_TOO_LARGE: 'STORAGE_TOO_LARGE', // the document is too large for the worker storage
+  EDIT_CONFLICT: 'EDIT_CONFLICT', // changes made in da-admin conflicted with the session
+  DUPLICATE_ID: 'DUPLICATE_ID', // the document has elements with the same id
+  AWARENESS_REJECTED: 'AWARENESS_REJECTED', // an awareness update of a client was not valid
+});
+
+// The WebSocket close code for a connection that is no longer authorized to access the
+// document, in the range for application use
+export const UNAUTHORIZED_CLOSE_CODE = 4401;
+
+// The error code for a failed da-admin request
+const adminErrorCode = (status, code) => (status === 401 || status === 403
+  ? errorCodes.ADMIN_UNAUTHORIZED : code);
+
+// The version of the document in da-admin, from the headers of a da-admin response
+const adminVersion = (resp) => ({
+  etag: resp.headers?.get('ETag') ?? undefined,
+  lastModified: resp.headers?.get('Last-Modified') ?? undefined,
+});
 
 /**
  * Close the WebSocket connection for a document. If there are no connections left, remove
  * the ydoc from the local cache map.
  * @param {ydoc} doc - the ydoc to close the connection for.
  * @param {WebSocket} conn - the websocket connection to close.
+ * @param {number} code - the close code to send to the client, if any.
+ * @param {string} reason - the reason to send to the client with the close code.
+ * @returns {Promise<void>} - resolves when the pending changes are saved, if this was the last
+ * connection.
  */
-export const closeConn = (doc, conn) => {
+export const closeConn = (doc, conn, code = undefined, reason = undefined) => {
+  let flushed = Promise.resolve();
   if (doc.conns.has(conn)) {
     const controlledIds = doc.conns.get(conn);
     doc.conns.delete(conn);
@@ -47,9 +101,18 @@ export const closeConn = (doc, conn) => {
 
     if (doc.conns.size === 0) {
       docs.delete(doc.name);
+
+      // Nobody is editing the document anymore, so save pending changes right away, as the
+      // last writer
+      flushed = Promise.all([doc.saveNow?.(), doc.storeAttribution?.()]).then(() => {});
     }
   }
-  conn.close();
+  if (code) {
+    conn.close(code, reason);
+  } else {
+    conn.close();
+  }
+  return flushed;
 };
 
 const send = (doc, conn, m) => {
@@ -64,16 +127,38 @@ const send = (doc, conn, m) => {
   }
 };
 
+/**
+ * Delete the stored document state from the durable object storage, leaving any other data,
+ * such as versions, in place.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ */
+const deleteState = async (storage) => {
+  const keys = ['doc', 'docstore', 'chunks', 'updates'];
+  const chunks = await storage.get('chunks');
+  for (let i = 0; i < (chunks || 0); i += 1) {
+    keys.push(`chunk_${i}`);
+  }
+  const updates = await storage.get('updates');
+  for (let i = 0; i < (updates || 0); i += 1) {
+    keys.push(`update_${i}`);
+  }
+
+  // storage.delete() accepts a limited number of keys per call
+  for (let i = 0; i < keys.length; i += MAX_STORAGE_KEYS) {
+    await storage.delete(keys.slice(i, i + MAX_STORAGE_KEYS));
+  }
+};
+
 /**
  * Read the ydoc document state from durable object persistent storage. The format is as
- * in storeState function.
+ * in storeState function. The updates in the log are merged with the base state.
  * @param {string} docName - The document name
  * @param {TransactionalStorage} storage - The worker transactional storage
  * @returns {Uint8Array | undefined} - The stored state or undefined if not found
  */
 export const readState = async (docName, storage) => {
   const stored = await storage.list();
-  if (stored.size === 0) {
+  if (!stored.has('doc')) {
     // eslint-disable-next-line no-console
     console.log('No stored doc in persistence');
     return undefined;
@@ -81,34 +166,47 @@ export const readState = async (docName, storage) => {
 
   if (stored.get('doc') !== docName) {
     // eslint-disable-next-line no-console
-    console.log('Docname mismatch in persistence. Expected:', docName, 'found:', stored.get('doc'), 'Deleting storage');
-    await storage.deleteAll();
+    console.log('Docname mismatch in persistence. Expected:', docName, 'found:', stored.get('doc'), 'Deleting stored state');
+    await deleteState(storage);
     return undefined;
   }
 
+  let base;
   if (stored.has('docstore')) {
-    return stored.get('docstore');
-  }
-
-  const data = [];
-  for (let i = 0; i < stored.get('chunks'); i += 1) {
-    const chunk = stored.get(`chunk_${i}`);
+    base = stored.get('docstore');
+  } else {
+    const data = [];
+    for (let i = 0; i < stored.get('chunks'); i += 1) {
+      const chunk = stored.get(`chunk_${i}`);
 
-    // Note cannot use the spread operator here, as that goes via the stack and may lead to
-    // stack overflow.
-    for (let j = 0; j < chunk.length; j += 1) {
-      data.push(chunk[j]);
+      // Note cannot use the spread operator here, as that goes via the stack and may lead to
+      // stack overflow.
+      for (let j = 0; j < chunk.length; j += 1) {
+        data.push(chunk[j]);
+      }
     }
+    base = new Uint8Array(data);
+  }
+
+  const log = [];
+  for (let i = 0; i < (stored.get('updates') || 0); i += 1) {
+    log.push(stored.get(`update_${i}`));
+  }
+  if (log.length === 0) {
+    return base;
   }
-  return new Uint8Array(data);
+  return Y.mergeUpdates(base.length > 0 ? [base, ...log] : log);
 };
 
 /**
- * Store the document in durable object persistent storage. The document is stored as one or
- * more byte arrays. Durable persistent storage is tied to each durable object, so the storage only
- * applies to the current document.
+ * Store the document in durable object persistent storage as the base state. The document is
+ * stored as one or more byte arrays. This also compacts the stored state, as the updates
+ * logged by appendUpdate() are removed. Durable persistent storage is tied to each durable
+ * object, so the storage only applies to the current document.
  * The durable object storage saves an object (keys and values) but there is a limit to the size
  * of the values. So if the state is too large, it is split into chunks.
+ * Only the keys of the previously stored state are replaced, other keys in the storage are
+ * left alone.
  * The layout of the stored object is as follows:
  * a. State size less than max storage value size:
  *    serialized.doc = document name
@@ -119,13 +217,18 @@ export const readState = async (docName, storage) => {
  *    serialized.chunk_0 = first chunk
  *    ...
  *    serialized.chunk_n = last chunk, where n = chunks - 1
+ * Updates appended to the stored state are kept in a log next to the base state:
+ *    serialized.updates = number of updates in the log
+ *    serialized.update_0 = first update
+ *    ...
+ *    serialized.update_n = last update, where n = updates - 1
  * @param {string} docName - The document name
  * @param {Uint8Array} state - The Yjs document state, as produced by Y.encodeStateAsUpdate()
  * @param {TransactionalStorage} storage - The worker transactional storage
  * @param {number} chunkSize - The chunk size
  */
 export const storeState = async (docName, state, storage, chunkSize = MAX_STORAGE_VALUE_SIZE) => {
-  await storage.deleteAll();
+  await deleteState(storage);
 
   let serialized;
   if (state.byteLength < chunkSize) {
@@ -138,7 +241,9 @@ export const storeState = async (docName, state, storage, chunkSize = MAX_STORAG
     }
 
     if (j >= MAX_STORAGE_KEYS) {
-      throw new Error('Object too big for worker storage');
+      const err = new Error('Object too big for worker storage');
+      err.code = errorCodes.STORAGE_TOO_LARGE;
+      throw err;
     }
 
     serialized.chunks = j;
@@ -148,15 +253,99 @@ export const storeState = async (docName, state, storage, chunkSize = MAX_STORAG
   await storage.put(serialized);
 };
 
-export const showError = (ydoc, err) => {
-  const em = ydoc.getMap('error');
+const encodeSaveStatus = (saveStatus) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageSaveStatus);
+  encoding.writeVarString(encoder, JSON.stringify(saveStatus));
+  return encoding.toUint8Array(encoder);
+};
 
-  // Perform the change in a transaction to avoid seeing a partial error
-  ydoc.transact(() => {
-    em.set('timestamp', Date.now());
-    em.set('message', err.message);
-    em.set('stack', err.stack);
+/**
+ * Set the save status of the document and send it to all its clients, so that the editor can
+ * show whether all changes are saved in da-admin. The status has its own message type, the
+ * payload is a JSON string with these properties:
+ *   state - 'dirty', 'saving', 'saved' or 'failed'
+ *   timestamp - when the document was saved or when saving failed
+ *   status - the status of the da-admin response, if there was one
+ *   retryAt - when a failed save is retried automatically, null if it's only retried with the
+ *     next change
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {object} saveStatus - The new save status
+ */
+export const setSaveStatus = (doc, saveStatus) => {
+  // eslint-disable-next-line no-param-reassign
+  doc.saveStatus = saveStatus;
+  const message = encodeSaveStatus(saveStatus);
+  doc.conns.forEach((_, conn) => send(doc, conn, message));
+};
+
+/**
+ * Schedule a retry of a failed save in da-admin. The delay doubles with every attempt.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} auth - The authorization to save with
+ * @param {object} version - The version of the document in da-admin that the save is based on,
+ * so that the retry is conditional on it as well
+ * @returns {Promise<number | null>} - When the save is retried, or null if it is given up
+ */
+export const scheduleSaveRetry = async (storage, auth, version = undefined) => {
+  const { attempt = 0 } = await storage.get(SAVE_RETRY_KEY) || {};
+  if (attempt >= SAVE_RETRY_MAX_ATTEMPTS) {
+    // eslint-disable-next-line no-console
+    console.log('Giving up saving after attempts:', attempt);
+    await storage.delete([SAVE_RETRY_KEY]);
+    return null;
+  }
+
+  const retryAt = Date.now() + Math.min(SAVE_RETRY_BASE_DELAY * 2 ** attempt, SAVE_RETRY_MAX_DELAY);
+  await storage.put(SAVE_RETRY_KEY, {
+    attempt: attempt + 1, auth, ...(version && { adminVersion: version }),
   });
+  await scheduleAlarm(storage, SAVE_RETRY_ALARM, retryAt);
+  return retryAt;
+};
+
+/**
+ * Cancel the pending retry of a failed save, if any.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ */
+export const cancelSaveRetry = async (storage) => {
+  await storage.delete([SAVE_RETRY_KEY]);
+  await cancelAlarm(storage, SAVE_RETRY_ALARM);
+};
+
+/**
+ * Append an update to the log of updates stored after the base state. This avoids rewriting
+ * the whole document state in the worker storage for every edit.
+ * @param {Uint8Array} update - The Yjs update
+ * @param {number} seq - The sequence number of the update in the log
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ */
+export const appendUpdate = async (update, seq, storage) => {
+  await storage.put({ updates: seq + 1, [`update_${seq}`]: update });
+};
+
+/**
+ * Send an error to the clients. Errors have their own message type, so that they don't become
+ * part of the document. Only the code and the message of the error are sent, not its stack.
+ * The message payload is a JSON string: { code, message, timestamp }
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {string} code - The error code, one of errorCodes
+ * @param {Error} err - The error
+ * @param {WebSocket} conn - The connection affected by the error. If not provided, the error
+ * is sent to all connections of the document.
+ */
+export const sendError = (doc, code, err, conn = undefined) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageError);
+  encoding.writeVarString(encoder, JSON.stringify({
+    code,
+    message: err.message,
+    timestamp: Date.now(),
+  }));
+  const message = encoding.toUint8Array(encoder);
+
+  const conns = conn ? [conn] : Array.from(doc.conns.keys());
+  conns.forEach((c) => send(doc, c, message));
 };
 
 export const persistence = {
@@ -168,50 +357,110 @@ export const persistence = {
    * @param {string} docName - The document name
    * @param {string} auth - The authorization header
    * @param {object} daadmin - The da-admin worker service binding
+   * @param {WSSharedDoc} ydoc - If passed, the version of the document in da-admin is kept on
+   * it, so that saving can check that the document wasn't changed by someone else.
    * @returns {Promise<string>} - The content of the document
    */
-  get: async (docName, auth, daadmin) => {
+  get: async (docName, auth, daadmin, ydoc = undefined) => {
     const initalOpts = {};
     if (auth) {
       initalOpts.headers = new Headers({ Authorization: auth });
     }
     const initialReq = await daadmin.fetch(docName, initalOpts);
     if (initialReq.ok) {
+      if (ydoc) {
+        // eslint-disable-next-line no-param-reassign
+        ydoc.adminVersion = adminVersion(initialReq);
+      }
       return initialReq.text();
     } else if (initialReq.status === 404) {
+      if (ydoc) {
+        // eslint-disable-next-line no-param-reassign
+        ydoc.adminVersion = undefined;
+      }
       return null;
     } else {
       // eslint-disable-next-line no-console
       console.log(`unable to get resource: ${initialReq.status} - ${initialReq.statusText}`);
-      throw new Error(`unable to get resource - status: ${initialReq.status}`);
+      const err = new Error(`unable to get resource - status: ${initialReq.status}`);
+      err.code = adminErrorCode(initialReq.status, errorCodes.LOAD_FAILED);
+      throw err;
     }
   },
 
   /**
-   * Store the content in da-admin.
+   * Get the authorizations that the document can be stored with, in order of preference. These
+   * are those of the connections that can write the document, starting with the one that
+   * edited it last. Connections that didn't edit the document follow in the order in which
+   * they connected. The connection that edited the document last is kept on the ydoc, so that
+   * its changes are stored as that user even when it was closed already.
+   * @param {WSSharedDoc} ydoc - The Yjs document
+   * @returns {string[]} - The authorizations, empty without connections that can write
+   */
+  writers: (ydoc) => {
+    const conns = Array.from(ydoc.conns.keys());
+    if (ydoc.lastWriter && !ydoc.conns.has(ydoc.lastWriter)) {
+      conns.push(ydoc.lastWriter);
+    }
+    const writers = conns
+      .filter((con) => !con.readOnly)
+      .sort((a, b) => (b.lastEdit || 0) - (a.lastEdit || 0))
+      .map((con) => con.auth);
+    return [...new Set(writers)];
+  },
+
+  /**
+   * Get the authorization to store the document with, which is that of the preferred writer.
+   * @param {WSSharedDoc} ydoc - The Yjs document
+   * @returns {string | undefined} - The authorization, or undefined without connections that
+   * can write
+   */
+  auth: (ydoc) => persistence.writers(ydoc)[0],
+
+  /**
+   * Store the content in da-admin. If the version of the document in da-admin is known, the
+   * request is conditional and da-admin responds with a 412 if the document was changed by
+   * someone else in the meantime. The user of the authorization is passed to da-admin in the
+   * X-DA-Writer header, for auditing.
    * @param {WSSharedDoc} ydoc - The Yjs document, which among other things contains the service
    * binding to da-admin.
    * @param {string} content - The content to store
+   * @param {string} auth - The authorization to use, by default that of the connections
    * @returns {object} The response from da-admin.
    */
-  put: async (ydoc, content) => {
+  put: async (ydoc, content, auth = persistence.auth(ydoc)) => {
     const blob = new Blob([content], { type: 'text/html' });
 
     const formData = new FormData();
     formData.append('data', blob);
 
     const opts = { method: 'PUT', body: formData };
-    const auth = Array.from(ydoc.conns.keys())
-      .map((con) => con.auth);
-
-    if (auth.length > 0) {
-      opts.headers = new Headers({
-        Authorization: [...new Set(auth)].join(','),
-        'X-DA-Initiator': 'collab',
-      });
+    const headers = {};
+    if (auth !== undefined) {
+      headers.Authorization = auth;
+      headers['X-DA-Initiator'] = 'collab';
+      const writer = userFromAuth(auth);
+      if (writer) {
+        headers['X-DA-Writer'] = writer.id;
+      }
+    }
+    const { etag, lastModified } = ydoc.adminVersion || {};
+    if (etag) {
+      headers['If-Match'] = etag;
+    } else if (lastModified) {
+      headers['If-Unmodified-Since'] = lastModified;
+    }
+    if (Object.keys(headers).length > 0) {
+      opts.headers = new Headers(headers);
     }
 
-    const { ok, status, statusText } = await ydoc.daadmin.fetch(ydoc.name, opts);
+    const resp = await ydoc.daadmin.fetch(ydoc.name, opts);
+    const { ok, status, statusText } = resp;
+    if (ok) {
+      // Without a version in the response, the next save is not conditional
+      // eslint-disable-next-line no-param-reassign
+      ydoc.adminVersion = adminVersion(resp);
+    }
 
     return {
       ok,
@@ -221,40 +470,148 @@ export const persistence = {
   },
 
   /**
-   * An update to the document has been received. Store it in da-admin.
+   * Store the content in da-admin with the first of the authorizations that da-admin accepts.
+   * When da-admin rejects an authorization, the content is stored with the next one.
+   * @param {WSSharedDoc} ydoc - The Yjs document
+   * @param {string} content - The content to store
+   * @param {string[]} auths - The authorizations, in order of preference
+   * @param {string[]} rejected - The authorizations that da-admin rejected with a 401 so far
+   * @returns {Promise<object>} The response from da-admin, with the authorization that was
+   * used last and those that da-admin rejected with a 401
+   */
+  putAs: async (ydoc, content, auths, rejected = []) => {
+    const [auth, ...next] = auths;
+    const resp = await persistence.put(ydoc, content, auth);
+    const unauthorized = resp.status === 401 ? [...rejected, auth] : rejected;
+    if ((resp.status === 401 || resp.status === 403) && next.length > 0) {
+      // eslint-disable-next-line no-console
+      console.log(`Save rejected with ${resp.status}, trying the next writer`, ydoc.name);
+      return persistence.putAs(ydoc, content, next, unauthorized);
+    }
+    return { ...resp, auth, rejected: unauthorized };
+  },
+
+  /**
+   * Merge the changes that were made to the document in da-admin by someone else into the
+   * ydoc. The clients are told when changes conflicted, the changes of the session are kept
+   * for these.
+   * @param {WSSharedDoc} ydoc - The ydoc
+   * @param {string} current - The content the ydoc was last loaded or saved with
+   * @param {string} auth - The authorization to use
+   * @returns {Promise<string>} - The content of the document in da-admin
+   */
+  merge: async (ydoc, current, auth) => {
+    const external = await persistence.get(ydoc.name, auth, ydoc.daadmin, ydoc);
+    if (external === null) {
+      // The document was deleted, it is stored again as it is now
+      return EMPTY_DOC;
+    }
+
+    const { merged, conflicts } = mergeExternal(ydoc, current, external);
+    // eslint-disable-next-line no-console
+    console.log('Merged changes from da-admin', ydoc.name, merged, 'conflicts:', conflicts);
+    if (conflicts > 0) {
+      sendError(ydoc, errorCodes.EDIT_CONFLICT, new Error(
+        `The document was changed by someone else, ${conflicts} conflicting changes were replaced`,
+      ));
+    }
+    return external;
+  },
+
+  /**
+   * An update to the document has been received. Store it in da-admin. If this fails because
+   * of a network or server error, a retry is scheduled. If the document was changed in
+   * da-admin in the meantime, these changes are merged into the ydoc before it is stored.
+   * The document is stored as the last editor, or the next connection that can write it if
+   * da-admin rejects that. Connections whose authorization da-admin rejected with a 401 are
+   * closed.
    * @param {WSSharedDoc} ydoc - the ydoc that has been updated.
    * @param {string} current - the current content of the document previously
    * obtained from da-admin
+   * @param {TransactionalStorage} storage - the worker storage, to schedule retries in
    * @returns {string} - the new content of the document in da-admin.
    */
-  update: async (ydoc, current) => {
-    let closeAll = false;
+  update: async (ydoc, current, storage = undefined) => {
+    let auths = persistence.writers(ydoc);
+    if (auths.length === 0) {
+      auths = [undefined];
+    }
+    let [auth] = auths;
+    let rejected = [];
+    let code = errorCodes.SAVE_FAILED;
+    let failedStatus;
+    let retry = false;
+    let base = current;
     try {
-      const content = doc2aem(ydoc);
+      let content = doc2aem(ydoc);
       if (current !== content) {
         // Only store the document if it was actually changed.
-        const { ok, status, statusText } = await persistence.put(ydoc, content);
+        const duplicates = findDuplicateIds(ydoc);
+        if (duplicates.length > 0) {
+          // The document is saved with the first element that has the id
+          sendError(ydoc, errorCodes.DUPLICATE_ID, new Error(
+            `Duplicate ids, only the first element keeps its id: ${duplicates.join(', ')}`,
+          ));
+        }
+        setSaveStatus(ydoc, { state: 'saving' });
+        retry = true; // if the put throws, which is a network error
+        const resp = await persistence.putAs(ydoc, content, auths);
+        ({ auth, rejected } = resp);
+        let { ok, status, statusText } = resp;
+
+        if (status === 412) {
+          // The document was changed in da-admin since it was loaded or last saved
+          base = await persistence.merge(ydoc, current, auth);
+          content = doc2aem(ydoc);
+          ({ ok, status, statusText } = await persistence.put(ydoc, content, auth));
+        }
 
         if (!ok) {
-          closeAll = status === 401;
+          code = adminErrorCode(status, code);
+          failedStatus = status;
+          retry = status >= 500;
           throw new Error(`${status} - ${statusText}`);
         }
         // eslint-disable-next-line no-console
         console.log(content);
 
-        return content;
+        if (ydoc.saveRetryPending) {
+          // eslint-disable-next-line no-param-reassign
+          ydoc.saveRetryPending = false;
+          await cancelSaveRetry(storage);
+        }
+
+        // If the document changed while saving, it is still dirty
+        if (ydoc.saveStatus.state === 'saving') {
+          setSaveStatus(ydoc, { state: 'saved', timestamp: Date.now(), status });
+        }
+        base = content;
+      } else if (ydoc.saveStatus.state !== 'saved') {
+        setSaveStatus(ydoc, { state: 'saved', timestamp: Date.now() });
       }
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error(err);
-      showError(ydoc, err);
+      sendError(ydoc, code, err);
+
+      let retryAt = null;
+      if (retry && storage) {
+        retryAt = await scheduleSaveRetry(storage, auth, ydoc.adminVersion);
+        // eslint-disable-next-line no-param-reassign
+        ydoc.saveRetryPending = retryAt !== null;
+      }
+      setSaveStatus(ydoc, {
+        state: 'failed', timestamp: Date.now(), status: failedStatus, retryAt,
+      });
     }
-    if (closeAll) {
-      // We had an unauthorized from da-admin - lets reset the connections
+    if (rejected.length > 0) {
+      // da-admin doesn't accept the authorization of these connections anymore
       Array.from(ydoc.conns.keys())
-        .forEach((con) => persistence.closeConn(ydoc, con));
+        .filter((con) => rejected.includes(con.auth))
+        .forEach((con) => persistence
+          .closeConn(ydoc, con, UNAUTHORIZED_CLOSE_CODE, 'Unauthorized'));
     }
-    return current;
+    return base;
   },
 
   /**
@@ -273,7 +630,7 @@ export const persistence = {
     try {
       let newDoc = false;
       const timingBeforeDaAdminGet = Date.now();
-      current = await persistence.get(docName, conn.auth, ydoc.daadmin);
+      current = await persistence.get(docName, conn.auth, ydoc.daadmin, ydoc);
       timingDaAdminGetDuration = Date.now() - timingBeforeDaAdminGet;
 
       const timingBeforeReadState = Date.now();
@@ -289,7 +646,8 @@ export const persistence = {
         // if stored has a value, the document previously existed but was deleted
 
         current = EMPTY_DOC;
-        await storage.deleteAll();
+        // The versions, alarms and attribution are kept
+        await deleteState(storage);
       } else if (stored && stored.length > 0) {
         Y.applyUpdate(ydoc, stored);
 
@@ -313,7 +671,7 @@ export const persistence = {
     } catch (error) {
       // eslint-disable-next-line no-console
       console.log('Problem restoring state from worker storage', error);
-      showError(ydoc, error);
+      sendError(ydoc, error.code || errorCodes.LOAD_FAILED, error);
     }
 
     if (!restored) {
@@ -328,34 +686,89 @@ export const persistence = {
               // clear document
               rootType.delete(0, rootType.length);
               // restore from da-admin
-              aem2doc(current, ydoc);
+              const preserved = aem2doc(current, ydoc);
 
               // eslint-disable-next-line no-console
               console.log('Restored from da-admin', docName);
+              if (preserved.length > 0) {
+                // eslint-disable-next-line no-console
+                console.log('Preserved as raw HTML', docName, preserved.map((p) => p.element));
+              }
             } catch (error) {
               // eslint-disable-next-line no-console
               console.log('Problem restoring state from da-admin', error);
-              showError(ydoc, error);
+              sendError(ydoc, errorCodes.PARSE_FAILED, error);
             }
           });
         }
       }, 1000);
     }
 
-    ydoc.on('update', async () => {
-      // Whenever we receive an update on the document store it in the local storage
-      if (ydoc === docs.get(docName)) { // make sure this ydoc is still active
-        storeState(docName, Y.encodeStateAsUpdate(ydoc), storage);
-      }
+    // Keep track of who changes the document
+    await bindAuthors(ydoc, storage);
+
+    // Whenever we receive an update on the document store it in the local storage. Updates are
+    // appended to a log, which is compacted into a new base state when it gets too long. The
+    // first update of a session compacts too, as the size of a stored log isn't known. The
+    // writes are chained so that the sequence numbers in the log are used in order.
+    let logSize = MAX_UPDATE_LOG_SIZE;
+    let storing = Promise.resolve();
+    ydoc.on('update', (update) => {
+      storing = storing.then(async () => {
+        if (ydoc !== docs.get(docName)) { // make sure this ydoc is still active
+          return;
+        }
+        try {
+          if (logSize < MAX_UPDATE_LOG_SIZE && update.byteLength < MAX_STORAGE_VALUE_SIZE) {
+            await appendUpdate(update, logSize, storage);
+            logSize += 1;
+          } else {
+            await storeState(docName, Y.encodeStateAsUpdate(ydoc), storage);
+            logSize = 0;
+          }
+        } catch (err) {
+          // eslint-disable-next-line no-console
+          console.error('Problem storing state in worker storage', err);
+          if (err.code === errorCodes.STORAGE_TOO_LARGE) {
+            sendError(ydoc, err.code, err);
+          }
+          // Write the full state the next time, as it's unclear what was stored
+          logSize = MAX_UPDATE_LOG_SIZE;
+        }
+      });
+      return storing;
     });
 
-    ydoc.on('update', debounce(async () => {
+    const save = debounce(async () => {
+      // A discarded ydoc is not saved, for example when the document was deleted
+      if (!ydoc.discarded) {
+        current = await persistence.update(ydoc, current, storage);
+      }
+    }, 2000, { maxWait: 10000 });
+    ydoc.on('update', (_, origin) => {
+      if (ydoc.conns.has(origin)) {
+        // The last editor is the preferred writer when the document is stored
+        // eslint-disable-next-line no-param-reassign
+        origin.lastEdit = Date.now();
+        if (!origin.readOnly) {
+          // eslint-disable-next-line no-param-reassign
+          ydoc.lastWriter = origin;
+        }
+      }
       // If we receive an update on the document, store it in da-admin, but debounce it
-      // to avoid excessive da-admin calls.
-      if (ydoc === docs.get(docName)) {
-        current = await persistence.update(ydoc, current);
+      // to avoid excessive da-admin calls. Until then the document is dirty.
+      if (ydoc.saveStatus.state !== 'dirty' && !ydoc.discarded) {
+        setSaveStatus(ydoc, { state: 'dirty' });
       }
-    }, 2000, { maxWait: 10000 }));
+      return save();
+    });
+
+    // Save the document right away, as the writers of the document
+    // eslint-disable-next-line no-param-reassign
+    ydoc.saveNow = () => {
+      save();
+      return save.flush();
+    };
 
     const timingMap = new Map();
     timingMap.set('timingReadStateDuration', timingReadStateDuration);
@@ -380,6 +793,8 @@ export class WSSharedDoc extends Y.Doc {
     super({ gc: gcEnabled });
     this.name = name;
     this.conns = new Map();
+    // The document is loaded from da-admin, so it starts out saved
+    this.saveStatus = { state: 'saved' };
     this.awareness = new awarenessProtocol.Awareness(this);
     this.awareness.setLocalState(null);
 
@@ -408,6 +823,7 @@ export class WSSharedDoc extends Y.Doc {
     };
     this.awareness.on('update', awarenessChangeHandler);
     this.on('update', updateHandler);
+    bindMetadata(this);
   }
 }
 
@@ -453,6 +869,78 @@ export const getYDoc = async (docname, conn, env, storage, timingData, gc = true
 // For testing
 export const setYDoc = (docname, ydoc) => docs.set(docname, ydoc);
 
+/**
+ * Find the ydoc of a document that currently has connections.
+ * @param {string} docName - The name of the document
+ * @returns {WSSharedDoc | undefined} - The ydoc or undefined if the document is not open
+ */
+export const findYDoc = (docName) => docs.get(docName);
+
+/**
+ * Get the ydoc of a document. If the document is currently open, its shared ydoc is returned,
+ * otherwise a ydoc is restored from the worker storage. A restored ydoc is not connected to
+ * anything, so changes made to it are not persisted.
+ * @param {string} docName - The name of the document
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<Y.Doc | undefined>} - The ydoc or undefined if there is no stored state
+ */
+export const loadYDoc = async (docName, storage) => {
+  const ydoc = docs.get(docName);
+  if (ydoc) {
+    return ydoc;
+  }
+
+  const stored = await readState(docName, storage);
+  if (!stored) {
+    return undefined;
+  }
+  const restored = new Y.Doc({ gc: gcEnabled });
+  Y.applyUpdate(restored, stored);
+  return restored;
+};
+
+/**
+ * Tell a read-only connection that its change to the document was not accepted. The message
+ * is only sent to this connection.
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {WebSocket} conn - The read-only connection
+ */
+const denyWrite = (doc, conn) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageAuth);
+  authProtocol.writePermissionDenied(encoder, 'Document is read-only, the change was rejected');
+  send(doc, conn, encoding.toUint8Array(encoder));
+};
+
+/**
+ * Read a sync message from a read-only connection. The client can obtain the document state,
+ * but its changes are not applied to the document.
+ * @param {decoding.Decoder} decoder - The decoder positioned after the message type
+ * @param {encoding.Encoder} encoder - The encoder for the reply
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {WebSocket} conn - The read-only connection
+ */
+const readReadOnlySyncMessage = (decoder, encoder, doc, conn) => {
+  switch (decoding.readVarUint(decoder)) {
+    case syncProtocol.messageYjsSyncStep1:
+      syncProtocol.readSyncStep1(decoder, encoder, doc);
+      break;
+    case syncProtocol.messageYjsSyncStep2: {
+      // The reply to the sync step 1 of the server. Clients always send it, so it's only
+      // rejected if it contains content that the server doesn't have.
+      const update = decoding.readVarUint8Array(decoder);
+      const { structs } = Y.decodeUpdate(Y.diffUpdate(update, Y.encodeStateVector(doc)));
+      if (structs.length > 0) {
+        denyWrite(doc, conn);
+      }
+      break;
+    }
+    default:
+      denyWrite(doc, conn);
+      break;
+  }
+};
+
 export const messageListener = (conn, doc, message) => {
   try {
     const encoder = encoding.createEncoder();
@@ -461,7 +949,11 @@ export const messageListener = (conn, doc, message) => {
     switch (messageType) {
       case messageSync:
         encoding.writeVarUint(encoder, messageSync);
-        syncProtocol.readSyncMessage(decoder, encoder, doc, conn);
+        if (conn.readOnly) {
+          readReadOnlySyncMessage(decoder, encoder, doc, conn);
+        } else {
+          syncProtocol.readSyncMessage(decoder, encoder, doc, conn);
+        }
 
         // If the `encoder` only contains the type of reply message and no
         // message, there is no need to send the message. When `encoder` only
@@ -471,8 +963,10 @@ export const messageListener = (conn, doc, message) => {
         }
         break;
       case messageAwareness: {
-        awarenessProtocol
-          .applyAwarenessUpdate(doc.awareness, decoding.readVarUint8Array(decoder), conn);
+        const problem = applyClientAwareness(doc, conn, decoding.readVarUint8Array(decoder));
+        if (problem) {
+          sendError(doc, errorCodes.AWARENESS_REJECTED, new Error(problem), conn);
+        }
         break;
       }
       default:
@@ -481,7 +975,27 @@ export const messageListener = (conn, doc, message) => {
   } catch (err) {
     // eslint-disable-next-line no-console
     console.error(err);
-    showError(doc, err);
+    sendError(doc, errorCodes.PARSE_FAILED, err, conn);
+  }
+};
+
+/**
+ * Read the new authorization from a message of a client, if it is a token refresh message.
+ * These messages are handled by the durable object, as the new authorization is checked before
+ * the connection uses it.
+ * @param {Uint8Array} message - The message
+ * @returns {string | null} - The new Authorization header value, or null if the message is not
+ * a token refresh message
+ */
+export const readAuthRefresh = (message) => {
+  try {
+    const decoder = decoding.createDecoder(message);
+    if (decoding.readVarUint(decoder) !== messageRefreshAuth) {
+      return null;
+    }
+    return decoding.readVarString(decoder) || null;
+  } catch (err) {
+    return null;
   }
 };
 
@@ -489,15 +1003,20 @@ export const messageListener = (conn, doc, message) => {
  * Invalidate the worker storage for the document, which will ensure that when accessed
  * the worker will fetch the latest version of the document from the da-admin.
  * Invalidation is implemented by closing all client connections to the doc, which will
- * cause it to be reinitialised when accessed.
+ * cause it to be reinitialised when accessed. Closing the last connection saves pending
+ * changes, unless the document was deleted.
  * @param {string} docName - The name of the document
+ * @param {boolean} deleted - true if the document was deleted in da-admin
  * @returns true if the document was found and invalidated, false otherwise.
  */
-export const invalidateFromAdmin = async (docName) => {
+export const invalidateFromAdmin = async (docName, deleted = false) => {
   // eslint-disable-next-line no-console
   console.log('Invalidate from Admin received', docName);
   const ydoc = docs.get(docName);
   if (ydoc) {
+    // eslint-disable-next-line no-param-reassign
+    ydoc.discarded = deleted;
+
     // As we are closing all connections, the ydoc will be removed from the docs map
     ydoc.conns.forEach((_, c) => closeConn(ydoc, c));
 
@@ -509,6 +1028,101 @@ export const invalidateFromAdmin = async (docName) => {
   return false;
 };
 
+/**
+ * Retry a failed save in da-admin, when its alarm goes off. If the document is open the retry
+ * goes through the shared ydoc. Otherwise the document is loaded from the worker storage and
+ * saved with the authorization of the failed save, conditional on the version of the document
+ * in da-admin that it was based on.
+ * @param {string} docName - The name of the document
+ * @param {TransactionalStorage} storage - The worker transactional storage object
+ * @param {object} daadmin - The da-admin worker service binding
+ * @param {WSSharedDoc} ydoc - The shared ydoc if the document is open
+ */
+export const retrySave = async (docName, storage, daadmin, ydoc = undefined) => {
+  const pending = await storage.get(SAVE_RETRY_KEY);
+  if (!pending) {
+    return;
+  }
+
+  if (ydoc?.saveNow) {
+    // eslint-disable-next-line no-param-reassign
+    ydoc.saveRetryPending = true;
+    await ydoc.saveNow();
+    return;
+  }
+
+  const stored = await loadYDoc(docName, storage);
+  if (!stored) {
+    await cancelSaveRetry(storage);
+    return;
+  }
+  stored.name = docName;
+  stored.daadmin = daadmin;
+  stored.adminVersion = pending.adminVersion;
+
+  let ok = false;
+  let status;
+  try {
+    ({ ok, status } = await persistence.put(stored, doc2aem(stored), pending.auth));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Problem retrying save', err);
+  }
+  // eslint-disable-next-line no-console
+  console.log('Retried save of', docName, ok ? 'succeeded' : `failed: ${status}`);
+  if (ok || status < 500) {
+    await cancelSaveRetry(storage);
+  } else {
+    await scheduleSaveRetry(storage, pending.auth, pending.adminVersion);
+  }
+};
+
+/**
+ * Start the synchronization with a connection. Sync step 1 asks the client for the changes
+ * that the ydoc doesn't have, and the client receives the awareness states and the save status.
+ * @param {WSSharedDoc} doc - The shared ydoc
+ * @param {WebSocket} conn - The WebSocket connection
+ */
+const sendInitialState = (doc, conn) => {
+  // send sync step 1
+  let encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageSync);
+  syncProtocol.writeSyncStep1(encoder, doc);
+  send(doc, conn, encoding.toUint8Array(encoder));
+  const awarenessStates = doc.awareness.getStates();
+  if (awarenessStates.size > 0) {
+    encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageAwareness);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol
+      .encodeAwarenessUpdate(doc.awareness, Array.from(awarenessStates.keys())));
+    send(doc, conn, encoding.toUint8Array(encoder));
+  }
+  send(doc, conn, encodeSaveStatus(doc.saveStatus));
+};
+
+/**
+ * Attach an existing WebSocket connection to the shared ydoc again. This is needed after the
+ * durable object was hibernated, as the ydoc and the connection state are then no longer in
+ * memory. If not present the ydoc is rebuilt, from the worker storage if its state is still
+ * current. The synchronization with the client is started again, so that it sends the changes
+ * that the rebuilt ydoc is missing.
+ * @param {WebSocket} conn - The WebSocket connection, with its auth restored
+ * @param {string} docName - The name of the document
+ * @param {object} env - The durable object environment object
+ * @param {TransactionalStorage} storage - The worker transactional storage object
+ * @param {number[]} awarenessIds - The awareness client IDs controlled by the connection
+ * @returns {Promise<WSSharedDoc>} - The shared ydoc
+ */
+export const restoreWSConnection = async (conn, docName, env, storage, awarenessIds = []) => {
+  const doc = await getYDoc(docName, conn, env, storage, undefined, gcEnabled);
+  // The connection might have been closed while the ydoc was being restored
+  if (doc.conns.has(conn)) {
+    awarenessIds.forEach((id) => doc.conns.get(conn).add(id));
+    sendInitialState(doc, conn);
+  }
+  return doc;
+};
+
 /**
  * Called when a new (Yjs) WebSocket connection is being established.
  * @param {WebSocket} conn - The WebSocket connection
@@ -523,32 +1137,12 @@ export const setupWSConnection = async (conn, docName, env, storage) => {
   // eslint-disable-next-line no-param-reassign
   conn.binaryType = 'arraybuffer';
   // get doc, initialize if it does not exist yet
-  const doc = await getYDoc(docName, conn, env, storage, timingData, true);
-
-  // listen and reply to events
-  conn.addEventListener('message', (message) => messageListener(conn, doc, new Uint8Array(message.data)));
+  const doc = await getYDoc(docName, conn, env, storage, timingData, gcEnabled);
 
-  // Check if connection is still alive
-  conn.addEventListener('close', () => {
-    closeConn(doc, conn);
-  });
-  // put the following in a variables in a block so the interval handlers don't keep in in
-  // scope
-  {
-    // send sync step 1
-    let encoder = encoding.createEncoder();
-    encoding.writeVarUint(encoder, messageSync);
-    syncProtocol.writeSyncStep1(encoder, doc);
-    send(doc, conn, encoding.toUint8Array(encoder));
-    const awarenessStates = doc.awareness.getStates();
-    if (awarenessStates.size > 0) {
-      encoder = encoding.createEncoder();
-      encoding.writeVarUint(encoder, messageAwareness);
-      encoding.writeVarUint8Array(encoder, awarenessProtocol
-        .encodeAwarenessUpdate(doc.awareness, Array.from(awarenessStates.keys())));
-      send(doc, conn, encoding.toUint8Array(encoder));
-    }
-  }
+  // Messages and close events are not listened to here. The durable object receives them
+  // through its webSocketMessage() and webSocketClose() handlers, which also work after
+  // the object was hibernated.
 
+  sendInitialState(doc, conn);
   return timingData;
 };
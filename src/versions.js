@@ -0,0 +1,165 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import * as Y from 'yjs';
+import { prosemirrorToYXmlFragment, yDocToProsemirror } from 'y-prosemirror';
+import { isAlarmScheduled, scheduleAlarm } from './alarms.js';
+import { doc2aem } from './collab.js';
+import { getSchema } from './schema.js';
+
+// Versions are stored in the durable object storage, one key per version.
+const VERSION_PREFIX = 'version_';
+
+// While the document is being edited, a version is taken at this interval.
+export const VERSION_INTERVAL = 15 * 60 * 1000;
+
+// The name of the alarm task that takes the automatic versions
+export const VERSIONS_ALARM = 'versions';
+
+// The maximum number of automatic versions kept. When exceeded, the oldest are removed.
+// Versions created on demand are never removed automatically.
+const MAX_AUTO_VERSIONS = 96;
+
+const toInfo = ({
+  id, label, created, auto,
+}) => ({
+  id, label, created, auto,
+});
+
+/**
+ * Read all stored versions including their snapshots, newest first.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<object[]>} - The stored versions
+ */
+const readVersions = async (storage) => {
+  const stored = await storage.list({ prefix: VERSION_PREFIX });
+  return Array.from(stored.values()).sort((a, b) => b.id - a.id);
+};
+
+/**
+ * List the versions of the document, newest first.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<object[]>} - The version id, label, creation time and whether it
+ * was created automatically.
+ */
+export const listVersions = async (storage) => (await readVersions(storage)).map(toInfo);
+
+/**
+ * Record the current state of the ydoc as a new version. As the ydoc doesn't garbage collect,
+ * only the Yjs snapshot (state vector and delete set) needs to be stored.
+ * @param {Y.Doc} ydoc - The ydoc to take the version of
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {string} label - An optional name for the version
+ * @param {boolean} auto - true if the version is taken automatically
+ * @returns {Promise<object>} - The id, label, creation time and auto flag of the new version
+ */
+export const createVersion = async (ydoc, storage, label = null, auto = false) => {
+  const versions = await readVersions(storage);
+
+  const created = Date.now();
+  // Ids are based on the creation time, but need to be unique
+  const id = versions.length > 0 && versions[0].id >= created ? versions[0].id + 1 : created;
+  const version = {
+    id,
+    label,
+    created,
+    auto,
+    snapshot: Y.encodeSnapshot(Y.snapshot(ydoc)),
+  };
+  await storage.put(`${VERSION_PREFIX}${id}`, version);
+
+  if (auto) {
+    const expired = versions.filter((v) => v.auto).slice(MAX_AUTO_VERSIONS - 1);
+    if (expired.length > 0) {
+      await storage.delete(expired.map((v) => `${VERSION_PREFIX}${v.id}`));
+    }
+  }
+  return toInfo(version);
+};
+
+/**
+ * Take an automatic version of the document, but only if it changed since the last version.
+ * @param {Y.Doc} ydoc - The ydoc to take the version of
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @returns {Promise<object | null>} - The new version, or null if the ydoc was not changed
+ */
+export const createScheduledVersion = async (ydoc, storage) => {
+  const [latest] = await readVersions(storage);
+  if (latest && Y.equalSnapshots(Y.decodeSnapshot(latest.snapshot), Y.snapshot(ydoc))) {
+    return null;
+  }
+  return createVersion(ydoc, storage, null, true);
+};
+
+/**
+ * Create a new ydoc with the content that the document had at the time of the version.
+ * @param {Y.Doc} ydoc - The ydoc that the version was taken of
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {number} id - The version id
+ * @returns {Promise<Y.Doc | null>} - The ydoc for the version, or null if not found
+ */
+const getVersionDoc = async (ydoc, storage, id) => {
+  const version = await storage.get(`${VERSION_PREFIX}${id}`);
+  if (!version) {
+    return null;
+  }
+  return Y.createDocFromSnapshot(ydoc, Y.decodeSnapshot(version.snapshot));
+};
+
+/**
+ * Render a version of the document as AEM HTML.
+ * @param {Y.Doc} ydoc - The ydoc that the version was taken of
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {number} id - The version id
+ * @returns {Promise<string | null>} - The HTML of the version, or null if not found
+ */
+export const getVersion = async (ydoc, storage, id) => {
+  const versionDoc = await getVersionDoc(ydoc, storage, id);
+  return versionDoc ? doc2aem(versionDoc) : null;
+};
+
+/**
+ * Restore a version of the document. The restore is applied as a new edit on top of the
+ * current state, so that all connected clients receive it as a regular update. Before
+ * restoring, the current state is recorded as a version so that the restore can be undone.
+ * @param {Y.Doc} ydoc - The ydoc to restore the version in
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {number} id - The version id
+ * @returns {Promise<boolean>} - true if restored, false if the version was not found
+ */
+export const restoreVersion = async (ydoc, storage, id) => {
+  const versionDoc = await getVersionDoc(ydoc, storage, id);
+  if (!versionDoc) {
+    return false;
+  }
+
+  await createVersion(ydoc, storage, `Before restoring version ${id}`);
+  const restored = yDocToProsemirror(getSchema(), versionDoc);
+  ydoc.transact(() => {
+    // This only applies the differences with the current content to the ydoc
+    prosemirrorToYXmlFragment(restored, ydoc.getXmlFragment('prosemirror'));
+  });
+
+  // eslint-disable-next-line no-console
+  console.log('Restored version', id);
+  return true;
+};
+
+/**
+ * Make sure an alarm is scheduled for taking the next automatic version.
+ * @param {TransactionalStorage} storage - The worker transactional storage
+ * @param {boolean} next - true to schedule the next version, also if one is already scheduled
+ */
+export const scheduleVersions = async (storage, next = false) => {
+  if (next || !await isAlarmScheduled(storage, VERSIONS_ALARM)) {
+    await scheduleAlarm(storage, VERSIONS_ALARM, Date.now() + VERSION_INTERVAL);
+  }
+};
@@ -0,0 +1,55 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  cancelAlarm, isAlarmScheduled, scheduleAlarm, takeDueAlarms,
+} from '../src/alarms.js';
+import { mockStorage } from './mocks/helpers.js';
+
+describe('Alarms test suite', () => {
+  it('Test schedule alarms', async () => {
+    const storage = mockStorage();
+
+    assert.equal(false, await isAlarmScheduled(storage, 'a'));
+    await scheduleAlarm(storage, 'a', 2000);
+    assert.equal(true, await isAlarmScheduled(storage, 'a'));
+    assert.equal(2000, await storage.getAlarm());
+
+    await scheduleAlarm(storage, 'b', 3000);
+    assert.equal(2000, await storage.getAlarm(), 'The earliest alarm should be kept');
+    await scheduleAlarm(storage, 'c', 1000);
+    assert.equal(1000, await storage.getAlarm());
+
+    await cancelAlarm(storage, 'c');
+    assert.equal(false, await isAlarmScheduled(storage, 'c'));
+    assert.equal(true, await isAlarmScheduled(storage, 'a'));
+  });
+
+  it('Test take due alarms', async () => {
+    const storage = mockStorage();
+    const now = Date.now();
+    await scheduleAlarm(storage, 'past', now - 1000);
+    await scheduleAlarm(storage, 'now', now);
+    await scheduleAlarm(storage, 'later', now + 60000);
+    await scheduleAlarm(storage, 'soon', now + 1000);
+
+    const due = await takeDueAlarms(storage);
+    assert.deepStrictEqual(['now', 'past'], due.sort());
+    assert.deepStrictEqual(['alarm_later', 'alarm_soon'], [...storage.data.keys()].sort());
+    assert.equal(now + 1000, await storage.getAlarm(), 'Alarm should be set for the next task');
+
+    const empty = mockStorage();
+    assert.deepStrictEqual([], await takeDueAlarms(empty));
+    assert.equal(null, await empty.getAlarm());
+  });
+});
@@ -0,0 +1,190 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  cachePermission, clearAuthCache, decodeClaims, getCachedPermission, tokenExpiry, userId,
+  verifyToken,
+} from '../src/auth.js';
+import { handleApiRequest } from '../src/edge.js';
+
+const algorithm = {
+  name: 'RSASSA-PKCS1-v1_5',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256',
+};
+
+const base64url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const encode = (obj) => base64url(new TextEncoder().encode(JSON.stringify(obj)));
+
+// A key pair that stands in for the keys of the identity provider
+let keyPair;
+let jwks;
+
+const sign = async (claims, kid = 'test-key', privateKey = keyPair.privateKey) => {
+  const data = `${encode({ alg: 'RS256', kid })}.${encode(claims)}`;
+  const signature = await crypto.subtle.sign(algorithm, privateKey, new TextEncoder().encode(data));
+  return `Bearer ${data}.${base64url(signature)}`;
+};
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('Auth test suite', () => {
+  before(async () => {
+    keyPair = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+    const jwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+    jwks = { keys: [{ ...jwk, kid: 'test-key' }] };
+  });
+
+  beforeEach(() => {
+    clearAuthCache();
+  });
+
+  it('Test verify token', async () => {
+    const env = { JWKS: JSON.stringify(jwks) };
+    const claims = await verifyToken(await sign({ user_id: 'joe', exp: inAnHour() }), env);
+    assert.equal('joe', claims.user_id);
+    assert.equal('joe', userId(claims));
+
+    const ims = await sign({ sub: 'ann', created_at: String(Date.now()), expires_in: '86400000' });
+    assert.equal('ann', userId(await verifyToken(ims, env)));
+  });
+
+  it('Test user id', () => {
+    assert.equal('joe', userId({ user_id: 'joe', sub: 'sub1', email: 'joe@example.com' }));
+    assert.equal('sub1', userId({ sub: 'sub1', email: 'joe@example.com' }));
+    assert.equal('joe@example.com', userId({ email: 'joe@example.com' }));
+    assert.equal('42', userId({ user_id: 42 }));
+    assert.equal(null, userId({ type: 'access_token' }));
+    assert.equal(null, userId(null));
+  });
+
+  it('Test verify token rejects invalid tokens', async () => {
+    const env = { JWKS: jwks };
+    const expired = await sign({ user_id: 'joe', exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.equal(null, await verifyToken(expired, env));
+    assert.equal(null, await verifyToken(await sign({ user_id: 'joe' }), env), 'No expiry');
+    assert.equal(null, await verifyToken(await sign({ user_id: 'joe', exp: inAnHour() }, 'other'), env));
+
+    const otherKeys = await crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+    const forged = await sign({ user_id: 'joe', exp: inAnHour() }, 'test-key', otherKeys.privateKey);
+    assert.equal(null, await verifyToken(forged, env));
+
+    const [header, , signature] = (await sign({ user_id: 'joe', exp: inAnHour() })).split('.');
+    const tampered = `${header}.${encode({ user_id: 'ann', exp: inAnHour() })}.${signature}`;
+    assert.equal(null, await verifyToken(tampered, env));
+
+    const unsigned = `Bearer ${encode({ alg: 'none' })}.${encode({ user_id: 'joe', exp: inAnHour() })}.`;
+    assert.equal(null, await verifyToken(unsigned, env));
+    assert.equal(null, await verifyToken('Bearer 123', env));
+    assert.equal(null, await verifyToken('Bearer a.b.c', env));
+    assert.equal(null, await verifyToken(undefined, env));
+  });
+
+  it('Test decode claims', () => {
+    const claims = { user_id: 'joe', name: 'Jöe <?>', exp: 100 };
+    assert.deepStrictEqual(claims, decodeClaims(`Bearer x.${encode(claims)}.y`));
+    assert.equal(100000, tokenExpiry(`Bearer x.${encode(claims)}.y`));
+    assert.equal(null, decodeClaims('Bearer 123'));
+    assert.equal(null, decodeClaims('Bearer x.!!.y'));
+    assert.equal(null, decodeClaims(`Bearer x.${encode('joe')}.y`));
+    assert.equal(null, decodeClaims(undefined));
+    assert.equal(null, tokenExpiry(undefined));
+  });
+
+  it('Test verify token without keys', async () => {
+    const token = await sign({ user_id: 'joe', exp: inAnHour() });
+    assert.equal(null, await verifyToken(token, {}));
+  });
+
+  it('Test verify token fetches and caches the keys', async () => {
+    const savedFetch = globalThis.fetch;
+    const fetched = [];
+    try {
+      globalThis.fetch = async (url) => {
+        fetched.push(url);
+        return new Response(JSON.stringify(jwks));
+      };
+      const env = { JWKS_URL: 'https://ims.example.com/keys' };
+      const token = await sign({ user_id: 'joe', exp: inAnHour() });
+      assert.equal('joe', userId(await verifyToken(token, env)));
+      assert.equal('joe', userId(await verifyToken(token, env)));
+      assert.deepStrictEqual(['https://ims.example.com/keys'], fetched);
+
+      // An unknown key is looked up again, but not more than once a minute
+      const other = await sign({ user_id: 'joe', exp: inAnHour() }, 'new-key');
+      assert.equal(null, await verifyToken(other, env));
+      assert.equal(1, fetched.length);
+
+      clearAuthCache();
+      globalThis.fetch = async () => new Response(null, { status: 503 });
+      assert.equal(null, await verifyToken(token, env));
+    } finally {
+      globalThis.fetch = savedFetch;
+    }
+  });
+
+  it('Test permission cache', () => {
+    assert.equal(undefined, getCachedPermission('joe', 'https://admin.da.live/a.html'));
+    cachePermission('joe', 'https://admin.da.live/a.html', true);
+    assert.deepStrictEqual(true, getCachedPermission('joe', 'https://admin.da.live/a.html').readOnly);
+    assert.equal(undefined, getCachedPermission('ann', 'https://admin.da.live/a.html'));
+    assert.equal(undefined, getCachedPermission('joe', 'https://admin.da.live/b.html'));
+
+    const savedNow = Date.now;
+    try {
+      Date.now = () => savedNow() + 61000;
+      assert.equal(undefined, getCachedPermission('joe', 'https://admin.da.live/a.html'));
+    } finally {
+      Date.now = savedNow;
+    }
+  });
+
+  it('Test verified users skip the da-admin check', async () => {
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url) => {
+        daadminCalls.push(url);
+        return new Response(null, { status: 200, headers: { 'X-da-actions': '/a.html=read' } });
+      },
+    };
+    const room = { fetch: async () => new Response('OK', { status: 200 }) };
+    const rooms = { idFromName: (nm) => nm, get: () => room };
+    const env = { rooms, daadmin, JWKS: JSON.stringify(jwks) };
+    const request = (auth) => ({
+      url: 'http://localhost:9999/api/v1/render?doc=https://admin.da.live/a.html',
+      headers: new Map().set('Authorization', auth),
+    });
+
+    const token = await sign({ user_id: 'joe', exp: inAnHour() });
+    assert.equal(200, (await handleApiRequest(request(token), env)).status);
+    assert.equal(200, (await handleApiRequest(request(token), env)).status);
+    assert.equal(1, daadminCalls.length);
+
+    // The cached permission is still enforced
+    const restore = {
+      ...request(token),
+      url: 'http://localhost:9999/api/v1/versions/restore?doc=https://admin.da.live/a.html&version=1',
+      method: 'POST',
+    };
+    assert.equal(403, (await handleApiRequest(restore, env)).status);
+    assert.equal(1, daadminCalls.length);
+
+    // Other users and tokens that can't be verified are checked with da-admin
+    await handleApiRequest(request(await sign({ user_id: 'ann', exp: inAnHour() })), env);
+    await handleApiRequest(request('Bearer 123'), env);
+    await handleApiRequest(request('Bearer 123'), env);
+    assert.equal(4, daadminCalls.length);
+  });
+});
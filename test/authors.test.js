@@ -0,0 +1,154 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+
+import {
+  bindAuthors, readAttribution, readAuthors, userFromAuth,
+} from '../src/authors.js';
+import { aem2doc } from '../src/collab.js';
+import { WSSharedDoc } from '../src/shareddoc.js';
+import { bearer, mockStorage } from './mocks/helpers.js';
+
+// Apply the changes of a client doc to the shared doc, like a sync message of the connection
+const sync = (client, ydoc, conn) => {
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(client, Y.encodeStateVector(ydoc)), conn);
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(ydoc, Y.encodeStateVector(client)));
+};
+
+describe('Authors test suite', () => {
+  it('Test user from auth', () => {
+    assert.deepStrictEqual(
+      { id: 'abc@AdobeID', name: 'joe@example.com' },
+      userFromAuth(bearer({ user_id: 'abc@AdobeID', email: 'joe@example.com' })),
+    );
+    assert.deepStrictEqual({ id: 'sub1', name: 'sub1' }, userFromAuth(bearer({ sub: 'sub1' })));
+    assert.equal(null, userFromAuth(bearer({ type: 'access_token' })));
+    assert.equal(null, userFromAuth('Bearer opaque'));
+    assert.equal(null, userFromAuth('Bearer a.!!!.c'));
+    assert.equal(null, userFromAuth(undefined));
+  });
+
+  it('Test attribution of changes', async () => {
+    const storage = mockStorage();
+    const ydoc = new WSSharedDoc('https://admin.da.live/source/authors.html');
+    aem2doc('<main><div><p>Loaded</p><p>Second</p></div></main>', ydoc);
+
+    const conn = (auth) => ({ auth, readyState: 1, send: () => {} });
+    const joe = conn(bearer({ user_id: 'joe', email: 'joe@example.com' }));
+    const ann = conn(bearer({ user_id: 'ann', email: 'ann@example.com' }));
+    const anonymous = conn('Bearer opaque');
+    [joe, ann, anonymous].forEach((conn) => ydoc.conns.set(conn, new Set()));
+    await bindAuthors(ydoc, storage);
+
+    const joeDoc = new Y.Doc();
+    const annDoc = new Y.Doc();
+    sync(joeDoc, ydoc, joe);
+    sync(annDoc, ydoc, ann);
+
+    // Joe adds to the first paragraph, Ann adds a paragraph
+    joeDoc.getXmlFragment('prosemirror').get(0).get(0).insert(6, ' by Joe');
+    sync(joeDoc, ydoc, joe);
+    const paragraph = new Y.XmlElement('paragraph');
+    paragraph.insert(0, [new Y.XmlText('By Ann')]);
+    annDoc.getXmlFragment('prosemirror').insert(2, [paragraph]);
+    sync(annDoc, ydoc, ann);
+    // Changes of connections without a known user are not attributed
+    const anonDoc = new Y.Doc();
+    sync(anonDoc, ydoc, anonymous);
+    anonDoc.getXmlFragment('prosemirror').get(1).get(0).insert(0, 'Anon ');
+    sync(anonDoc, ydoc, anonymous);
+
+    const { users, blocks } = readAuthors(ydoc, ydoc.attribution);
+    assert.deepStrictEqual({ joe: { name: 'joe@example.com' }, ann: { name: 'ann@example.com' } }, users);
+    assert.deepStrictEqual([
+      { start: 0, end: 6, user: null },
+      { start: 6, end: 13, user: 'joe' },
+    ], blocks[0].ranges);
+    assert.equal(null, blocks[0].createdBy);
+    assert.equal('joe', blocks[0].lastEditedBy);
+    assert(blocks[0].lastEdited > 0);
+
+    assert.deepStrictEqual([{ start: 0, end: 11, user: null }], blocks[1].ranges);
+    assert.equal(null, blocks[1].lastEditedBy);
+
+    assert.deepStrictEqual({
+      index: 2,
+      type: 'paragraph',
+      ranges: [{ start: 0, end: 6, user: 'ann' }],
+      createdBy: 'ann',
+      lastEditedBy: 'ann',
+      lastEdited: blocks[2].lastEdited,
+    }, blocks[2]);
+    assert.deepStrictEqual(['joe', 'ann'], ydoc.attribution.log.map((l) => l.user));
+
+    // The attribution is stored
+    await ydoc.storeAttribution();
+    const stored = await readAttribution(storage);
+    assert.equal('joe', stored.clients[joeDoc.clientID]);
+    assert.equal('ann', stored.clients[annDoc.clientID]);
+  });
+
+  it('Test stored attribution is pruned', async () => {
+    const storage = mockStorage();
+    const ydoc = new WSSharedDoc('https://admin.da.live/source/authors-pruned.html');
+    aem2doc('<main><div><p>Loaded</p></div></main>', ydoc);
+    const joe = { auth: bearer({ user_id: 'joe' }), readyState: 1, send: () => {} };
+    ydoc.conns.set(joe, new Set());
+    await bindAuthors(ydoc, storage);
+
+    // Joe adds a paragraph and deletes it again
+    const joeDoc = new Y.Doc();
+    sync(joeDoc, ydoc, joe);
+    const paragraph = new Y.XmlElement('paragraph');
+    paragraph.insert(0, [new Y.XmlText('By Joe')]);
+    joeDoc.getXmlFragment('prosemirror').insert(1, [paragraph]);
+    sync(joeDoc, ydoc, joe);
+    assert.equal(1, Object.keys(ydoc.attribution.blocks).length);
+    joeDoc.getXmlFragment('prosemirror').delete(1, 1);
+    sync(joeDoc, ydoc, joe);
+
+    ydoc.attribution.users.gone = { name: 'Gone' };
+    await ydoc.storeAttribution();
+    const stored = await readAttribution(storage);
+    assert.deepStrictEqual({}, stored.blocks);
+    assert.deepStrictEqual({}, stored.clients);
+    assert.deepStrictEqual({ joe: { name: 'joe' } }, stored.users, 'Joe is still in the log');
+    assert.deepStrictEqual(['joe'], stored.log.map((l) => l.user));
+
+    // The oldest entries of the log are dropped when the attribution is too large
+    const user = 'x'.repeat(200);
+    ydoc.attribution.log = Array.from({ length: 1000 }, (_, client) => ({ client, user, time: 1 }));
+    await ydoc.storeAttribution();
+    const { log } = await readAttribution(storage);
+    assert(log.length > 0 && log.length < 1000);
+    assert.equal(999, log[log.length - 1].client);
+  });
+
+  it('Test attribution store failures are logged', async () => {
+    const ydoc = new WSSharedDoc('https://admin.da.live/source/authors-failed.html');
+    const storage = {
+      get: async () => undefined,
+      put: async () => { throw new Error('boom'); },
+    };
+    await bindAuthors(ydoc, storage);
+    await ydoc.storeAttribution();
+  });
+
+  it('Test attribution starts empty if it cannot be read', async () => {
+    const ydoc = new WSSharedDoc('https://admin.da.live/source/authors2.html');
+    await bindAuthors(ydoc, { get: async () => { throw new Error('boom'); } });
+    assert.deepStrictEqual({
+      users: {}, clients: {}, log: [], blocks: {},
+    }, ydoc.attribution);
+  });
+});
@@ -0,0 +1,151 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as encoding from 'lib0/encoding.js';
+
+import { applyClientAwareness, validateAwarenessState } from '../src/awareness.js';
+import { WSSharedDoc } from '../src/shareddoc.js';
+import { bearer } from './mocks/helpers.js';
+
+// An awareness update with the states of the clients, as [clientID, clock, state]
+const awarenessUpdate = (...entries) => {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, entries.length);
+  entries.forEach(([clientID, clock, state]) => {
+    encoding.writeVarUint(encoder, clientID);
+    encoding.writeVarUint(encoder, clock);
+    encoding.writeVarString(encoder, JSON.stringify(state));
+  });
+  return encoding.toUint8Array(encoder);
+};
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+describe('Awareness test suite', () => {
+  it('Test validate awareness state', () => {
+    const position = { type: null, tname: null, item: { client: 1, clock: 2 }, assoc: 0 };
+    assert.equal(null, validateAwarenessState(null));
+    assert.equal(null, validateAwarenessState({}));
+    assert.equal(null, validateAwarenessState({
+      user: { name: 'Joe', color: '#ff00aa' },
+      cursor: { anchor: position, head: position },
+      other: 'kept',
+    }));
+    assert.equal(null, validateAwarenessState({ user: { color: 'rgb(1, 2, 3)' }, cursor: null }));
+
+    assert.equal('Awareness state must be an object', validateAwarenessState([]));
+    assert.equal('Awareness user must be an object', validateAwarenessState({ user: 'Joe' }));
+    assert.equal('Invalid awareness user name', validateAwarenessState({ user: { name: 42 } }));
+    assert.equal('Invalid awareness user name',
+      validateAwarenessState({ user: { name: 'x'.repeat(101) } }));
+    assert.equal('Invalid awareness user color',
+      validateAwarenessState({ user: { color: 'red;background:url(x)' } }));
+    assert.equal('Invalid awareness cursor',
+      validateAwarenessState({ cursor: { anchor: position } }));
+  });
+
+  it('Test apply client awareness stamps the user', async () => {
+    const doc = new WSSharedDoc('https://admin.da.live/awareness.html');
+    const conn = { auth: bearer({ user_id: 'joe@example.com' }), readyState: 1, send() {} };
+    doc.conns.set(conn, new Set());
+
+    const problem = applyClientAwareness(doc, conn, awarenessUpdate(
+      [42, 1, { user: { name: 'Ann', color: '#00f', id: 'ann@example.com' } }],
+    ));
+    assert.equal(null, problem);
+    assert.deepStrictEqual({
+      user: { name: 'joe@example.com', color: '#00f', id: 'joe@example.com' },
+    }, doc.awareness.getStates().get(42), 'The forged name and id should be overwritten');
+    assert.deepStrictEqual(new Set([42]), doc.conns.get(conn));
+
+    // Without a name the name from the token is set
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 2, { cursor: null }]));
+    await sleep(150);
+    assert.deepStrictEqual({
+      cursor: null, user: { name: 'joe@example.com', id: 'joe@example.com' },
+    }, doc.awareness.getStates().get(42));
+  });
+
+  it('Test apply client awareness rejects invalid updates', () => {
+    const doc = new WSSharedDoc('https://admin.da.live/awareness-invalid.html');
+    const conn = { readyState: 1, send() {} };
+    const other = { readyState: 1, send() {} };
+    doc.conns.set(conn, new Set());
+    doc.conns.set(other, new Set([7]));
+
+    assert.equal('Awareness client 7 belongs to another connection',
+      applyClientAwareness(doc, conn, awarenessUpdate([7, 1, {}])));
+    assert.equal(`Awareness client ${doc.awareness.clientID} belongs to another connection`,
+      applyClientAwareness(doc, conn, awarenessUpdate([doc.awareness.clientID, 1, {}])));
+    assert.equal('Awareness user must be an object',
+      applyClientAwareness(doc, conn, awarenessUpdate([8, 1, { user: 'Joe' }])));
+    assert.equal('A connection can have at most 4 awareness clients', applyClientAwareness(
+      doc,
+      conn,
+      awarenessUpdate([1, 1, {}], [2, 1, {}], [3, 1, {}], [4, 1, {}], [5, 1, {}]),
+    ));
+    assert.equal('Awareness update is larger than 16384 bytes', applyClientAwareness(
+      doc,
+      conn,
+      awarenessUpdate([8, 1, { user: { name: 'Joe' }, data: 'x'.repeat(20000) }]),
+    ));
+    assert.throws(() => applyClientAwareness(doc, conn, new Uint8Array([3, 1, 2, 3])));
+
+    assert.equal(0, doc.conns.get(conn).size);
+    assert.equal(undefined, doc.awareness.getStates().get(8));
+  });
+
+  it('Test apply client awareness is throttled', async () => {
+    const doc = new WSSharedDoc('https://admin.da.live/awareness-throttled.html');
+    const conn = { readyState: 1, send() {} };
+    doc.conns.set(conn, new Set());
+    const updates = [];
+    doc.awareness.on('update', ({ added, updated }, origin) => {
+      assert.equal(conn, origin);
+      updates.push([...added, ...updated].map((id) => doc.awareness.getStates().get(id).n).sort());
+    });
+
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 1, { n: 1 }]));
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 2, { n: 2 }]));
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 3, { n: 3 }], [43, 1, { n: 4 }]));
+    assert.deepStrictEqual([[1]], updates);
+    assert.deepStrictEqual(new Set([42, 43]), doc.conns.get(conn),
+      'Should have recorded the client IDs before the update is applied');
+
+    await sleep(150);
+    assert.deepStrictEqual([[1], [3, 4]], updates, 'Should have combined the updates');
+
+    // Updates of a connection that was closed are dropped
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 4, { n: 5 }]));
+    doc.conns.delete(conn);
+    await sleep(150);
+    assert.deepStrictEqual([[1], [3, 4]], updates);
+  });
+
+  it('Test apply client awareness records the client IDs before the update is applied', async () => {
+    const doc = new WSSharedDoc('https://admin.da.live/awareness-recorded.html');
+    const conn = { readyState: 1, send() {} };
+    doc.conns.set(conn, new Set());
+
+    applyClientAwareness(doc, conn, awarenessUpdate([42, 1, { n: 1 }]));
+    applyClientAwareness(doc, conn, awarenessUpdate([43, 1, { n: 2 }]));
+    applyClientAwareness(doc, conn, awarenessUpdate([44, 1, { n: 3 }]));
+    applyClientAwareness(doc, conn, awarenessUpdate([44, 2, null]));
+    assert.deepStrictEqual(new Set([42, 43, 44]), doc.conns.get(conn));
+    assert.deepStrictEqual([42], [...doc.awareness.getStates().keys()]);
+
+    // A client that left before its state was applied is no longer recorded
+    await sleep(150);
+    assert.deepStrictEqual(new Set([42, 43]), doc.conns.get(conn));
+    assert.deepStrictEqual([42, 43], [...doc.awareness.getStates().keys()]);
+  });
+});
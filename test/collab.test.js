@@ -12,7 +12,9 @@
 import assert from 'assert';
 import * as Y from 'yjs';
 import { readFileSync } from 'fs';
-import { aem2doc, doc2aem, tableToBlock } from '../src/collab.js';
+import {
+  aem2doc, doc2aem, findDuplicateIds, tableToBlock,
+} from '../src/collab.js';
 
 const collapseTagWhitespace = (str) => str.replace(/>\s+</g, '><');
 const collapseWhitespace = (str) => collapseTagWhitespace(str.replace(/\s+/g, ' ')).trim();
@@ -138,7 +140,7 @@ describe('Parsing test suite', () => {
         const html = `
 <body>
   <header></header>
-  <main><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&format=jpeg&optimize=medium" alt="Decorative double Helix" loading="lazy"></picture><h1>Congrats, you are ready to go!</h1><p>Your forked repo is setup as a helix project and you are ready to start developing.<br>The content you are looking at is served from this <a href="https://drive.google.com/drive/folders/1Gwwrujv0Z4TxJM8askdqQkHSD969dGK7">gdrive</a><br><br>Adjust the <code>fstab.yaml</code> to point to a folder either in your sharepoint or your gdrive that you shared with helix. See the full tutorial here:<br><br><a href="https://bit.ly/3aImqUL">https://www.hlx.live/tutorial</a></p><h2>This is another headline here for more content</h2><div class="columns"><div><div><p>Columns block</p><ul><li>One</li><li>Two</li><li>Three</li></ul><p><a href="/">Live</a></p></div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&format=png&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&format=png&optimize=medium" alt="green double Helix" loading="lazy"></picture></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&format=png&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&format=png&optimize=medium" alt="Yellow Double Helix" loading="lazy"></picture></div><div><p>Or you can just view the preview</p><p><a href="/"><em>Preview</em></a></p></div></div></div></div><div><h2>Boilerplate Highlights?</h2><p>Find some of our favorite staff picks below:</p><div class="cards"><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&format=jpeg&optimize=medium" alt="A fast-moving Tunnel" loading="lazy"></picture></div><div><p><strong>Unmatched speed</strong></p><p>Helix is the fastest way to publish, create, and serve websites</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&format=jpeg&optimize=medium" alt="An iceberg" loading="lazy"></picture></div><div><p><strong>Content at scale</strong></p><p>Helix allows you to publish more content in shorter time with smaller teams</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&format=jpeg&optimize=medium" alt="Doors with light in the dark" loading="lazy"></picture></div><div><p><strong>Uncertainty eliminated</strong></p><p>Preview content at 100% fidelity, get predictable content velocity, and shorten project durations</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&format=jpeg&optimize=medium" alt="A group of people around a Table" loading="lazy"></picture></div><div><p><strong>Widen the talent pool</strong></p><p>Authors on Helix use Microsoft Word, Excel or Google Docs and need no training</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&format=jpeg&optimize=medium" alt="HTML code in a code editor" loading="lazy"></picture></div><div><p><strong>The low-code way to developer productivity</strong></p><p>Say goodbye to complex APIs spanning multiple languages. Anyone with a little bit of HTML, CSS, and JS can build a site on Project Helix.</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&format=jpeg&optimize=medium" alt="A rocket and a headless suit" loading="lazy"></picture></div><div><p><strong>Headless is here</strong></p><p>Go directly from Microsoft Excel or Google Sheets to the web in mere seconds. Sanitize and collect form data at extreme scale with Project Helix Forms.</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&format=jpeg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&format=jpeg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&format=jpeg&optimize=medium" alt="A dial with a hand on it" loading="lazy"></picture></div><div><p><strong>Peak performance</strong></p><p>Use Project Helix's serverless architecture to meet any traffic need. Use Project Helix's PageSpeed Insights Github action to evaluate every Pull-Request for Lighthouse Score.</p></div></div></div><p><br></p><div class="section-metadata"><div><div><p>Style</p></div><div><p>highlight</p></div></div></div></div><div><div class="metadata"><div><div><p>Title</p></div><div><p>Home | Helix Project Boilerplate</p></div></div><div><div><p>Image</p></div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&format=pjpg&optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&format=pjpg&optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&format=pjpg&optimize=medium" loading="lazy"></picture></div></div><div><div><p>Description</p></div><div><p>Use this template repository as the starting point for new Helix projects.</p></div></div></div></div></main>
+  <main><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="Decorative double Helix" loading="lazy"></picture><h1>Congrats, you are ready to go!</h1><p>Your forked repo is setup as a helix project and you are ready to start developing.<br>The content you are looking at is served from this <a href="https://drive.google.com/drive/folders/1Gwwrujv0Z4TxJM8askdqQkHSD969dGK7">gdrive</a><br><br>Adjust the <code>fstab.yaml</code> to point to a folder either in your sharepoint or your gdrive that you shared with helix. See the full tutorial here:<br><br><a href="https://bit.ly/3aImqUL">https://www.hlx.live/tutorial</a></p><h2>This is another headline here for more content</h2><div class="columns"><div><div><p>Columns block</p><ul><li>One</li><li>Two</li><li>Three</li></ul><p><a href="/">Live</a></p></div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_17e9dd0aae03d62b8ebe2159b154d6824ef55732d.png?width=750&amp;format=png&amp;optimize=medium" alt="green double Helix" loading="lazy"></picture></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_143cf1a441962c90f082d4f7dba2aeefb07f4e821.png?width=750&amp;format=png&amp;optimize=medium" alt="Yellow Double Helix" loading="lazy"></picture></div><div><p>Or you can just view the preview</p><p><a href="/"><em>Preview</em></a></p></div></div></div></div><div><h2>Boilerplate Highlights?</h2><p>Find some of our favorite staff picks below:</p><div class="cards"><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_16582eee85490fbfe6b27c6a92724a81646c2e649.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="A fast-moving Tunnel" loading="lazy"></picture></div><div><p><strong>Unmatched speed</strong></p><p>Helix is the fastest way to publish, create, and serve websites</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_17a5ca5faf60fa6486a1476fce82a3aa606000c81.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="An iceberg" loading="lazy"></picture></div><div><p><strong>Content at scale</strong></p><p>Helix allows you to publish more content in shorter time with smaller teams</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_162cf9431ac2dfd17fe7bf4420525bbffb9d0ccfe.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="Doors with light in the dark" loading="lazy"></picture></div><div><p><strong>Uncertainty eliminated</strong></p><p>Preview content at 100% fidelity, get predictable content velocity, and shorten project durations</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_136fdd3174ff44787179448cc2e0264af1b02ade9.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="A group of people around a Table" loading="lazy"></picture></div><div><p><strong>Widen the talent pool</strong></p><p>Authors on Helix use Microsoft Word, Excel or Google Docs and need no training</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1cae8484004513f76c6bf5860375bc020d099a6d6.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="HTML code in a code editor" loading="lazy"></picture></div><div><p><strong>The low-code way to developer productivity</strong></p><p>Say goodbye to complex APIs spanning multiple languages. Anyone with a little bit of HTML, CSS, and JS can build a site on Project Helix.</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_11381226cb58caf1f0792ea27abebbc8569b00aeb.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="A rocket and a headless suit" loading="lazy"></picture></div><div><p><strong>Headless is here</strong></p><p>Go directly from Microsoft Excel or Google Sheets to the web in mere seconds. Sanitize and collect form data at extreme scale with Project Helix Forms.</p></div></div><div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&amp;format=jpeg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_18fadeb136e84a2efe384b782e8aea6e92de4fc13.jpeg?width=750&amp;format=jpeg&amp;optimize=medium" alt="A dial with a hand on it" loading="lazy"></picture></div><div><p><strong>Peak performance</strong></p><p>Use Project Helix's serverless architecture to meet any traffic need. Use Project Helix's PageSpeed Insights Github action to evaluate every Pull-Request for Lighthouse Score.</p></div></div></div><p><br></p><div class="section-metadata"><div><div><p>Style</p></div><div><p>highlight</p></div></div></div></div><div><div class="metadata"><div><div><p>Title</p></div><div><p>Home | Helix Project Boilerplate</p></div></div><div><div><p>Image</p></div><div><picture><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&amp;format=pjpg&amp;optimize=medium"><source srcset="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&amp;format=pjpg&amp;optimize=medium" media="(min-width: 600px)"><img src="https://main--aem-block-collection--adobe.hlx.live/media_1dc0a2d290d791a050feb1e159746f52db392775a.jpeg?width=1200&amp;format=pjpg&amp;optimize=medium" loading="lazy"></picture></div></div><div><div><p>Description</p></div><div><p>Use this template repository as the starting point for new Helix projects.</p></div></div></div></div></main>
   <footer></footer>
 </body>
 `;
@@ -192,7 +194,7 @@ it('Test complex block roundtrip', async () => {
   const html =`
 <body>
   <header></header>
-  <main><div><picture><source srcset="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&format=png&optimize=medium"><source srcset="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&format=png&optimize=medium" alt="Wheatley Vodka" loading="lazy"></picture><h1>The truth is in the taste</h1><h2>10 times distilled for<br>ultra-smoothness</h2><p><a href="/about-wheatley">Learn About Wheatley Vodka</a></p><h3>10 times distilled and tripled filtered for an ultra-smooth taste.</h3></div><div><div class="callout"><div><div><h2>An award-winning vodka from the world's most award-winning distillery.</h2></div></div><div><div><picture><source srcset="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&format=png&optimize=medium"><source srcset="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&format=png&optimize=medium" alt="" loading="lazy"></picture></div><div><picture><source srcset="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&format=png&optimize=medium"><source srcset="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&format=png&optimize=medium" alt="" loading="lazy"></picture></div></div></div></div><div><div class="columns"><div><div><picture><source srcset="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&format=png&optimize=medium"><source srcset="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&format=png&optimize=medium" alt="Wheatley Vodka" loading="lazy"></picture></div><div><h2>Buffalo Trace Distillery - 200 years of distilling experience</h2><p>When you set out to craft a vodka from scratch, 200 years of distilling experience comes in handy. Harlen Wheatley is the Master Distiller at Buffalo Trace Distillery, America's oldest continually-operated distillery—and the world's most decorated. It all comes down to a vodka that's deliberately crafted using centuries of spirit-making knowledge.</p><p><a href="/locator">Find Wheatley Near You</a></p></div></div></div><div class="section-metadata"><div><div><p>style</p></div><div><p>reverse</p></div></div><div><div><p>background-image</p></div><div><picture><source srcset="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&format=png&optimize=medium"><source srcset="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&format=png&optimize=medium" alt="" loading="lazy"></picture></div></div></div></div><div><div class="featured plain"><div><div><ul><li><a href="/cocktails/cucumber-collins">Cucumber Collins</a></li><li><a href="/cocktails/wheatley-vodka-club">Wheatley Vodka Club</a></li><li><a href="/cocktails/la-luna-rossa">La Luna Rossa</a></li><li><a href="/cocktails/flatiron-flip">Flatiron Flip</a></li><li><a href="/cocktails/romapolitan">Romapolitan</a></li><li><a href="/cocktails">All Cocktails</a></li></ul></div></div></div></div><div><div class="buy"></div></div><div><h2>Follow us on Instagram</h2><p><a href="https://curator.io">Powered by Curator.io</a></p></div><div><picture><source srcset="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&format=png&optimize=medium"><source srcset="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&format=png&optimize=medium" media="(min-width: 600px)"><img src="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&format=png&optimize=medium" alt="" loading="lazy"></picture></div></main>
+  <main><div><picture><source srcset="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_133f71a3e1a71c230536dd8e163189cd5c6269173.png?width=750&amp;format=png&amp;optimize=medium" alt="Wheatley Vodka" loading="lazy"></picture><h1>The truth is in the taste</h1><h2>10 times distilled for<br>ultra-smoothness</h2><p><a href="/about-wheatley">Learn About Wheatley Vodka</a></p><h3>10 times distilled and tripled filtered for an ultra-smooth taste.</h3></div><div><div class="callout"><div><div><h2>An award-winning vodka from the world's most award-winning distillery.</h2></div></div><div><div><picture><source srcset="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_12c307c8546ea3d44f485807a7ce703751cf23d4c.png?width=750&amp;format=png&amp;optimize=medium" alt="" loading="lazy"></picture></div><div><picture><source srcset="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_1ac96e8af760937793baa1fa6c49de457f8552813.png?width=750&amp;format=png&amp;optimize=medium" alt="" loading="lazy"></picture></div></div></div></div><div><div class="columns"><div><div><picture><source srcset="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_117154c8890aced2855ddf92c698df8789757ebf4.png?width=750&amp;format=png&amp;optimize=medium" alt="Wheatley Vodka" loading="lazy"></picture></div><div><h2>Buffalo Trace Distillery - 200 years of distilling experience</h2><p>When you set out to craft a vodka from scratch, 200 years of distilling experience comes in handy. Harlen Wheatley is the Master Distiller at Buffalo Trace Distillery, America's oldest continually-operated distillery—and the world's most decorated. It all comes down to a vodka that's deliberately crafted using centuries of spirit-making knowledge.</p><p><a href="/locator">Find Wheatley Near You</a></p></div></div></div><div class="section-metadata"><div><div><p>style</p></div><div><p>reverse</p></div></div><div><div><p>background-image</p></div><div><picture><source srcset="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_126e3f942f3105fc9f0a3e18d3d91f91fe9e32d9c.png?width=750&amp;format=png&amp;optimize=medium" alt="" loading="lazy"></picture></div></div></div></div><div><div class="featured plain"><div><div><ul><li><a href="/cocktails/cucumber-collins">Cucumber Collins</a></li><li><a href="/cocktails/wheatley-vodka-club">Wheatley Vodka Club</a></li><li><a href="/cocktails/la-luna-rossa">La Luna Rossa</a></li><li><a href="/cocktails/flatiron-flip">Flatiron Flip</a></li><li><a href="/cocktails/romapolitan">Romapolitan</a></li><li><a href="/cocktails">All Cocktails</a></li></ul></div></div></div></div><div><div class="buy"></div></div><div><h2>Follow us on Instagram</h2><p><a href="https://curator.io">Powered by Curator.io</a></p></div><div><picture><source srcset="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&amp;format=png&amp;optimize=medium"><source srcset="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&amp;format=png&amp;optimize=medium" media="(min-width: 600px)"><img src="./media_180bc2eb557a14b99d41d0e539946e44c45b9630e.png?width=750&amp;format=png&amp;optimize=medium" alt="" loading="lazy"></picture></div></main>
   <footer></footer>
 </body>
 `;
@@ -349,6 +351,235 @@ assert.equal(result, html);
       'The horizontal line should have been converted to a section break');
   });
 
+  it('Test section attributes roundtrip', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div class="hero dark" id="top" data-audience="all"><p>One</p></div><div><p>Two</p></div><div class="highlight"><p>Three</p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    assert.equal(html, doc2aem(yDoc));
+
+    const rules = yDoc.getXmlFragment('prosemirror').toArray()
+      .filter((node) => node.nodeName === 'horizontal_rule');
+    assert.equal(3, rules.length, 'The first section should get a rule for its attributes');
+    assert.deepStrictEqual({ class: 'highlight' }, JSON.parse(rules[2].getAttribute('sectionAttrs')));
+    assert.equal(undefined, rules[1].getAttribute('sectionAttrs'));
+
+    // Section attributes that clients set to invalid values are dropped
+    rules[0].setAttribute('sectionAttrs', '{"class":');
+    rules[2].setAttribute('sectionAttrs', '["highlight"]');
+    assert(doc2aem(yDoc).includes('<main><div><p>One</p></div><div><p>Two</p></div><div><p>Three</p></div></main>'));
+  });
+
+  it('Test unsupported markup is preserved', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p class="lead">Intro</p><p>Some <abbr title="x">abbr</abbr>, <span style="color: red">styled</span> and <span>plain</span> text</p><video controls src="a.mp4"></video><dl><dt>T</dt><dd>D</dd></dl><!-- note --><iframe src="https://x.y/?a=1&amp;b=2" allowfullscreen></iframe><div class="cards"><div><div><p>A <mark>cell</mark></p></div></div></div></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    const preserved = aem2doc(html, yDoc);
+    assert.equal(html.replace('<span>plain</span>', 'plain'), doc2aem(yDoc));
+    assert.deepStrictEqual(
+      ['p', 'abbr', 'span', 'video', 'dl', '#comment', 'iframe', 'mark'],
+      preserved.map((p) => p.element),
+    );
+    assert.equal('<abbr title="x">abbr</abbr>', preserved[1].html);
+
+    const nodes = yDoc.getXmlFragment('prosemirror').toArray();
+    assert.equal('raw_html', nodes[0].nodeName);
+    assert.equal('raw_html_inline', nodes[1].get(1).nodeName);
+  });
+
+  it('Test preserved markup is escaped', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><custom-el title="a &quot;b&quot; &amp; c">1 &lt; 2</custom-el><script>if (a < b) {}</script></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    const preserved = aem2doc(html, yDoc);
+    assert.equal(1, preserved.length);
+    assert.equal(html.replace('<script>if (a < b) {}</script>', ''), doc2aem(yDoc), 'Should have dropped the script');
+  });
+
+  it('Test preserved markup keeps the attribute names', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><meta http-equiv="refresh" content="0"><form accept-charset="utf-8" novalidate><input maxlength="3" readonly></form><svg viewBox="0 0 10 10"><path stroke-width="2" d="M0 0"></path></svg></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    assert.equal(html, doc2aem(yDoc));
+  });
+
+  it('Test raw html is sanitized', () => {
+    const yDoc = new Y.Doc();
+    const preserved = aem2doc('<main><div><video src="javascript:alert(1)" onplay="alert(2)" title="v"></video></div></main>', yDoc);
+    assert.equal('<video title="v"></video>', preserved[0].html);
+
+    // Clients can change the markup of raw html nodes
+    const raw = new Y.XmlElement('raw_html');
+    raw.setAttribute('html', '<img src="x" onerror="alert(1)"><a href=" javascript:alert(2)">a</a><script>alert(3)</script><iframe srcdoc="<script>alert(4)</script>" src="/ok"></iframe>');
+    yDoc.getXmlFragment('prosemirror').insert(1, [raw]);
+    assert(doc2aem(yDoc).includes('<img src="x"><a>a</a><iframe src="/ok"></iframe></div>'));
+  });
+
+  it('Test underline, strike and span roundtrip', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p>Some <u>underlined</u>, <s>struck</s> and <del>deleted</del> text with an <span class="icon icon-adobe">:adobe:</span> icon</p><p><strong><u>Both</u></strong> and <span>plain</span></p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    const preserved = aem2doc(html, yDoc);
+    assert.deepStrictEqual([], preserved);
+    assert.equal(html.replace('<span>plain</span>', 'plain'), doc2aem(yDoc));
+
+    const [paragraph] = yDoc.getXmlFragment('prosemirror').toArray();
+    const marks = paragraph.get(0).toDelta().map((d) => d.attributes);
+    assert(marks[1].underline);
+    assert.equal('del', marks[5].strike.tag);
+    assert.equal('icon icon-adobe', marks[7].span.class);
+
+    // Only the strike tags are shown
+    const text = paragraph.get(0);
+    text.format(0, 4, { strike: { tag: 'script' } });
+    assert(doc2aem(yDoc).includes('<p><s>Some</s> <u>'));
+  });
+
+  it('Test empty icon span is preserved', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p>Icon <span class="icon icon-adobe"></span> here</p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    const preserved = aem2doc(html, yDoc);
+    assert.deepStrictEqual([{ element: 'span', html: '<span class="icon icon-adobe"></span>' }], preserved);
+    assert.equal(html, doc2aem(yDoc));
+    assert.equal('raw_html_inline', yDoc.getXmlFragment('prosemirror').get(0).get(1).nodeName);
+  });
+
+  it('Test text and attributes are escaped', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p>a &amp; b &lt;c&gt; "q"</p><p><a href="/x?a=1&amp;b=&quot;2&quot;" title="say &quot;hi&quot;">l</a></p><p><a href="https://da.live" title="&quot;T&quot;"><picture><source srcset="i.jpg"><source srcset="i.jpg" media="(min-width: 600px)"><img src="i.jpg" alt="a &quot;b&quot; <"></picture></a></p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    const expected = html
+      .replace('<p><a href="https://da.live"', '<a href="https://da.live"')
+      .replace('</picture></a></p>', '</picture></a>');
+    assert.equal(expected, doc2aem(yDoc));
+  });
+
+  it('Test script links are removed', () => {
+    const yDoc = new Y.Doc();
+    aem2doc('<main><div><p><a href=" JavaScript:alert(1)">bad</a> <a href="java&#9;script:alert(2)"><picture><img src="i.jpg"></picture></a></p></div></main>', yDoc);
+    assert(doc2aem(yDoc).includes('<p>bad <picture><img src="i.jpg" loading="lazy"></picture></p>'));
+
+    // Links that clients add directly to the shared document are not stored either
+    const paragraph = yDoc.getXmlFragment('prosemirror').get(0);
+    paragraph.get(0).format(0, 3, { link: { href: 'javascript:alert(3)' } });
+    assert(doc2aem(yDoc).includes('<p><a>bad</a> <picture>'));
+
+    ['data:text/html,<script>alert(4)</script>', 'VBScript:msgbox(5)', 'file:///etc/passwd'].forEach((href) => {
+      paragraph.get(0).format(0, 3, { link: { href } });
+      assert(doc2aem(yDoc).includes('<p><a>bad</a> <picture>'), href);
+    });
+    ['https://da.live', '/x', '#top', 'mailto:a@b.c', 'tel:+123'].forEach((href) => {
+      paragraph.get(0).format(0, 3, { link: { href } });
+      assert(doc2aem(yDoc).includes(`<p><a href="${href}">bad</a> <picture>`), href);
+    });
+  });
+
+  it('Test unsafe attribute names are dropped', () => {
+    const yDoc = new Y.Doc();
+    aem2doc('<main><div class="a"><p><picture><source srcset="i.webp"><img src="i.jpg"></picture></p></div></main>', yDoc);
+    const [rule, picture] = yDoc.getXmlFragment('prosemirror').toArray();
+    rule.setAttribute('sectionAttrs', JSON.stringify({
+      'x"><script>alert(1)</script': '1', onclick: 'alert(2)', OnLoad: 'alert(3)', 'data-ok': 'yes',
+    }));
+    picture.setAttribute('sources', JSON.stringify([{ srcset: 'i.webp', 'a b': 'c', onerror: 'alert(4)' }]));
+
+    const html = doc2aem(yDoc);
+    assert(html.includes('<main><div data-ok="yes"><picture><source srcset="i.webp"><img src="i.jpg"'), html);
+    assert(!html.includes('script'));
+    assert(!html.includes('alert'));
+  });
+
+  it('Test ids roundtrip', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><h2 id="features">Features</h2><p id="intro" data-id="p1">Intro</p><ul id="list"><li>One</li></ul></div><div><h3 id="more">More</h3></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    assert.deepStrictEqual([], aem2doc(html, yDoc));
+    assert.equal(html, doc2aem(yDoc));
+    assert.deepStrictEqual([], findDuplicateIds(yDoc));
+
+    // A copied paragraph has the same id, only the first keeps it
+    const root = yDoc.getXmlFragment('prosemirror');
+    const copy = new Y.XmlElement('paragraph');
+    copy.setAttribute('id', 'intro');
+    copy.insert(0, [new Y.XmlText('Copy')]);
+    root.insert(root.length, [copy]);
+    assert.deepStrictEqual(['intro'], findDuplicateIds(yDoc));
+    assert(doc2aem(yDoc).includes('<h3 id="more">More</h3><p>Copy</p>'));
+  });
+
+  it('Test picture sources and dimensions roundtrip', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><picture><source type="image/webp" srcset="a.webp?width=2000 2000w, a.webp?width=750 750w" media="(min-width: 600px)"><source type="image/webp" srcset="a.webp?width=750"><img src="a.jpg" alt="A" width="1600" height="900" loading="eager"></picture><p><a href="/x"><picture><img src="b.jpg" alt="B" width="10" height="20"></picture></a></p><p>New <img src="c.jpg"></p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+
+    const [picture] = yDoc.getXmlFragment('prosemirror').get(0).toArray();
+    assert.equal('1600', picture.getAttribute('width'));
+    assert.equal(2, JSON.parse(picture.getAttribute('sources')).length);
+
+    // Images without a picture get the default sources
+    const expected = html
+      .replace('<p><a href', '<a href')
+      .replace('</picture></a></p>', '</picture></a>')
+      .replace('<img src="c.jpg">', '<picture><source srcset="c.jpg"><source srcset="c.jpg" media="(min-width: 600px)"><img src="c.jpg" loading="lazy"></picture>');
+    assert.equal(expected, doc2aem(yDoc));
+
+    // Sources that clients set to invalid values are replaced with the default sources
+    const defaultSources = '<source srcset="a.jpg"><source srcset="a.jpg" media="(min-width: 600px)">';
+    picture.setAttribute('sources', 'not json');
+    assert(doc2aem(yDoc).includes(`<picture>${defaultSources}<img src="a.jpg"`));
+    picture.setAttribute('sources', '["a.webp"]');
+    assert(doc2aem(yDoc).includes(`<picture>${defaultSources}<img src="a.jpg"`));
+  });
+
   it('Test table with empty header', () => {
     const values = {
       // no values
@@ -12,9 +12,18 @@
 import assert from 'assert';
 
 import * as Y from 'yjs';
-import defaultEdge, { DocRoom, handleApiRequest, handleErrors } from '../src/edge.js';
-import { WSSharedDoc, persistence, setYDoc } from '../src/shareddoc.js';
-import { doc2aem } from '../src/collab.js';
+import * as syncProtocol from 'y-protocols/sync.js';
+import * as awarenessProtocol from 'y-protocols/awareness.js';
+import * as encoding from 'lib0/encoding.js';
+import defaultEdge, {
+  DocRoom, fixupDocName, getAllowedOrigins, getMinSchemaVersion, handleApiRequest, handleErrors,
+  isAllowedOrigin, isReadOnly,
+} from '../src/edge.js';
+import {
+  WSSharedDoc, findYDoc, invalidateFromAdmin, persistence, setYDoc, storeState,
+} from '../src/shareddoc.js';
+import { aem2doc, doc2aem } from '../src/collab.js';
+import { bearer, mockStorage } from './mocks/helpers.js';
 
 function hash(str) {
   let hash = 0;
@@ -135,6 +144,448 @@ describe('Worker test suite', () => {
     assert.equal('Bad Request', await resp.text());
   });
 
+  it('Test versions API is forwarded with authorization', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/versions/restore?doc=https://admin.da.live/a.html&version=42',
+      method: 'POST',
+      headers: new Map().set('Authorization', 'Bearer 123'),
+    };
+
+    const roomFetchCalls = [];
+    const room = {
+      fetch(url, opts) {
+        roomFetchCalls.push({ url: url.toString(), opts });
+        return new Response('OK', { status: 200 });
+      }
+    };
+    const rooms = {
+      idFromName(nm) { return hash(nm) },
+      get(id) { return id === hash('https://admin.da.live/a.html') ? room : null; }
+    };
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        daadminCalls.push({ url, auth: opts.headers.get('Authorization') });
+        return new Response(null, { status: 200 });
+      }
+    };
+
+    const resp = await handleApiRequest(req, { rooms, daadmin });
+    assert.equal(200, resp.status);
+    assert.deepStrictEqual([{ url: 'https://admin.da.live/a.html', auth: 'Bearer 123' }], daadminCalls);
+    assert.deepStrictEqual([{
+      url: 'https://admin.da.live/a.html?api=restoreVersion&version=42',
+      opts: { method: 'POST' },
+    }], roomFetchCalls);
+  });
+
+  it('Test restore version API needs write access', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/versions/restore?doc=https://admin.da.live/a.html&version=42',
+      method: 'POST',
+      headers: new Map().set('Authorization', 'Bearer 123'),
+    };
+    const daadmin = {
+      fetch: async () => new Response(null, {
+        status: 200, headers: { 'X-da-actions': '/a.html=read' },
+      }),
+    };
+
+    const resp = await handleApiRequest(req, { rooms: {}, daadmin });
+    assert.equal(403, resp.status);
+  });
+
+  it('Test create version API needs write access', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/versions?doc=https://admin.da.live/a.html&label=hi',
+      method: 'POST',
+      headers: new Map().set('Authorization', 'Bearer 123'),
+    };
+    const daadmin = {
+      fetch: async () => new Response(null, {
+        status: 200, headers: { 'X-da-actions': '/a.html=read' },
+      }),
+    };
+
+    const resp = await handleApiRequest(req, { rooms: {}, daadmin });
+    assert.equal(403, resp.status);
+  });
+
+  it('Test versions API not authorized', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/versions?doc=https://admin.da.live/a.html',
+      headers: new Map(),
+    };
+    const daadmin = { fetch: async () => new Response(null, { status: 403 }) };
+
+    const resp = await handleApiRequest(req, { rooms: {}, daadmin });
+    assert.equal(403, resp.status);
+  });
+
+  it('Test render API is forwarded with authorization', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/render?doc=https://admin.da.live/a.html',
+      method: 'GET',
+      headers: new Map().set('Authorization', 'Bearer 456'),
+    };
+
+    const roomFetchCalls = [];
+    const room = {
+      fetch(url, opts) {
+        roomFetchCalls.push({ url: url.toString(), opts });
+        return new Response('<main></main>', { status: 200 });
+      }
+    };
+    const rooms = {
+      idFromName(nm) { return hash(nm) },
+      get(id) { return id === hash('https://admin.da.live/a.html') ? room : null; }
+    };
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        daadminCalls.push({ url, method: opts.method, auth: opts.headers.get('Authorization') });
+        return new Response(null, { status: 200 });
+      }
+    };
+
+    const resp = await handleApiRequest(req, { rooms, daadmin });
+    assert.equal(200, resp.status);
+    assert.equal('<main></main>', await resp.text());
+    assert.deepStrictEqual([{ url: 'https://admin.da.live/a.html', method: 'HEAD', auth: 'Bearer 456' }],
+      daadminCalls);
+    assert.deepStrictEqual([{
+      url: 'https://admin.da.live/a.html?api=render',
+      opts: { method: 'GET' },
+    }], roomFetchCalls);
+  });
+
+  it('Docroom render API', async () => {
+    const docName = 'https://admin.da.live/render.html';
+    const stored = new Map();
+    const storage = { list: async () => stored };
+
+    const dr = new DocRoom({ storage });
+    const req = { url: `${docName}?api=render` };
+
+    const resp1 = await dr.fetch(req);
+    assert.equal(404, resp1.status, 'Nothing stored and not open');
+
+    const storedYDoc = new Y.Doc();
+    aem2doc('<main><div><p>From storage</p></div></main>', storedYDoc);
+    stored.set('docstore', Y.encodeStateAsUpdate(storedYDoc));
+    stored.set('doc', docName);
+
+    const resp2 = await dr.fetch(req);
+    assert.equal(200, resp2.status);
+    assert.equal('text/html', resp2.headers.get('Content-Type'));
+    assert.equal(doc2aem(storedYDoc), await resp2.text());
+
+    const testYdoc = new WSSharedDoc(docName);
+    aem2doc('<main><div><p>In flight</p></div></main>', testYdoc);
+    setYDoc(docName, testYdoc);
+    try {
+      const resp3 = await dr.fetch(req);
+      assert.equal(200, resp3.status);
+      assert((await resp3.text()).includes('<p>In flight</p>'), 'Should render the open document');
+    } finally {
+      invalidateFromAdmin(docName);
+    }
+  });
+
+  it('Docroom versions API', async () => {
+    const docName = 'https://admin.da.live/versions.html';
+    const data = new Map();
+    const storage = {
+      get: async (key) => data.get(key),
+      put: async (key, value) => data.set(key, value),
+      list: async () => data,
+    };
+
+    const dr = new DocRoom({ storage, getWebSockets: () => [] });
+    const listReq = { url: `${docName}?api=versions`, method: 'GET' };
+    const notFound = await dr.fetch({ url: `${docName}?api=versions&label=hi`, method: 'POST' });
+    assert.equal(404, notFound.status, 'No document to take a version of');
+
+    const testYdoc = new WSSharedDoc(docName);
+    aem2doc('<main><div><p>Version 1</p></div></main>', testYdoc);
+    setYDoc(docName, testYdoc);
+    try {
+      const createResp = await dr.fetch({ url: `${docName}?api=versions&label=hi`, method: 'POST' });
+      assert.equal(201, createResp.status);
+      const created = await createResp.json();
+      assert.equal('hi', created.label);
+
+      const listResp = await dr.fetch(listReq);
+      assert.equal(200, listResp.status);
+      assert.deepStrictEqual({ versions: [created] }, await listResp.json());
+
+      testYdoc.getXmlFragment('prosemirror').delete(0, 1);
+      const getResp = await dr.fetch({ url: `${docName}?api=versions&version=${created.id}` });
+      assert.equal(200, getResp.status);
+      assert.equal('text/html', getResp.headers.get('Content-Type'));
+      assert((await getResp.text()).includes('<p>Version 1</p>'));
+
+      const getResp2 = await dr.fetch({ url: `${docName}?api=versions&version=42` });
+      assert.equal(404, getResp2.status);
+
+      assert(!doc2aem(testYdoc).includes('Version 1'), 'Precondition');
+      const restoreResp = await dr.fetch({
+        url: `${docName}?api=restoreVersion&version=${created.id}`, method: 'POST' });
+      assert.equal(200, restoreResp.status);
+      assert(doc2aem(testYdoc).includes('<p>Version 1</p>'));
+
+      const restoreResp2 = await dr.fetch({
+        url: `${docName}?api=restoreVersion&version=42`, method: 'POST' });
+      assert.equal(404, restoreResp2.status);
+      const restoreResp3 = await dr.fetch({
+        url: `${docName}?api=restoreVersion&version=42`, method: 'GET' });
+      assert.equal(405, restoreResp3.status);
+      const restoreResp4 = await dr.fetch({ url: `${docName}?api=restoreVersion`, method: 'POST' });
+      assert.equal(400, restoreResp4.status);
+    } finally {
+      invalidateFromAdmin(docName);
+    }
+  });
+
+  it('Docroom metadata API', async () => {
+    const docName = 'https://admin.da.live/metadata.html';
+    const dr = new DocRoom({ storage: mockStorage(), getWebSockets: () => [] });
+    const patch = (body) => dr.fetch({
+      url: `${docName}?api=metadata`, method: 'PATCH', json: async () => JSON.parse(body),
+    });
+
+    assert.equal(404, (await dr.fetch({ url: `${docName}?api=metadata`, method: 'GET' })).status);
+    assert.equal(404, (await patch('{"metadata":{"Title":"x"}}')).status,
+      'Can only be changed while the document is open');
+
+    const testYdoc = new WSSharedDoc(docName);
+    aem2doc('<main><div><p>Hi</p><div class="metadata"><div><div>Title</div><div>Old</div></div></div></div></main>', testYdoc);
+    setYDoc(docName, testYdoc);
+    try {
+      const getResp = await dr.fetch({ url: `${docName}?api=metadata`, method: 'GET' });
+      assert.equal(200, getResp.status);
+      assert.equal('application/json', getResp.headers.get('Content-Type'));
+      assert.deepStrictEqual({ metadata: { Title: 'Old' } }, await getResp.json());
+
+      const patchResp = await patch('{"metadata":{"Title":"New","Robots":"noindex"}}');
+      assert.equal(200, patchResp.status);
+      assert.deepStrictEqual({ metadata: { Title: 'New', Robots: 'noindex' } }, await patchResp.json());
+      assert(doc2aem(testYdoc).includes('<div><p>Title</p></div><div><p>New</p></div>'));
+      assert.equal('New', testYdoc.getMap('metadata').get('metadata').get('Title'));
+
+      assert.equal(400, (await patch('{"hero":{}}')).status);
+      assert.equal(400, (await patch('not json')).status);
+      assert.equal(405, (await dr.fetch({ url: `${docName}?api=metadata`, method: 'PUT' })).status);
+    } finally {
+      invalidateFromAdmin(docName);
+    }
+  });
+
+  it('Docroom authors API', async () => {
+    const docName = 'https://admin.da.live/authors.html';
+    const storage = mockStorage();
+    const dr = new DocRoom({ storage, getWebSockets: () => [] });
+    assert.equal(404, (await dr.fetch({ url: `${docName}?api=authors` })).status);
+
+    // A document that isn't open is read from the worker storage
+    const stored = new Y.Doc();
+    aem2doc('<main><div><p>Hi</p></div></main>', stored);
+    await storeState(docName, Y.encodeStateAsUpdate(stored), storage);
+    storage.data.set('authors', {
+      users: { joe: { name: 'Joe' } },
+      clients: { [stored.clientID]: 'joe' },
+      log: [],
+      blocks: {},
+    });
+
+    const resp = await dr.fetch({ url: `${docName}?api=authors` });
+    assert.equal(200, resp.status);
+    assert.equal('application/json', resp.headers.get('Content-Type'));
+    const { users, blocks } = await resp.json();
+    assert.deepStrictEqual({ joe: { name: 'Joe' } }, users);
+    assert.deepStrictEqual([{ start: 0, end: 2, user: 'joe' }], blocks[0].ranges);
+  });
+
+  it('Docroom presence API', async () => {
+    const docName = 'https://admin.da.live/presence.html';
+    const ws = {
+      readyState: 1,
+      deserializeAttachment: () => ({
+        docName, auth: bearer({ user_id: 'joe' }), readOnly: true, awarenessIds: [7], connected: 99,
+      }),
+    };
+    const closed = { readyState: 3 };
+    const dr = new DocRoom({ storage: mockStorage(), getWebSockets: () => [ws, closed] });
+
+    const resp = await dr.fetch({ url: `${docName}?api=presence` });
+    assert.equal(200, resp.status);
+    assert.equal('application/json', resp.headers.get('Content-Type'));
+    assert.deepStrictEqual({
+      count: 1,
+      users: [{
+        id: 'joe', name: 'joe', color: null, cursor: null, connected: 99, readOnly: true,
+      }],
+    }, await resp.json());
+  });
+
+  it('Test bulk presence API', async () => {
+    const roomFetchCalls = [];
+    const rooms = {
+      idFromName: (nm) => nm,
+      get: (id) => ({
+        fetch: async (url, opts) => {
+          roomFetchCalls.push({ id, url: url.toString(), method: opts.method });
+          return new Response(JSON.stringify({ count: 1, users: [] }), { status: 200 });
+        },
+      }),
+    };
+    const daadmin = {
+      fetch: async (url) => new Response(null, { status: url.endsWith('secret.html') ? 403 : 200 }),
+    };
+    const body = {
+      docs: ['https://admin.da.live/a.html', 'https://admin.da.live/secret.html', 'https://admin.da.live/a.html'],
+    };
+    const req = {
+      url: 'http://localhost:9999/api/v1/presence',
+      method: 'POST',
+      headers: new Map().set('Authorization', 'Bearer 123'),
+      json: async () => body,
+    };
+
+    const resp = await handleApiRequest(req, { rooms, daadmin });
+    assert.equal(200, resp.status);
+    assert.deepStrictEqual({
+      docs: { 'https://admin.da.live/a.html': { count: 1, users: [] } },
+    }, await resp.json());
+    assert.deepStrictEqual([{
+      id: 'https://admin.da.live/a.html',
+      url: 'https://admin.da.live/a.html?api=presence',
+      method: 'GET',
+    }], roomFetchCalls);
+
+    body.docs = ['javascript:alert(1)'];
+    assert.equal(400, (await handleApiRequest(req, { rooms, daadmin })).status);
+    body.docs = Array.from({ length: 101 }, (_, i) => `https://admin.da.live/${i}.html`);
+    assert.equal(400, (await handleApiRequest(req, { rooms, daadmin })).status);
+    const invalid = { ...req, json: async () => { throw new Error('Invalid'); } };
+    assert.equal(400, (await handleApiRequest(invalid, { rooms, daadmin })).status);
+  });
+
+  it('Test metadata API needs write access to change', async () => {
+    const req = {
+      url: 'http://localhost:9999/api/v1/metadata?doc=https://admin.da.live/a.html',
+      method: 'PATCH',
+      headers: new Map().set('Authorization', 'Bearer 123'),
+    };
+    const daadmin = {
+      fetch: async () => new Response(null, {
+        status: 200, headers: { 'X-da-actions': '/a.html=read' },
+      }),
+    };
+
+    const resp = await handleApiRequest(req, { rooms: {}, daadmin });
+    assert.equal(403, resp.status);
+  });
+
+  it('Docroom alarm takes version', async () => {
+    const docName = 'https://admin.da.live/alarm.html';
+    const storage = mockStorage();
+    const { data, alarms } = storage;
+
+    const sockets = [];
+    const dr = new DocRoom({ storage, getWebSockets: () => sockets });
+    data.set('alarm_versions', Date.now() - 1);
+    await dr.alarm();
+    assert.equal(0, alarms.length, 'Document not open, so no new alarm');
+    assert(!data.has('alarm_versions'));
+
+    const testYdoc = new WSSharedDoc(docName);
+    aem2doc('<main><div><p>Hello</p></div></main>', testYdoc);
+    setYDoc(docName, testYdoc);
+    const ws = {
+      readyState: 1,
+      deserializeAttachment: () => ({ docName, awarenessIds: [] }),
+      close() {},
+    };
+    testYdoc.conns.set(ws, new Set());
+    sockets.push(ws);
+    try {
+      await dr.alarm();
+      assert.equal(0, alarms.length, 'Versions were not due');
+
+      data.set('alarm_versions', Date.now() - 1);
+      storage.fireAlarm();
+      await dr.alarm();
+      assert.equal(1, alarms.length);
+      assert(data.get('alarm_versions') > Date.now(), 'Next version should be scheduled');
+      assert.equal(1, [...data.keys()].filter((k) => k.startsWith('version_')).length);
+
+      data.set('alarm_versions', Date.now() - 1);
+      storage.fireAlarm();
+      await dr.alarm();
+      assert.equal(2, alarms.length);
+      assert.equal(1, [...data.keys()].filter((k) => k.startsWith('version_')).length,
+        'Document was not changed, so no new version');
+    } finally {
+      invalidateFromAdmin(docName);
+    }
+  });
+
+  it('Docroom alarm runs the other tasks when one fails', async () => {
+    const storage = mockStorage();
+    const { data } = storage;
+    const dr = new DocRoom({ storage, getWebSockets: () => [] }, {});
+    const ran = [];
+    dr.retrySave = async () => {
+      ran.push('saveRetry');
+      throw new Error('boom');
+    };
+    dr.reauthorize = async () => ran.push('reauth');
+
+    data.set('alarm_saveRetry', Date.now() - 1);
+    data.set('alarm_reauth', Date.now() - 1);
+    await dr.alarm();
+    assert.deepStrictEqual(['saveRetry', 'reauth'], ran);
+    assert(data.get('alarm_saveRetry') > Date.now(), 'Should have scheduled the failed task again');
+    assert(!data.has('alarm_reauth'));
+  });
+
+  it('Docroom alarm retries save', async () => {
+    const docName = 'https://admin.da.live/retry.html';
+    const storage = mockStorage();
+    const { data } = storage;
+    const dr = new DocRoom({ storage, getWebSockets: () => [] }, { daadmin: {} });
+
+    data.set('saveRetry', { attempt: 1, auth: 'tok' });
+    data.set('alarm_saveRetry', Date.now() - 1);
+    await dr.alarm();
+    assert(!data.has('saveRetry'), 'Nothing stored, so the retry should be cancelled');
+
+    const ydoc = new Y.Doc();
+    aem2doc('<main><div><p>Retry me</p></div></main>', ydoc);
+    await storeState(docName, Y.encodeStateAsUpdate(ydoc), storage);
+    data.set('saveRetry', { attempt: 1, auth: 'tok' });
+    data.set('alarm_saveRetry', Date.now() - 1);
+
+    const savedPut = persistence.put;
+    const puts = [];
+    try {
+      persistence.put = async (yd, content, auth) => {
+        puts.push({ content, auth });
+        return { ok: true, status: 200 };
+      };
+      storage.fireAlarm();
+      await dr.alarm();
+      assert.equal(1, puts.length);
+      assert(puts[0].content.includes('<p>Retry me</p>'));
+      assert.equal('tok', puts[0].auth);
+      assert(!data.has('saveRetry'));
+      assert(!data.has('alarm_saveRetry'));
+    } finally {
+      persistence.put = savedPut;
+    }
+  });
+
   it('Docroom deleteFromAdmin', async () => {
     const ydocName = 'http://foobar.com/q.html';
     const testYdoc = new WSSharedDoc(ydocName);
@@ -150,13 +601,18 @@ describe('Worker test suite', () => {
       url: `${ydocName}?api=deleteAdmin`
     };
 
-    const dr = new DocRoom({});
+    const storage = mockStorage();
+    storage.data.set('saveRetry', { attempt: 1 });
+    storage.data.set('alarm_saveRetry', 12345);
+    const dr = new DocRoom({ storage, getWebSockets: () => [] });
 
     assert(m.has(ydocName), 'Precondition');
     const resp = await dr.fetch(req)
     assert.equal(204, resp.status);
     assert(!m.has(ydocName), 'Doc should have been removed');
     assert.deepStrictEqual(['close'], connCalled);
+    assert.equal(true, testYdoc.discarded, 'Deleted doc should not be saved anymore');
+    assert.equal(0, storage.data.size, 'Pending save retry should be cancelled');
   });
 
   it('Docroom deleteFromAdmin not found', async () => {
@@ -164,7 +620,7 @@ describe('Worker test suite', () => {
       url: `https://blah.blah/blah.html?api=deleteAdmin`
     };
 
-    const dr = new DocRoom({});
+    const dr = new DocRoom({ storage: mockStorage(), getWebSockets: () => [] });
     const resp = await dr.fetch(req)
     assert.equal(404, resp.status);
   });
@@ -184,7 +640,7 @@ describe('Worker test suite', () => {
       url: `${ydocName}?api=syncAdmin`
     };
 
-    const dr = new DocRoom({});
+    const dr = new DocRoom({ getWebSockets: () => [] });
 
     assert(m.has(ydocName), 'Precondition');
     const resp = await dr.fetch(req)
@@ -194,7 +650,7 @@ describe('Worker test suite', () => {
   });
 
   it('Unknown doc update request gives 404', async () => {
-    const dr = new DocRoom({});
+    const dr = new DocRoom({ getWebSockets: () => [] });
 
     const req = {
       url: 'http://foobar.com/a/b/d/e/f.html?api=syncAdmin'
@@ -204,6 +660,240 @@ describe('Worker test suite', () => {
     assert.equal(404, resp.status);
   });
 
+  it('Docroom syncFromAdmin closes hibernated connections', async () => {
+    const docName = 'http://foobar.com/hibernated.html';
+    const closed = [];
+    const ws = { readyState: 1, close() { closed.push('close'); } };
+    const dr = new DocRoom({ getWebSockets: () => [ws] });
+
+    const resp = await dr.fetch({ url: `${docName}?api=syncAdmin` });
+    assert.equal(200, resp.status);
+    assert.deepStrictEqual(['close'], closed);
+  });
+
+  it('Docroom restores sessions after hibernation', async () => {
+    const docName = 'https://admin.da.live/hibernated.html';
+
+    // The state stored before the room was hibernated
+    const storedYDoc = new Y.Doc();
+    aem2doc('<main><div><p>Stored</p></div></main>', storedYDoc);
+    const stored = new Map();
+    stored.set('doc', docName);
+    stored.set('docstore', Y.encodeStateAsUpdate(storedYDoc));
+    const storage = { list: async () => stored };
+
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        daadminCalls.push({ url, auth: opts.headers.get('Authorization') });
+        return { ok: true, text: async () => doc2aem(storedYDoc) };
+      },
+    };
+
+    const mockSocket = (auth, awarenessIds) => {
+      const ws = {
+        attachment: { docName, auth, awarenessIds },
+        readyState: 1,
+        sent: [],
+        closed: false,
+        deserializeAttachment: () => ws.attachment,
+        serializeAttachment: (a) => { ws.attachment = a; },
+        send: (m) => ws.sent.push(m),
+        close: () => { ws.closed = true; },
+      };
+      return ws;
+    };
+    const ws1 = mockSocket('Bearer 111', []);
+    const ws2 = mockSocket('Bearer 222', [42]);
+    const dr = new DocRoom({ storage, getWebSockets: () => [ws1, ws2] }, { daadmin });
+
+    await dr.webSocketMessage(ws1, 'ignored');
+    assert.equal(0, daadminCalls.length, 'Text messages should be ignored');
+
+    // Sync step 1 from a client that has no content yet
+    const clientDoc = new Y.Doc();
+    let encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 0); // messageSync
+    syncProtocol.writeSyncStep1(encoder, clientDoc);
+    await dr.webSocketMessage(ws1, encoding.toUint8Array(encoder).buffer);
+
+    assert.deepStrictEqual([{ url: docName, auth: 'Bearer 111' }], daadminCalls);
+    const reply = ws1.sent[ws1.sent.length - 1];
+    assert.deepStrictEqual([0, 1], [...reply.slice(0, 2)], 'Should have replied with sync step 2');
+    const ydoc = await dr.restoreSessions(docName);
+    assert.equal(doc2aem(storedYDoc), doc2aem(ydoc), 'Should be restored from storage');
+    assert.equal('Bearer 222', ws2.auth);
+    assert.deepStrictEqual(new Set([42]), ydoc.conns.get(ws2));
+
+    // Awareness update from the first client
+    const awareness = new awarenessProtocol.Awareness(clientDoc);
+    awareness.setLocalState({ user: { name: 'joe' } });
+    encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 1); // messageAwareness
+    encoding.writeVarUint8Array(encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, [clientDoc.clientID]));
+    await dr.webSocketMessage(ws1, encoding.toUint8Array(encoder).buffer);
+    assert.deepStrictEqual([clientDoc.clientID], ws1.attachment.awarenessIds);
+
+    await dr.webSocketClose(ws1);
+    await dr.webSocketError(ws2, new Error('Gone'));
+    assert(ws1.closed);
+    assert(ws2.closed);
+    await dr.webSocketClose(ws1);
+    assert.equal(1, daadminCalls.length);
+  });
+
+  it('Docroom webSocketClose waits for the last connection to be saved', async () => {
+    const docName = 'https://admin.da.live/close-flush.html';
+    const ydoc = new WSSharedDoc(docName);
+    let saved = false;
+    ydoc.saveNow = async () => {
+      await new Promise((r) => setTimeout(r, 5));
+      saved = true;
+    };
+    const ws = {
+      readyState: 1,
+      deserializeAttachment: () => ({ docName, awarenessIds: [] }),
+      close() {},
+    };
+    ydoc.conns.set(ws, new Set());
+    setYDoc(docName, ydoc);
+
+    const dr = new DocRoom({ storage: mockStorage(), getWebSockets: () => [ws] }, {});
+    await dr.webSocketClose(ws);
+    assert(saved);
+    assert.equal(undefined, findYDoc(docName));
+  });
+
+  it('Docroom reauthorizes its connections', async () => {
+    const docName = 'https://admin.da.live/reauth.html';
+    const expired = bearer({ exp: 1 });
+
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        const auth = opts.headers.get('Authorization');
+        daadminCalls.push(auth);
+        switch (auth) {
+          case 'Bearer 111':
+            return new Response(null, { status: 200, headers: { 'X-da-actions': '/reauth.html=read' } });
+          case 'Bearer 222':
+            return new Response(null, { status: 401 });
+          default:
+            return new Response(null, { status: 503 });
+        }
+      },
+    };
+
+    const mockSocket = (auth) => {
+      const ws = {
+        attachment: { docName, auth, awarenessIds: [] },
+        auth,
+        readyState: 1,
+        deserializeAttachment: () => ws.attachment,
+        serializeAttachment: (a) => { ws.attachment = a; },
+        send: () => {},
+        close: (code, reason) => { ws.closed = { code, reason }; },
+      };
+      return ws;
+    };
+    const ws1 = mockSocket('Bearer 111');
+    const ws2 = mockSocket('Bearer 222');
+    const ws3 = mockSocket('Bearer 333');
+    const ws4 = mockSocket(expired);
+    const ydoc = new WSSharedDoc(docName);
+    [ws1, ws2, ws3, ws4].forEach((ws) => ydoc.conns.set(ws, new Set()));
+    setYDoc(docName, ydoc);
+
+    const storage = mockStorage();
+    await storage.put('alarm_reauth', Date.now() - 1);
+    const dr = new DocRoom({ storage, getWebSockets: () => [ws1, ws2, ws3, ws4] }, { daadmin });
+    await dr.alarm();
+
+    assert.deepStrictEqual(['Bearer 111', 'Bearer 222', 'Bearer 333'], daadminCalls,
+      'An expired token is not checked with da-admin');
+    assert.equal(undefined, ws1.closed);
+    assert.equal(true, ws1.readOnly);
+    assert.equal(true, ws1.attachment.readOnly);
+    assert.deepStrictEqual({ code: 4401, reason: 'Unauthorized' }, ws2.closed);
+    assert.equal(undefined, ws3.closed, 'Should be kept when da-admin is not available');
+    assert.deepStrictEqual({ code: 4401, reason: 'Unauthorized' }, ws4.closed);
+    assert.deepStrictEqual([ws1, ws3], [...ydoc.conns.keys()]);
+    assert(storage.data.get('alarm_reauth') > Date.now(), 'Should have scheduled the next check');
+  });
+
+  it('Docroom alarms do not rebuild a hibernated room', async () => {
+    const docName = 'https://admin.da.live/hibernated-alarm.html';
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        daadminCalls.push(opts.method);
+        return new Response(null, { status: 401 });
+      },
+    };
+    const ws = {
+      attachment: { docName, auth: 'Bearer 222', awarenessIds: [] },
+      readyState: 1,
+      deserializeAttachment: () => ws.attachment,
+      close: (code, reason) => { ws.closed = { code, reason }; },
+    };
+
+    const storage = mockStorage();
+    await storage.put('alarm_versions', Date.now() - 1);
+    await storage.put('alarm_reauth', Date.now() - 1);
+    const dr = new DocRoom({ storage, getWebSockets: () => [ws] }, { daadmin });
+    await dr.alarm();
+
+    assert.deepStrictEqual(['HEAD'], daadminCalls, 'Should not have loaded the document');
+    assert.equal(undefined, findYDoc(docName));
+    assert.deepStrictEqual({ code: 4401, reason: 'Unauthorized' }, ws.closed);
+    assert.equal(0, [...storage.data.keys()].filter((k) => k.startsWith('version_')).length);
+    assert(storage.data.get('alarm_versions') > Date.now(), 'Should have scheduled the next version');
+  });
+
+  it('Docroom accepts a refreshed token', async () => {
+    const docName = 'https://admin.da.live/refresh.html';
+    const daadmin = {
+      fetch: async (url, opts) => new Response(null, {
+        status: opts.headers.get('Authorization') === 'Bearer new' ? 200 : 403,
+      }),
+    };
+    const ws = {
+      attachment: { docName, auth: 'Bearer old', awarenessIds: [] },
+      auth: 'Bearer old',
+      readOnly: false,
+      readyState: 1,
+      deserializeAttachment: () => ws.attachment,
+      serializeAttachment: (a) => { ws.attachment = a; },
+      send: () => {},
+      close: (code) => { ws.closed = code; },
+    };
+    const ydoc = new WSSharedDoc(docName);
+    ydoc.conns.set(ws, new Set());
+    setYDoc(docName, ydoc);
+
+    const storage = mockStorage();
+    const dr = new DocRoom({ storage, getWebSockets: () => [ws] }, { daadmin });
+    const refresh = (auth) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, 6); // messageRefreshAuth
+      encoding.writeVarString(encoder, auth);
+      return encoding.toUint8Array(encoder).buffer;
+    };
+
+    await dr.webSocketMessage(ws, refresh('Bearer new'));
+    assert.equal('Bearer new', ws.auth);
+    assert.equal('Bearer new', ws.attachment.auth);
+    assert.equal('Bearer new', persistence.auth(ydoc));
+    assert(storage.data.has('alarm_reauth'));
+    assert.equal(undefined, ws.closed);
+
+    await dr.webSocketMessage(ws, refresh('Bearer bad'));
+    assert.equal(4401, ws.closed);
+    assert.equal('Bearer new', ws.attachment.auth);
+    assert.equal(0, ydoc.conns.size);
+  });
+
   it('Unknown DocRoom API call gives 400', async () => {
     const dr = new DocRoom({ storage: null }, null);
     const req = {
@@ -228,18 +918,27 @@ describe('Worker test suite', () => {
       const wspCalled = [];
       const wsp0 = {};
       const wsp1 = {
-        accept() { wspCalled.push('accept'); },
-        addEventListener(type) { wspCalled.push(`addEventListener ${type}`); },
+        readyState: 1,
+        serializeAttachment(a) { wspCalled.push({ attachment: a }); },
+        send() {},
         close() { wspCalled.push('close'); }
       }
       DocRoom.newWebSocketPair = () => [wsp0, wsp1];
 
       const daadmin = { blah: 1234 };
-      const dr = new DocRoom({ storage: null }, { daadmin });
+      const storage = mockStorage();
+      const { alarms } = storage;
+      const state = {
+        storage,
+        acceptWebSocket(ws) { wspCalled.push(ws === wsp1 ? 'accept' : 'wrong socket'); },
+        getWebSockets: () => [],
+      };
+      const dr = new DocRoom(state, { daadmin });
       const headers = new Map();
       headers.set('Upgrade', 'websocket');
       headers.set('Authorization', 'au123');
       headers.set('X-collab-room', 'http://foo.bar/1/2/3.html');
+      headers.set('X-collab-readonly', 'true');
 
       const req = {
         headers,
@@ -253,16 +952,84 @@ describe('Worker test suite', () => {
       assert.equal('1234', bindCalled[0].d.daadmin.blah);
 
       assert.equal('au123', wsp1.auth);
+      assert.equal(true, wsp1.readOnly);
+      assert.equal(2, alarms.length, 'Should have scheduled versions and reauthorization');
+      assert(storage.data.has('alarm_versions'));
+      assert(storage.data.has('alarm_reauth'));
+
+      assert.equal(2, wspCalled.length);
+      assert.equal('accept', wspCalled[0]);
+      const { connected, ...attachment } = wspCalled[1].attachment;
+      assert.deepStrictEqual({
+        docName: 'http://foo.bar/1/2/3.html', auth: 'au123', readOnly: true, awarenessIds: [],
+      }, attachment);
+      assert(connected <= Date.now());
+    } finally {
+      DocRoom.newWebSocketPair = savedNWSP;
+      persistence.bindState = savedBS;
+    }
+  });
+
+  it('Test DocRoom fetch after hibernation restores the sessions first', async () => {
+    const savedNWSP = DocRoom.newWebSocketPair;
+    const savedBS = persistence.bindState;
+
+    try {
+      const docName = 'https://admin.da.live/hibernated-fetch.html';
+      const bindCalled = [];
+      persistence.bindState = async (nm, d, c) => {
+        bindCalled.push(c);
+        return new Map();
+      };
 
-      const acceptIdx = wspCalled.indexOf('accept');
-      const alMessIdx = wspCalled.indexOf('addEventListener message');
-      const alClsIdx = wspCalled.indexOf('addEventListener close');
-      const clsIdx = wspCalled.indexOf('close');
+      // A connection that was open when the room was hibernated
+      const hibernated = {
+        attachment: { docName, auth: 'Bearer 111', awarenessIds: [42] },
+        readyState: 1,
+        sent: [],
+        deserializeAttachment: () => hibernated.attachment,
+        send: (m) => hibernated.sent.push(m),
+        close() {},
+      };
+      const wsp1 = {
+        readyState: 1,
+        sent: [],
+        serializeAttachment(a) { wsp1.attachment = a; },
+        deserializeAttachment: () => wsp1.attachment,
+        send: (m) => wsp1.sent.push(m),
+        close() {},
+      };
+      DocRoom.newWebSocketPair = () => [{}, wsp1];
 
-      assert(acceptIdx >= 0);
-      assert(alMessIdx > acceptIdx);
-      assert(alClsIdx > alMessIdx);
-      assert(clsIdx > alClsIdx);
+      const state = {
+        storage: mockStorage(),
+        acceptWebSocket() {},
+        getWebSockets: () => [hibernated],
+      };
+      const dr = new DocRoom(state, { daadmin: {} });
+      const headers = new Map()
+        .set('Upgrade', 'websocket')
+        .set('Authorization', 'Bearer 222')
+        .set('X-collab-room', docName);
+      await dr.fetch({ headers, url: 'http://localhost:4711/' }, {}, 306);
+
+      assert.deepStrictEqual([hibernated], bindCalled, 'Should have rebuilt the ydoc once');
+      const ydoc = await dr.restoreSessions(docName);
+      assert.deepStrictEqual(new Set([42]), ydoc.conns.get(hibernated));
+      assert(ydoc.conns.has(wsp1));
+      assert.equal('Bearer 111', hibernated.auth);
+      assert.deepStrictEqual([0, 0], [...hibernated.sent[0].slice(0, 2)],
+        'Should have sent sync step 1 to the restored connection');
+      assert.deepStrictEqual([0, 0], [...wsp1.sent[0].slice(0, 2)]);
+
+      // The changes of the new connection reach the restored connection
+      const sent = hibernated.sent.length;
+      ydoc.getMap('test').set('a', 1);
+      assert.equal(sent + 1, hibernated.sent.length);
+
+      await dr.webSocketClose(hibernated);
+      await dr.webSocketClose(wsp1);
+      assert.equal(0, ydoc.conns.size);
     } finally {
       DocRoom.newWebSocketPair = savedNWSP;
       persistence.bindState = savedBS;
@@ -309,13 +1076,14 @@ describe('Worker test suite', () => {
     };
     const res = await handleErrors(req, f);
     assert.equal(500, res.status);
+    assert.equal('Internal error', await res.text(), 'Should not expose the stack');
   });
 
   it('Test handleApiRequest', async () => {
     const headers = new Map();
     headers.set('myheader', 'myval');
     const req = {
-      url: 'http://do.re.mi/https://admin.da.live/laaa.html?Authorization=qrtoefi',
+      url: 'http://do.re.mi/https://admin.da.live/laaa.html?Authorization=qrtoefi&schema=2',
       headers
     }
 
@@ -363,7 +1131,7 @@ describe('Worker test suite', () => {
     const headers = new Map();
     headers.set('myheader', 'myval');
     const req = {
-      url: 'http://do.re.mi/https://admin.da.live/laaa.html?Authorization=lala',
+      url: 'http://do.re.mi/https://admin.da.live/laaa.html?Authorization=lala&schema=2',
       headers
     }
 
@@ -389,13 +1157,154 @@ describe('Worker test suite', () => {
       url: 'http://do.re.mi/https://some.where.else/hihi.html',
     }
 
+    const res = await handleApiRequest(req, {});
+    assert.equal(403, res.status);
+  });
+
+  it('Test handleApiRequest not a document URL', async () => {
+    const req = {
+      url: 'http://do.re.mi/hihi.html',
+    }
+
     const res = await handleApiRequest(req, {});
     assert.equal(404, res.status);
   });
 
+  it('Test handleApiRequest rejects clients with an older schema', async () => {
+    const daadmin = { fetch: async () => new Response(null, { status: 200 }) };
+    const rooms = {
+      idFromName: () => 'id',
+      get: () => ({ fetch: async () => new Response(null, { status: 306 }) }),
+    };
+    const request = (params) => ({
+      url: `http://do.re.mi/https://admin.da.live/hihi.html${params}`,
+      headers: new Map(),
+    });
+
+    assert.equal(426, (await handleApiRequest(request(''), { daadmin, rooms })).status);
+    assert.equal(426, (await handleApiRequest(request('?schema=1'), { daadmin, rooms })).status);
+    assert.equal(426, (await handleApiRequest(request('?schema=x'), { daadmin, rooms })).status);
+    assert.equal(306, (await handleApiRequest(request('?schema=2'), { daadmin, rooms })).status);
+    assert.equal(306, (await handleApiRequest(request(''), {
+      daadmin, rooms, MIN_SCHEMA_VERSION: '1',
+    })).status, 'Should accept older clients while they are updated');
+  });
+
+  it('Test getMinSchemaVersion', () => {
+    assert.equal(2, getMinSchemaVersion({}));
+    assert.equal(2, getMinSchemaVersion(undefined));
+    assert.equal(1, getMinSchemaVersion({ MIN_SCHEMA_VERSION: '1' }));
+    assert.equal(2, getMinSchemaVersion({ MIN_SCHEMA_VERSION: 'none' }));
+  });
+
+  it('Test handleApiRequest configured origins', async () => {
+    const req = {
+      url: 'http://do.re.mi/https:/admin.my.fork/hihi.html?Authorization=lala&schema=2',
+      headers: new Map(),
+    }
+
+    const mockFetchCalled = [];
+    const daadmin = {
+      fetch: async (url) => {
+        mockFetchCalled.push(url);
+        return new Response(null, { status: 200 });
+      }
+    };
+    const rooms = {
+      idFromName(nm) { return `id${hash(nm)}`; },
+      get() { return { fetch: (r) => new Response(r.url, { status: 306 }) }; }
+    }
+    const env = { daadmin, rooms, ALLOWED_ORIGINS: 'https://*.my.fork' };
+
+    const res = await handleApiRequest(req, env);
+    assert.equal(306, res.status);
+    assert.equal('https://admin.my.fork/hihi.html', await res.text());
+    assert.deepStrictEqual(['https://admin.my.fork/hihi.html'], mockFetchCalled);
+
+    const req2 = {
+      url: 'http://do.re.mi/https://admin.da.live/hihi.html?schema=2',
+    }
+    const res2 = await handleApiRequest(req2, env);
+    assert.equal(403, res2.status, 'Default origins no longer apply when configured');
+  });
+
+  it('Test getAllowedOrigins', () => {
+    assert.deepStrictEqual(getAllowedOrigins({}), [
+      'https://admin.da.live', 'https://stage-admin.da.live', 'http://localhost:*']);
+    assert.deepStrictEqual(getAllowedOrigins({ ALLOWED_ORIGINS: ' https://a.b , http://c.d:8080,' }),
+      ['https://a.b', 'http://c.d:8080']);
+    assert.deepStrictEqual(getAllowedOrigins({ ALLOWED_ORIGINS: ['https://*.e.f'] }),
+      ['https://*.e.f']);
+  });
+
+  it('Test isAllowedOrigin', () => {
+    const allowed = ['https://admin.da.live', 'https://*.fork.net', 'http://localhost:*', 'http://test.io:8080'];
+
+    assert(isAllowedOrigin(new URL('https://admin.da.live/a.html'), allowed));
+    assert(isAllowedOrigin(new URL('https://admin.fork.net/a.html'), allowed));
+    assert(isAllowedOrigin(new URL('https://a.b.fork.net/a.html'), allowed));
+    assert(isAllowedOrigin(new URL('http://localhost:3000/a.html'), allowed));
+    assert(isAllowedOrigin(new URL('http://test.io:8080/a.html'), allowed));
+
+    assert(!isAllowedOrigin(new URL('http://admin.da.live/a.html'), allowed), 'wrong scheme');
+    assert(!isAllowedOrigin(new URL('https://admin.da.live.evil.com/a.html'), allowed));
+    assert(!isAllowedOrigin(new URL('https://fork.net/a.html'), allowed), 'wildcard needs subdomain');
+    assert(!isAllowedOrigin(new URL('https://evilfork.net/a.html'), allowed));
+    assert(!isAllowedOrigin(new URL('http://test.io/a.html'), allowed), 'wrong port');
+    assert(!isAllowedOrigin(new URL('http://test.io:8081/a.html'), allowed), 'wrong port');
+    assert(!isAllowedOrigin(new URL('https://admin.da.live/a.html'), ['not a pattern']));
+  });
+
+  it('Test fixupDocName', () => {
+    assert.equal('https://admin.da.live/a.html', fixupDocName('https:/admin.da.live/a.html'));
+    assert.equal('http://localhost:8080/a.html', fixupDocName('http:/localhost:8080/a.html'));
+    assert.equal('https://some.fork/a.html', fixupDocName('https:/some.fork/a.html'));
+    assert.equal('https://admin.da.live/a.html', fixupDocName('https://admin.da.live/a.html'));
+  });
+
+  it('Test handleApiRequest passes read-only access', async () => {
+    const req = {
+      url: 'http://do.re.mi/https://admin.da.live/readonly.html?Authorization=lala&schema=2',
+      headers: new Map().set('X-collab-readonly', 'false'),
+    };
+
+    let actions = '/readonly.html=read';
+    const daadmin = {
+      fetch: async () => new Response(null, { status: 200, headers: { 'X-da-actions': actions } }),
+    };
+    const roomRequests = [];
+    const rooms = {
+      idFromName(nm) { return `id${hash(nm)}`; },
+      get() {
+        return {
+          fetch: (r) => {
+            roomRequests.push(r);
+            return new Response(null, { status: 306 });
+          },
+        };
+      },
+    };
+
+    await handleApiRequest(req, { daadmin, rooms });
+    assert.equal('true', roomRequests[0].headers.get('X-collab-readonly'),
+      'The client should not be able to set the read-only header');
+
+    actions = '/readonly.html=read,write';
+    await handleApiRequest(req, { daadmin, rooms });
+    assert.equal('false', roomRequests[1].headers.get('X-collab-readonly'));
+  });
+
+  it('Test isReadOnly', () => {
+    assert.equal(false, isReadOnly(new Headers()));
+    assert.equal(false, isReadOnly(new Headers({ 'X-da-actions': '/a/b.html=read,write' })));
+    assert.equal(false, isReadOnly(new Headers({ 'X-da-actions': 'read, write' })));
+    assert.equal(true, isReadOnly(new Headers({ 'X-da-actions': '/a/b.html=read' })));
+    assert.equal(true, isReadOnly(new Headers({ 'X-da-actions': '/a/b.html=' })));
+  });
+
   it('Test handleApiRequest not authorized', async () => {
     const req = {
-      url: 'http://do.re.mi/https://admin.da.live/hihi.html',
+      url: 'http://do.re.mi/https://admin.da.live/hihi.html?schema=2',
     }
 
     const mockFetch = async (url, opts) => new Response(null, {status: 401});
@@ -429,4 +1338,52 @@ describe('Worker test suite', () => {
     assert.equal('ok', json.status);
     assert.deepStrictEqual(['da-admin'], json.service_bindings);
   });
-});
\ No newline at end of file
+
+  it('Test roundtrip API', async () => {
+    const daadminCalls = [];
+    const daadmin = {
+      fetch: async (url, opts) => {
+        daadminCalls.push({ url, auth: opts.headers?.get('Authorization') });
+        return new Response(null, { status: opts.headers ? 200 : 401 });
+      },
+    };
+    const req = {
+      url: 'http://some.host.name/api/v1/roundtrip?doc=https://admin.da.live/a.html',
+      method: 'POST',
+      headers: new Headers({ Authorization: 'Bearer 123' }),
+      text: async () => '<main><div><p>Hello</p><div class="Cards"><div><div><p>x</p></div></div></div></div></main>',
+    };
+
+    const res = await defaultEdge.fetch(req, { daadmin });
+    assert.equal(200, res.status);
+    assert.deepStrictEqual([{ url: 'https://admin.da.live/a.html', auth: 'Bearer 123' }], daadminCalls);
+    const json = await res.json();
+    assert.equal(false, json.identical);
+    assert.deepStrictEqual([{
+      path: 'main > div:nth-child(1) > div:nth-child(2)',
+      type: 'attribute',
+      name: 'class',
+      input: 'Cards',
+      output: 'cards',
+    }], json.differences);
+
+    const res2 = await defaultEdge.fetch({ ...req, method: 'GET' }, { daadmin });
+    assert.equal(405, res2.status);
+    const res3 = await defaultEdge.fetch({ ...req, text: async () => ' ' }, { daadmin });
+    assert.equal(400, res3.status);
+    const res4 = await defaultEdge.fetch({ ...req, headers: new Headers() }, { daadmin });
+    assert.equal(401, res4.status, 'Needs read access to the document');
+    const res5 = await defaultEdge.fetch({ ...req, url: 'http://some.host.name/api/v1/roundtrip' }, { daadmin });
+    assert.equal(400, res5.status);
+
+    const large = 'x'.repeat(1024 * 1024);
+    const res6 = await defaultEdge.fetch({ ...req, text: async () => `<p>${large}</p>` }, { daadmin });
+    assert.equal(413, res6.status);
+    const res7 = await defaultEdge.fetch({
+      ...req,
+      headers: new Headers({ Authorization: 'Bearer 123', 'Content-Length': '2000000' }),
+      text: async () => assert.fail('Should not read the body'),
+    }, { daadmin });
+    assert.equal(413, res7.status);
+  });
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+import { fromHtml } from 'hast-util-from-html';
+import { select, selectAll } from 'hast-util-select';
+
+import { aem2doc, doc2aem } from '../src/collab.js';
+
+// The characters that the strings are made of, with those that need escaping more likely
+const ALPHABET = [
+  ...'<>&"\'=/;#',
+  '&amp;', '&lt;', '&#x22;', '</p>', '<script>', '"><img src=x>', '-->', '<!--',
+  ...'abcXYZ019 ',
+  'é', '→', '😀',
+];
+
+// A simple seeded random generator, so that failures can be reproduced
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function randomString(rand) {
+  const length = Math.floor(rand() * 20) + 1;
+  return Array.from({ length }, () => ALPHABET[Math.floor(rand() * ALPHABET.length)]).join('');
+}
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+const escapeAttr = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+const textOf = (node) => (node.type === 'text' ? node.value : (node.children || []).map(textOf).join(''));
+
+// The text as the editor has it, where whitespace is collapsed
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+function roundtrip(html) {
+  const ydoc = new Y.Doc();
+  aem2doc(html, ydoc);
+  return doc2aem(ydoc);
+}
+
+describe('Fuzz test suite', () => {
+  it('Test arbitrary strings roundtrip in text and attributes', () => {
+    const rand = random(42);
+    for (let i = 0; i < 100; i += 1) {
+      const text = randomString(rand);
+      const attr = randomString(rand);
+      const html = `<main><div><p>${escapeText(text)}</p><p><a href="/page?q=${escapeAttr(attr)}" title="${escapeAttr(attr)}">link</a></p><img src="/img.jpg" alt="${escapeAttr(attr)}"></div></main>`;
+
+      const result = roundtrip(html);
+      const tree = fromHtml(result, { fragment: true });
+      const main = select('main', tree);
+      const message = `Seed 42, iteration ${i}: ${result}`;
+
+      // Nothing was injected
+      assert.deepStrictEqual(
+        ['p', 'p', 'a', 'picture', 'source', 'source', 'img'],
+        selectAll('main *', tree).map((el) => el.tagName).filter((name) => name !== 'div'),
+        message,
+      );
+      const [p] = selectAll('p', main);
+      assert.equal(normalize(text), normalize(textOf(p)), message);
+      assert.equal(`/page?q=${attr}`, select('a', main).properties.href, message);
+      assert.equal(attr, select('a', main).properties.title, message);
+      assert.equal(attr, select('img', main).properties.alt, message);
+
+      // The output is stable
+      assert.equal(result, roundtrip(result), message);
+    }
+  });
+
+  it('Test script links are never kept', () => {
+    const rand = random(7);
+    const noise = ['', ' ', '\t', '\n', '&#9;', '&#x0A;'];
+    for (let i = 0; i < 50; i += 1) {
+      const scheme = [...'javascript']
+        .map((c) => (rand() < 0.5 ? c.toUpperCase() : c) + noise[Math.floor(rand() * noise.length)])
+        .join('');
+      const href = `${noise[Math.floor(rand() * noise.length)]}${scheme}:alert(${i})`;
+      const html = `<main><div><p><a href="${href}">link</a> <a href="${href}"><img src="/img.jpg"></a></p></div></main>`;
+
+      const result = roundtrip(html);
+      assert(!/javascript/i.test(result.replace(/[\s]/g, '')), `Iteration ${i}: ${result}`);
+      assert(result.includes('link'), `Iteration ${i}: ${result}`);
+    }
+  });
+});
@@ -0,0 +1,208 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+import { aem2doc, doc2aem } from '../src/collab.js';
+import { doc2md, md2doc } from '../src/markdown.js';
+
+const collapseTagWhitespace = (str) => str.replace(/>\s+</g, '><');
+const collapseWhitespace = (str) => collapseTagWhitespace(str.replace(/\s+/g, ' ')).trim();
+
+const MARKDOWN = `# Hello *World*
+
+Some **bold** text with a [link](<https://da.live> "DA"), <sup>1</sup>, <sub>2</sub>, <u>3</u>, <s>4</s> and \`code\`.<br>After a break.
+
+- one
+- two
+  - nested
+- three
+
+1. first
+2. second
+
+![An image](<https://da.live/img.jpg>)
+
+[![Linked image](<https://da.live/img2.jpg>)](<https://da.live>)
+
+\`\`\`
+const a = 1;
+\`\`\`
+
+> quoted
+
+---
+
+## Section 2
+
+| columns (wide, dark) |  |
+| --- | --- |
+| a | b |
+| c \\| d | <ul><li>x</li></ul> |
+
+Not \\*emphasis\\* and not a \\[link\\]
+
+---
+
+| metadata |  |
+| --- | --- |
+| Title | My Page |
+`;
+
+describe('Markdown test suite', () => {
+  it('Test md2doc', () => {
+    const yDoc = new Y.Doc();
+    md2doc(MARKDOWN, yDoc);
+
+    const expected = `
+      <body>
+        <header></header>
+        <main>
+          <div>
+            <h1>Hello <em>World</em></h1>
+            <p>Some <strong>bold</strong> text with a <a href="https://da.live" title="DA">link</a>, <sup>1</sup>, <sub>2</sub>, <u>3</u>, <s>4</s> and <code>code</code>.<br>After a break.</p>
+            <ul><li>one</li><li><p>two</p><ul><li>nested</li></ul></li><li>three</li></ul>
+            <ol><li>first</li><li>second</li></ol>
+            <picture><source srcset="https://da.live/img.jpg"><source srcset="https://da.live/img.jpg" media="(min-width: 600px)"><img src="https://da.live/img.jpg" alt="An image" loading="lazy"></picture>
+            <a href="https://da.live"><picture><source srcset="https://da.live/img2.jpg"><source srcset="https://da.live/img2.jpg" media="(min-width: 600px)"><img src="https://da.live/img2.jpg" alt="Linked image"></picture></a>
+            <pre><code>const a = 1;
+</code></pre>
+            <blockquote><p>quoted</p></blockquote>
+          </div>
+          <div>
+            <h2>Section 2</h2>
+            <div class="columns wide dark">
+              <div><div><p>a</p></div><div><p>b</p></div></div>
+              <div><div><p>c | d</p></div><div><ul><li>x</li></ul></div></div>
+            </div>
+            <p>Not *emphasis* and not a [link]</p>
+          </div>
+          <div>
+            <div class="metadata"><div><div><p>Title</p></div><div><p>My Page</p></div></div></div>
+          </div>
+        </main>
+        <footer></footer>
+      </body>`;
+    assert.equal(collapseWhitespace(doc2aem(yDoc)), collapseWhitespace(expected));
+    assert.deepStrictEqual({ metadata: { Title: 'My Page' } }, yDoc.getMap('metadata').toJSON());
+  });
+
+  it('Test md roundtrip', () => {
+    const yDoc = new Y.Doc();
+    md2doc(MARKDOWN, yDoc);
+    assert.equal(doc2md(yDoc), MARKDOWN);
+  });
+
+  it('Test doc2md', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><h3>Title</h3><p># not a heading</p><p>- not a list</p><p>2. not a list either</p><p>a &amp; b &lt;c&gt; under_score</p><p><a href="/x"><strong>Bold link</strong></a></p></div><div><div class="cards"><div><div><p>One</p><p>Two</p></div><div><pre><code>a | b</code></pre></div></div><div><div><p>Single</p></div></div></div></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    const md = doc2md(yDoc);
+
+    assert.equal(md, `### Title
+
+\\# not a heading
+
+\\- not a list
+
+2\\. not a list either
+
+a \\& b \\<c\\> under\\_score
+
+[**Bold link**](</x>)
+
+---
+
+| cards |  |
+| --- | --- |
+| <p>One</p><p>Two</p> | <pre><code>a &#124; b</code></pre> |
+| Single |  |
+`);
+
+    const yDoc2 = new Y.Doc();
+    md2doc(md, yDoc2);
+    assert.equal(doc2aem(yDoc2), doc2aem(yDoc), 'Converting back should give the same document');
+  });
+
+  it('Test doc2md escapes link and image destinations and titles', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p><a href="/a>b<c" title="Say &quot;hi&quot;">link</a></p><p><a href="/x>y" title="A &quot;b&quot; \\ c"><picture><img src="/i>(j).png" alt="img"></picture></a></p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    const md = doc2md(yDoc);
+    assert.equal(md, `[link](</a\\>b\\<c> "Say \\"hi\\"")
+
+[![img](</i\\>(j).png>)](</x\\>y> "A \\"b\\" \\\\ c")
+`);
+
+    // The parser percent-encodes the brackets of the URLs
+    const yDoc2 = new Y.Doc();
+    md2doc(md, yDoc2);
+    const aem = doc2aem(yDoc2);
+    assert(aem.includes('<a href="/a%3Eb%3Cc" title="Say &quot;hi&quot;">link</a>'), aem);
+    assert(aem.includes('<a href="/x%3Ey" title="A &quot;b&quot; \\ c"><picture>'), aem);
+    assert(aem.includes('<img src="/i%3E(j).png" alt="img">'), aem);
+  });
+
+  it('Test doc2md keeps preserved markup', () => {
+    const html = `
+<body>
+  <header></header>
+  <main><div><p>Some <abbr title="x">abbr</abbr> text</p><dl><dt>T</dt><dd>D</dd></dl><p>After</p></div></main>
+  <footer></footer>
+</body>
+`;
+    const yDoc = new Y.Doc();
+    aem2doc(html, yDoc);
+    const md = doc2md(yDoc);
+    assert.equal(md, 'Some <abbr title="x">abbr</abbr> text\n\n<dl><dt>T</dt><dd>D</dd></dl>\n\nAfter\n');
+
+    const yDoc2 = new Y.Doc();
+    md2doc(md, yDoc2);
+    assert.equal(doc2aem(yDoc2), doc2aem(yDoc), 'Converting back should give the same document');
+  });
+
+  it('Test doc2md sanitizes preserved markup', () => {
+    const yDoc = new Y.Doc();
+    md2doc('Text <abbr onclick="alert(1)">abbr</abbr>\n\n<dl><dt>T</dt><script>alert(2)</script></dl>\n', yDoc);
+    const raw = yDoc.getXmlFragment('prosemirror').get(1);
+    raw.setAttribute('html', `${raw.getAttribute('html')}<script>alert(3)</script>`);
+    assert.equal(doc2md(yDoc), 'Text <abbr>abbr</abbr>\n\n<dl><dt>T</dt></dl>\n');
+  });
+
+  it('Test md2doc table without block name', () => {
+    const yDoc = new Y.Doc();
+    md2doc('|  | b |\n| --- | --- |\n| c | d |\n', yDoc);
+    assert.equal(collapseWhitespace(doc2aem(yDoc)), collapseWhitespace(`
+      <body>
+        <header></header>
+        <main><div><div class=""><div><div><p>c</p></div><div><p>d</p></div></div></div></div></main>
+        <footer></footer>
+      </body>`));
+  });
+
+  it('Test empty markdown', () => {
+    const yDoc = new Y.Doc();
+    md2doc('', yDoc);
+    assert.equal('\n', doc2md(yDoc));
+  });
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+
+import { aem2doc, doc2aem } from '../src/collab.js';
+import { mergeExternal } from '../src/merge.js';
+
+const main = (content) => `<main><div>${content}</div></main>`;
+
+function liveDoc(html) {
+  const ydoc = new Y.Doc();
+  aem2doc(html, ydoc);
+  return ydoc;
+}
+
+function content(ydoc) {
+  const html = doc2aem(ydoc);
+  return html.substring(html.indexOf('<main>'), html.indexOf('</main>') + 7);
+}
+
+describe('Merge test suite', () => {
+  it('Test merged blocks keep their attributes', () => {
+    const base = main('<p>One</p><h2>Two</h2>');
+    const ydoc = liveDoc(base);
+
+    const external = main('<p>One</p><h2>Two changed</h2><div class="cards"><div><div><p>A</p></div><div><p>B</p></div></div><div><div><p>C</p></div></div></div>');
+    assert.deepStrictEqual({ merged: 1, conflicts: 0 }, mergeExternal(ydoc, base, external));
+    assert.equal(content(liveDoc(external)), content(ydoc));
+  });
+
+  it('Test merge external changes to other blocks', () => {
+    const base = main('<p>One</p><p>Two</p><p>Three</p><p>Four</p>');
+    const ydoc = liveDoc(base);
+
+    // The session changed the second paragraph
+    const root = ydoc.getXmlFragment('prosemirror');
+    root.get(1).get(0).insert(3, ' live');
+    assert.equal(main('<p>One</p><p>Two live</p><p>Three</p><p>Four</p>'), content(ydoc),
+      'Precondition');
+
+    const external = main('<p>Zero</p><p>One</p><p>Two</p><p>Three external</p>');
+    assert.deepStrictEqual({ merged: 2, conflicts: 0 }, mergeExternal(ydoc, base, external));
+    assert.equal(main('<p>Zero</p><p>One</p><p>Two live</p><p>Three external</p>'), content(ydoc));
+  });
+
+  it('Test merge conflicting changes keeps the live change', () => {
+    const base = main('<p>One</p><p>Two</p><p>Three</p>');
+    const ydoc = liveDoc(base);
+    ydoc.getXmlFragment('prosemirror').get(1).get(0).insert(3, ' live');
+
+    const external = main('<p>One external</p><p>Two external</p><p>Three</p>');
+    assert.deepStrictEqual({ merged: 0, conflicts: 1 }, mergeExternal(ydoc, base, external));
+    assert.equal(main('<p>One</p><p>Two live</p><p>Three</p>'), content(ydoc));
+  });
+
+  it('Test merge inserted blocks', () => {
+    const base = main('<p>One</p><p>Two</p>');
+    const ydoc = liveDoc(base);
+    const root = ydoc.getXmlFragment('prosemirror');
+    root.delete(0, 1);
+
+    const updates = [];
+    ydoc.on('update', (u) => updates.push(u));
+    const external = main('<p>One</p><p>Between</p><p>Two</p><p>Last</p>');
+    assert.deepStrictEqual({ merged: 2, conflicts: 0 }, mergeExternal(ydoc, base, external));
+    assert.equal(main('<p>Between</p><p>Two</p><p>Last</p>'), content(ydoc));
+    assert.equal(1, updates.length, 'Should be merged in a single transaction');
+
+    assert.deepStrictEqual({ merged: 0, conflicts: 0 }, mergeExternal(ydoc, external, external));
+  });
+});
@@ -0,0 +1,146 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+
+import { aem2doc, doc2aem } from '../src/collab.js';
+import {
+  bindMetadata, getMetadataMap, readMetadata, updateMetadata, validateMetadata,
+} from '../src/metadata.js';
+
+const page = `<main>
+  <div><p>Hello</p><div class="metadata"><div><div>Title</div><div>My page</div></div><div><div>Description</div><div><p>Line 1</p><p>Line 2</p></div></div></div></div>
+  <div><p>Second</p><div class="section-metadata"><div><div>Style</div><div>dark</div></div></div></div>
+</main>`;
+
+function main(ydoc) {
+  const html = doc2aem(ydoc);
+  return html.substring(html.indexOf('<main>'), html.indexOf('</main>') + 7);
+}
+
+describe('Metadata test suite', () => {
+  it('Test aem2doc mirrors the metadata', () => {
+    const ydoc = new Y.Doc();
+    aem2doc(page, ydoc);
+
+    const expected = {
+      metadata: { Title: 'My page', Description: 'Line 1\nLine 2' },
+      'section-metadata:1': { Style: 'dark' },
+    };
+    assert.deepStrictEqual(expected, getMetadataMap(ydoc).toJSON());
+    assert.deepStrictEqual(expected, readMetadata(ydoc));
+  });
+
+  it('Test editing the table updates the map', () => {
+    const ydoc = new Y.Doc();
+    bindMetadata(ydoc);
+    aem2doc(page, ydoc);
+
+    const table = ydoc.getXmlFragment('prosemirror').toArray()
+      .find((node) => node.nodeName === 'table');
+    const titleText = table.get(1).get(1).get(0).get(0);
+    titleText.insert(titleText.length, ' edited');
+    table.delete(2, 1);
+
+    assert.deepStrictEqual({ Title: 'My page edited' },
+      getMetadataMap(ydoc).get('metadata').toJSON());
+  });
+
+  it('Test update metadata', () => {
+    const ydoc = new Y.Doc();
+    aem2doc(page, ydoc);
+
+    updateMetadata(ydoc, {
+      metadata: { title: 'New title', Description: null, Robots: 'noindex' },
+      'section-metadata:0': { Style: 'light' },
+      'section-metadata:1': null,
+      'section-metadata:5': { Style: 'ignored' },
+    });
+
+    assert.deepStrictEqual({
+      metadata: { Title: 'New title', Robots: 'noindex' },
+      'section-metadata:0': { Style: 'light' },
+    }, getMetadataMap(ydoc).toJSON());
+    assert.equal(`<main><div><p>Hello</p>\
+<div class="metadata"><div><div><p>Title</p></div><div><p>New title</p></div></div>\
+<div><div><p>Robots</p></div><div><p>noindex</p></div></div></div>\
+<div class="section-metadata"><div><div><p>Style</p></div><div><p>light</p></div></div></div></div>\
+<div><p>Second</p></div></main>`, main(ydoc));
+
+    // A page block is added at the end of the document
+    const empty = new Y.Doc();
+    aem2doc('<main><div><p>Empty</p></div></main>', empty);
+    updateMetadata(empty, { metadata: { Title: 'Added' } });
+    assert.equal('<main><div><p>Empty</p><div class="metadata"><div><div><p>Title</p></div>'
+      + '<div><p>Added</p></div></div></div></div></main>', main(empty));
+  });
+
+  it('Test changing the map updates the table', () => {
+    const ydoc = new Y.Doc();
+    bindMetadata(ydoc);
+    aem2doc(page, ydoc);
+
+    const map = getMetadataMap(ydoc);
+    ydoc.transact(() => {
+      map.get('metadata').set('Title', 'From the map');
+      map.get('section-metadata:1').delete('Style');
+    }, 'client');
+    assert(main(ydoc).includes('<div><p>Title</p></div><div><p>From the map</p></div>'));
+    assert(!main(ydoc).includes('Style'));
+
+    ydoc.transact(() => map.delete('metadata'), 'client');
+    assert(!main(ydoc).includes('class="metadata"'));
+
+    // Invalid changes are reverted
+    ydoc.transact(() => map.set('unknown', new Y.Map()), 'client');
+    assert.equal(undefined, map.get('unknown'));
+  });
+
+  it('Test section metadata with section attributes', () => {
+    const ydoc = new Y.Doc();
+    aem2doc(`<main><div class="intro"><p>First</p><div class="section-metadata"><div><div>Style</div><div>a</div></div></div></div>
+<div><p>Second</p></div></main>`, ydoc);
+    assert.deepStrictEqual({ 'section-metadata:0': { Style: 'a' } }, readMetadata(ydoc),
+      'The rule holding the attributes of the first section does not start a section');
+
+    updateMetadata(ydoc, { 'section-metadata:1': { Style: 'b' } });
+    assert(main(ydoc).endsWith('<div><p>Second</p><div class="section-metadata"><div><div><p>Style</p></div>'
+      + '<div><p>b</p></div></div></div></div></main>'));
+    assert(main(ydoc).startsWith('<main><div class="intro"><p>First</p>'));
+  });
+
+  it('Test section metadata after a rule at the start', () => {
+    const ydoc = new Y.Doc();
+    aem2doc(`<main><div><p>First</p><div class="section-metadata"><div><div>Style</div><div>a</div></div></div></div>
+<div><p>Second</p></div></main>`, ydoc);
+    // A rule without section attributes at the start starts an empty first section
+    ydoc.getXmlFragment('prosemirror').insert(0, [new Y.XmlElement('horizontal_rule')]);
+    assert(main(ydoc).startsWith('<main><div></div><div><p>First</p><div class="section-metadata">'));
+    assert.deepStrictEqual({ 'section-metadata:1': { Style: 'a' } }, readMetadata(ydoc),
+      'The sections should be numbered like those of the HTML');
+
+    updateMetadata(ydoc, { 'section-metadata:2': { Style: 'b' } });
+    assert(main(ydoc).endsWith('<div><p>Second</p><div class="section-metadata"><div><div><p>Style</p></div>'
+      + '<div><p>b</p></div></div></div></div></main>'));
+  });
+
+  it('Test validate metadata', () => {
+    assert.equal(null, validateMetadata({ metadata: { Title: 'a', Robots: null } }));
+    assert.equal(null, validateMetadata({ 'section-metadata:2': null }));
+    assert.equal('Metadata must be an object', validateMetadata([]));
+    assert.equal('Unknown metadata block: hero', validateMetadata({ hero: {} }));
+    assert.equal('Unknown metadata block: section-metadata:x',
+      validateMetadata({ 'section-metadata:x': {} }));
+    assert.equal('Invalid values for metadata block: metadata',
+      validateMetadata({ metadata: { Title: 42 } }));
+  });
+});
@@ -0,0 +1,42 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// A simple in-memory implementation of the durable object storage. The alarms that were set
+// are recorded, fireAlarm() clears the current one like the runtime does when it goes off.
+export function mockStorage() {
+  const data = new Map();
+  const alarms = [];
+  let alarm = null;
+  return {
+    data,
+    alarms,
+    get: async (key) => data.get(key),
+    put: async (key, value) => {
+      if (typeof key === 'object') {
+        Object.entries(key).forEach(([k, v]) => data.set(k, v));
+      } else {
+        data.set(key, value);
+      }
+    },
+    delete: async (keys) => keys.forEach((k) => data.delete(k)),
+    list: async ({ prefix = '' } = {}) => new Map([...data].filter(([k]) => k.startsWith(prefix))),
+    getAlarm: async () => alarm,
+    setAlarm: async (t) => { alarm = t; alarms.push(t); },
+    fireAlarm: () => { alarm = null; },
+  };
+}
+
+const base64url = (obj) => btoa(JSON.stringify(obj))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// An authorization header with an unsigned JWT of the claims
+export const bearer = (claims) => `Bearer ${base64url({ alg: 'none' })}.${base64url(claims)}.sig`;
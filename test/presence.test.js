@@ -0,0 +1,70 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+
+import { aem2doc } from '../src/collab.js';
+import { readPresence } from '../src/presence.js';
+import { WSSharedDoc } from '../src/shareddoc.js';
+import { bearer } from './mocks/helpers.js';
+
+describe('Presence test suite', () => {
+  it('Test read presence', () => {
+    const ydoc = new WSSharedDoc('https://admin.da.live/presence.html');
+    aem2doc('<main><div><h1>Title</h1><p>One</p><p>Two</p></div></main>', ydoc);
+    const root = ydoc.getXmlFragment('prosemirror');
+    const text = root.get(2).get(0);
+    const position = Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, 2));
+
+    ydoc.awareness.states.set(42, {
+      user: { name: 'Joe', color: '#ff0000' },
+      cursor: { anchor: position, head: position },
+    });
+    ydoc.awareness.states.set(43, { user: { name: 'Ann' } });
+
+    const presence = readPresence([
+      {
+        auth: bearer({ user_id: 'joe@example.com' }), connected: 1000, awarenessIds: [42],
+      },
+      {
+        auth: bearer({ sub: 'ann', email: 'ann@example.com' }), readOnly: true, awarenessIds: [43],
+      },
+      { awarenessIds: [] },
+    ], ydoc);
+
+    assert.deepStrictEqual([
+      {
+        id: 'joe@example.com',
+        name: 'joe@example.com',
+        color: '#ff0000',
+        cursor: { block: 2, type: 'paragraph' },
+        connected: 1000,
+        readOnly: false,
+      },
+      {
+        id: 'ann', name: 'ann@example.com', color: null, cursor: null, connected: null, readOnly: true,
+      },
+      {
+        id: null, name: null, color: null, cursor: null, connected: null, readOnly: false,
+      },
+    ], presence);
+  });
+
+  it('Test read presence without the ydoc', () => {
+    const presence = readPresence([{
+      auth: bearer({ user_id: 'joe', email: 'joe@example.com' }), connected: 5, awarenessIds: [1],
+    }]);
+    assert.deepStrictEqual([{
+      id: 'joe', name: 'joe@example.com', color: null, cursor: null, connected: 5, readOnly: false,
+    }], presence);
+  });
+});
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import { checkRoundTrip } from '../src/roundtrip.js';
+
+describe('Round trip test suite', () => {
+  it('Test identical round trip ignores whitespace and attribute order', () => {
+    const html = `
+<body>
+  <header></header>
+  <main>
+    <div>
+      <h1>Title</h1>
+      <p>Some   <a title="T" href="/x">link</a>
+        text</p>
+    </div>
+  </main>
+  <footer></footer>
+</body>`;
+    const result = checkRoundTrip(html);
+    assert.equal(true, result.identical);
+    assert.deepStrictEqual([], result.differences);
+    assert.deepStrictEqual([], result.preserved);
+    assert(result.html.includes('<h1>Title</h1>'));
+  });
+
+  it('Test round trip differences', () => {
+    const html = '<main><div><picture><source srcset="a.webp" type="image/webp"><img src="a.jpg" alt="A"></picture><h2 title="x">T</h2></div></main>';
+    const result = checkRoundTrip(html);
+    assert.equal(false, result.identical);
+    const picture = 'main > div:nth-child(1) > picture:nth-child(1)';
+    assert.deepStrictEqual([
+      {
+        path: `${picture} > img:nth-child(2)`, type: 'attribute', name: 'loading', input: null, output: 'lazy',
+      },
+    ], result.differences);
+    assert.deepStrictEqual(['h2'], result.preserved.map((p) => p.element));
+  });
+
+  it('Test round trip of missing and changed text', () => {
+    const section = 'main > div:nth-child(1)';
+    assert.deepStrictEqual([
+      {
+        path: `${section} > pre:nth-child(1)`, type: 'missing', input: 'a b', output: null,
+      },
+      {
+        path: `${section} > pre:nth-child(1) > code:nth-child(1)`, type: 'added', input: null, output: '<code>',
+      },
+    ], checkRoundTrip('<pre>a b</pre>').differences);
+
+    // Text directly in a section is put in a paragraph
+    const { differences } = checkRoundTrip('<p>a</p>text<p>b</p>');
+    assert.deepStrictEqual([
+      {
+        path: section, type: 'missing', input: 'text', output: null,
+      },
+      {
+        path: `${section} > p:nth-child(2)`, type: 'added', input: null, output: '<p>',
+      },
+    ], differences);
+  });
+
+  it('Test round trip compares the attribute names of the HTML', async () => {
+    const html = '<main><div><meta http-equiv="refresh" content="0"></div></main>';
+    assert.equal(true, checkRoundTrip(html).identical);
+
+    // A serializer that gets the attribute name wrong
+    const rt = await esmock('../src/roundtrip.js', {
+      '../src/collab.js': {
+        doc2aem: () => '<main><div><meta httpequiv="refresh" content="0"></div></main>',
+      },
+    });
+    assert.deepStrictEqual([
+      {
+        path: 'main > div:nth-child(1) > meta:nth-child(1)', type: 'attribute', name: 'http-equiv', input: 'refresh', output: null,
+      },
+      {
+        path: 'main > div:nth-child(1) > meta:nth-child(1)', type: 'attribute', name: 'httpequiv', input: null, output: 'refresh',
+      },
+    ], rt.checkRoundTrip(html).differences);
+  });
+
+  it('Test round trip of section content', () => {
+    const result = checkRoundTrip('<p>One</p><p>Two</p>');
+    assert.equal(true, result.identical);
+  });
+});
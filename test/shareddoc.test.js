@@ -12,12 +12,16 @@
 import * as Y from 'yjs';
 import assert from 'assert';
 import esmock from 'esmock';
+import * as encoding from 'lib0/encoding.js';
+import * as decoding from 'lib0/decoding.js';
 
 import {
-  closeConn, getYDoc, invalidateFromAdmin, messageListener, persistence,
-  readState, setupWSConnection, setYDoc, showError, storeState, updateHandler, WSSharedDoc,
+  closeConn, errorCodes, findYDoc, getYDoc, invalidateFromAdmin, loadYDoc, messageListener, persistence,
+  readAuthRefresh, readState, restoreWSConnection, setupWSConnection, setYDoc, sendError, storeState,
+  updateHandler, WSSharedDoc,
 } from '../src/shareddoc.js';
 import { aem2doc, doc2aem } from '../src/collab.js';
+import { bearer, mockStorage } from './mocks/helpers.js';
 
 function isSubArray(full, sub) {
   if (sub.length === 0) {
@@ -188,6 +192,7 @@ describe('Collab Test Suite', () => {
     } catch (error) {
       // expected
       assert(error.toString().includes('unable to get resource - status: 500'));
+      assert.equal('LOAD_FAILED', error.code);
     }
   });
 
@@ -222,6 +227,188 @@ describe('Collab Test Suite', () => {
     assert.equal(result.statusText, 'Unauth');
   });
 
+  it('Test persistence writers', async () => {
+    const ydoc = new WSSharedDoc('http://foo.bar/q/writers.html');
+    const conn1 = { auth: 'tok1' };
+    const conn2 = { auth: 'tok2', readOnly: true, lastEdit: 3 };
+    const conn3 = { auth: 'tok3', lastEdit: 1 };
+    const conn4 = { auth: 'tok4', lastEdit: 2 };
+    const conn5 = { auth: 'tok4' };
+    [conn1, conn2, conn3, conn4, conn5].forEach((c) => ydoc.conns.set(c, new Set()));
+
+    assert.deepStrictEqual(['tok4', 'tok3', 'tok1'], persistence.writers(ydoc));
+    assert.equal('tok4', persistence.auth(ydoc));
+    assert.equal(undefined, persistence.auth(new WSSharedDoc('http://foo.bar/q/none.html')));
+
+    // The last writer is kept when its connection is closed, unless it became read-only
+    ydoc.lastWriter = { auth: 'tok6', lastEdit: 4 };
+    assert.deepStrictEqual(['tok6', 'tok4', 'tok3', 'tok1'], persistence.writers(ydoc));
+    ydoc.lastWriter.readOnly = true;
+    assert.deepStrictEqual(['tok4', 'tok3', 'tok1'], persistence.writers(ydoc));
+  });
+
+  it('Test persistence put with the writer header', async () => {
+    const auth = bearer({ user_id: 'joe@example.com' });
+    const daadmin = {
+      fetch: async (url, opts) => {
+        assert.equal(auth, opts.headers.get('Authorization'));
+        assert.equal('joe@example.com', opts.headers.get('X-DA-Writer'));
+        return { ok: true, status: 200 };
+      },
+    };
+    const result = await persistence.put({ name: 'foo', conns: new Map(), daadmin }, 'test', auth);
+    assert.equal(200, result.status);
+  });
+
+  it('Test persistence update falls back to the next writer', async () => {
+    const ydoc = new WSSharedDoc('http://foo.bar/q/fallback.html');
+    const closed = [];
+    const mockConn = (auth, lastEdit) => ({
+      auth,
+      lastEdit,
+      readyState: 1,
+      send() {},
+      close(code) { closed.push({ auth, code }); },
+    });
+    const expired = mockConn('expired', 3);
+    const forbidden = mockConn('forbidden', 2);
+    const valid = mockConn('valid', 1);
+    const reader = mockConn('reader', 4);
+    reader.readOnly = true;
+    [valid, expired, forbidden, reader].forEach((c) => ydoc.conns.set(c, new Set()));
+    aem2doc('<main><div><p>Hello</p></div></main>', ydoc);
+
+    const savedPut = persistence.put;
+    try {
+      const puts = [];
+      persistence.put = async (yd, content, auth) => {
+        puts.push(auth);
+        const status = { expired: 401, forbidden: 403 }[auth] ?? 200;
+        return { ok: status === 200, status };
+      };
+
+      const content = await persistence.update(ydoc, '<main></main>');
+      assert(content.includes('<p>Hello</p>'));
+      assert.deepStrictEqual(['expired', 'forbidden', 'valid'], puts);
+      assert.equal('saved', ydoc.saveStatus.state);
+      assert.deepStrictEqual([{ auth: 'expired', code: 4401 }], closed);
+      assert.deepStrictEqual([valid, forbidden, reader], [...ydoc.conns.keys()]);
+    } finally {
+      persistence.put = savedPut;
+    }
+  });
+
+  it('Test persistence get and put with the da-admin version', async () => {
+    const ydoc = { name: 'foo', conns: new Map() };
+    const requests = [];
+    const headers = (h) => new Headers(h);
+    ydoc.daadmin = {
+      fetch: async (url, opts) => {
+        requests.push(opts);
+        return opts.method === 'PUT'
+          ? { ok: true, status: 200, headers: headers({ 'Last-Modified': 'Tue, 01 Oct 2024' }) }
+          : { ok: true, status: 200, headers: headers({ ETag: '"v1"' }), text: async () => 'c' };
+      },
+    };
+
+    assert.equal('c', await persistence.get('foo', undefined, ydoc.daadmin, ydoc));
+    assert.equal('"v1"', ydoc.adminVersion.etag);
+
+    await persistence.put(ydoc, 'test');
+    assert.equal('"v1"', requests[1].headers.get('If-Match'));
+    assert.deepStrictEqual({ etag: undefined, lastModified: 'Tue, 01 Oct 2024' }, ydoc.adminVersion);
+
+    await persistence.put(ydoc, 'test');
+    assert.equal(null, requests[2].headers.get('If-Match'));
+    assert.equal('Tue, 01 Oct 2024', requests[2].headers.get('If-Unmodified-Since'));
+  });
+
+  it('Test persistence update merges changes from da-admin on 412', async () => {
+    const docName = 'https://admin.da.live/source/foo/conflict.html';
+    const ydoc = new WSSharedDoc(docName);
+    const errors = [];
+    ydoc.conns.set({
+      auth: 'tok',
+      readyState: 1,
+      send(m) {
+        const decoder = decoding.createDecoder(m);
+        if (decoding.readVarUint(decoder) === 4) {
+          errors.push(JSON.parse(decoding.readVarString(decoder)).code);
+        }
+      },
+    }, new Set());
+    aem2doc('<main><div><p>One</p><p>Two</p></div></main>', ydoc);
+    const current = doc2aem(ydoc);
+    ydoc.getXmlFragment('prosemirror').get(1).get(0).insert(3, ' live');
+
+    const savedGet = persistence.get;
+    const savedPut = persistence.put;
+    try {
+      let external = '<main><div><p>One external</p><p>Two</p></div></main>';
+      persistence.get = async (nm, auth, daadmin, yd) => {
+        assert.equal(docName, nm);
+        assert.equal('tok', auth);
+        assert.equal(ydoc, yd);
+        return external;
+      };
+      const puts = [];
+      persistence.put = async (yd, content) => {
+        puts.push(content);
+        return puts.length % 2 === 1 ? { ok: false, status: 412 } : { ok: true, status: 200 };
+      };
+
+      const result = await persistence.update(ydoc, current);
+      assert.equal(2, puts.length);
+      assert(puts[1].includes('<p>One external</p><p>Two live</p>'), puts[1]);
+      assert.equal(puts[1], result);
+      assert.equal('saved', ydoc.saveStatus.state);
+      assert.deepStrictEqual([], errors);
+
+      // The same paragraph was changed in da-admin
+      ydoc.getXmlFragment('prosemirror').get(1).get(0).insert(0, 'Live ');
+      external = '<main><div><p>One external</p><p>Two external</p></div></main>';
+      await persistence.update(ydoc, result);
+      assert.equal(4, puts.length);
+      assert(puts[3].includes('<p>One external</p><p>Live Two live</p>'), puts[3]);
+      assert.deepStrictEqual(['EDIT_CONFLICT'], errors);
+    } finally {
+      persistence.get = savedGet;
+      persistence.put = savedPut;
+    }
+  });
+
+  it('Test persistence update reports duplicate ids', async () => {
+    const ydoc = new WSSharedDoc('https://admin.da.live/source/foo/ids.html');
+    const errors = [];
+    ydoc.conns.set({
+      readyState: 1,
+      send(m) {
+        const decoder = decoding.createDecoder(m);
+        if (decoding.readVarUint(decoder) === 4) {
+          errors.push(JSON.parse(decoding.readVarString(decoder)));
+        }
+      },
+    }, new Set());
+    aem2doc('<main><div><h2 id="intro">Intro</h2><p id="intro">Copy</p><p id="other">Other</p></div></main>', ydoc);
+
+    const savedPut = persistence.put;
+    try {
+      const puts = [];
+      persistence.put = async (yd, content) => {
+        puts.push(content);
+        return { ok: true, status: 200 };
+      };
+      await persistence.update(ydoc, 'old');
+      assert(puts[0].includes('<h2 id="intro">Intro</h2><p>Copy</p><p id="other">Other</p>'), puts[0]);
+      assert.equal('saved', ydoc.saveStatus.state);
+      assert.equal(1, errors.length);
+      assert.equal('DUPLICATE_ID', errors[0].code);
+      assert(errors[0].message.endsWith(': intro'));
+    } finally {
+      persistence.put = savedPut;
+    }
+  });
+
   it('Test persistence update does not put if no change', async () => {
     const mockDoc2Aem = () => 'Svr content';
     const pss = await esmock(
@@ -235,9 +422,11 @@ describe('Collab Test Suite', () => {
       assert.fail("update should not have happend");
     }
 
+    const sent = [];
     const mockYDoc = {
-      conns: { keys() { return [ {} ] }},
+      conns: new Map().set({ readyState: 1, send: (m) => sent.push(m) }, new Set()),
       name: 'http://foo.bar/0/123.html',
+      saveStatus: { state: 'dirty' },
     };
 
     pss.persistence.put = async (ydoc, content) => {
@@ -246,6 +435,8 @@ describe('Collab Test Suite', () => {
 
     const result = await pss.persistence.update(mockYDoc, 'Svr content');
     assert.equal(result, 'Svr content');
+    assert.equal('saved', mockYDoc.saveStatus.state, 'Unchanged content is saved');
+    assert.equal(1, sent.length);
   });
 
   it('Test persistence update does put if change', async () => {
@@ -253,13 +444,16 @@ describe('Collab Test Suite', () => {
     const pss = await esmock(
       '../src/shareddoc.js', {
         '../src/collab.js': {
-          doc2aem: mockDoc2Aem
+          doc2aem: mockDoc2Aem,
+          findDuplicateIds: () => [],
         }
       });
 
+    const sent = [];
     const mockYDoc = {
-      conns: { keys() { return [ {} ] }},
+      conns: new Map().set({ readyState: 1, send: (m) => sent.push(m) }, new Set()),
       name: 'http://foo.bar/0/123.html',
+      saveStatus: { state: 'dirty' },
     };
 
     let called = false;
@@ -279,6 +473,17 @@ describe('Collab Test Suite', () => {
     assert.equal(result, 'Svr content update');
     assert(called);
     assert(!calledCloseCon);
+
+    const states = sent.map((m) => {
+      const decoder = decoding.createDecoder(m);
+      assert.equal(5, decoding.readVarUint(decoder), 'messageSaveStatus');
+      return JSON.parse(decoding.readVarString(decoder));
+    });
+    assert.equal(2, states.length);
+    assert.deepStrictEqual({ state: 'saving' }, states[0]);
+    assert.equal('saved', states[1].state);
+    assert.equal(201, states[1].status);
+    assert(states[1].timestamp > 0);
   });
 
   it('Test persistence update closes all on auth failure', async () => {
@@ -286,15 +491,17 @@ describe('Collab Test Suite', () => {
     const pss = await esmock(
       '../src/shareddoc.js', {
         '../src/collab.js': {
-          doc2aem: mockDoc2Aem
+          doc2aem: mockDoc2Aem,
+          findDuplicateIds: () => [],
         }
       });
 
+    const sent = [];
+    const mockConn = { readyState: 1, send: (m) => sent.push(m) };
     const mockYDoc = {
-      conns: new Map().set('foo', 'bar'),
+      conns: new Map().set(mockConn, 'bar'),
       name: 'http://foo.bar/0/123.html',
-      getMap(nm) { return nm === 'error' ? new Map() : null },
-      transact: (f) => f(),
+      saveStatus: { state: 'dirty' },
     };
 
     let called = false;
@@ -306,9 +513,10 @@ describe('Collab Test Suite', () => {
     }
 
     let calledCloseCon = false;
-    pss.persistence.closeConn = (doc, conn) => {
+    pss.persistence.closeConn = (doc, conn, code) => {
       assert.equal(doc, mockYDoc);
-      assert.equal(conn, 'foo');
+      assert.equal(conn, mockConn);
+      assert.equal(4401, code);
       calledCloseCon = true;
     }
 
@@ -316,6 +524,144 @@ describe('Collab Test Suite', () => {
     assert.equal(result, 'Svr content');
     assert(called);
     assert(calledCloseCon);
+    assert.equal(3, sent.length, 'Saving, error and failed messages');
+    assert(new TextDecoder().decode(sent[1]).includes('"code":"ADMIN_UNAUTHORIZED"'));
+    assert.equal('failed', mockYDoc.saveStatus.state);
+    assert.equal(401, mockYDoc.saveStatus.status);
+    assert.equal(null, mockYDoc.saveStatus.retryAt);
+  });
+
+  it('Test persistence update schedules a retry on server error', async () => {
+    const pss = await esmock(
+      '../src/shareddoc.js', {
+        '../src/collab.js': {
+          doc2aem: () => 'Svr content update',
+          findDuplicateIds: () => [],
+        }
+      });
+
+    const mockYDoc = {
+      conns: new Map().set({ auth: 'tok1', readyState: 1, send: () => {} }, new Set()),
+      name: 'http://foo.bar/0/retry.html',
+      saveStatus: { state: 'dirty' },
+    };
+    const storage = mockStorage();
+
+    const puts = [];
+    pss.persistence.put = async (ydoc, content, auth) => {
+      puts.push(auth);
+      return { ok: false, status: 503, statusText: 'Service Unavailable' };
+    };
+
+    const before = Date.now();
+    assert.equal('Svr content', await pss.persistence.update(mockYDoc, 'Svr content', storage));
+    assert.deepStrictEqual(['tok1'], puts);
+    assert.deepStrictEqual({ attempt: 1, auth: 'tok1' }, storage.data.get('saveRetry'));
+    const { retryAt } = mockYDoc.saveStatus;
+    assert.equal('failed', mockYDoc.saveStatus.state);
+    assert(retryAt >= before + 5000 && retryAt <= Date.now() + 5000);
+    assert.equal(retryAt, storage.data.get('alarm_saveRetry'));
+    assert.equal(retryAt, await storage.getAlarm());
+
+    // The delay doubles with every attempt
+    await pss.persistence.update(mockYDoc, 'Svr content', storage);
+    assert.equal(2, storage.data.get('saveRetry').attempt);
+    assert(mockYDoc.saveStatus.retryAt >= before + 10000);
+
+    // A successful save cancels the retry
+    pss.persistence.put = async () => ({ ok: true, status: 200 });
+    await pss.persistence.update(mockYDoc, 'Svr content', storage);
+    assert.equal('saved', mockYDoc.saveStatus.state);
+    assert.equal(0, storage.data.size);
+
+    // Client errors are not retried
+    pss.persistence.put = async () => ({ ok: false, status: 400, statusText: 'Bad Request' });
+    await pss.persistence.update(mockYDoc, 'Svr content', storage);
+    assert.equal(null, mockYDoc.saveStatus.retryAt);
+    assert.equal(0, storage.data.size);
+  });
+
+  it('Test persistence update retries network errors until giving up', async () => {
+    const pss = await esmock(
+      '../src/shareddoc.js', {
+        '../src/collab.js': {
+          doc2aem: () => 'Svr content update',
+          findDuplicateIds: () => [],
+        }
+      });
+
+    const mockYDoc = {
+      conns: new Map().set({ auth: 'tok2', readyState: 1, send: () => {} }, new Set()),
+      name: 'http://foo.bar/0/retry.html',
+      saveStatus: { state: 'dirty' },
+      adminVersion: { etag: '"v1"' },
+    };
+    const storage = mockStorage();
+    pss.persistence.put = async () => { throw new Error('Network error'); };
+
+    await pss.persistence.update(mockYDoc, 'Svr content', storage);
+    assert.deepStrictEqual(
+      { attempt: 1, auth: 'tok2', adminVersion: { etag: '"v1"' } },
+      storage.data.get('saveRetry'),
+    );
+    assert.equal(true, mockYDoc.saveRetryPending);
+
+    storage.data.set('saveRetry', { attempt: 10, auth: 'tok2' });
+    await pss.persistence.update(mockYDoc, 'Svr content', storage);
+    assert.equal(null, mockYDoc.saveStatus.retryAt);
+    assert.equal(false, mockYDoc.saveRetryPending);
+    assert(!storage.data.has('saveRetry'), 'Should have given up');
+  });
+
+  it('Test retrySave', async () => {
+    const pss = await esmock('../src/shareddoc.js');
+    const docName = 'https://admin.da.live/source/foo/retry.html';
+    const storage = mockStorage();
+    const daadmin = {};
+
+    // Nothing to retry
+    pss.persistence.put = async () => assert.fail('Should not save');
+    await pss.retrySave(docName, storage, daadmin);
+
+    // Nothing stored, so nothing to save
+    storage.data.set('saveRetry', { attempt: 1, auth: 'tok3' });
+    await pss.retrySave(docName, storage, daadmin);
+    assert.equal(0, storage.data.size);
+
+    // Nobody has the document open, it's saved from the worker storage
+    const ydoc = new Y.Doc();
+    aem2doc('<main><div><p>Stored</p></div></main>', ydoc);
+    await pss.storeState(docName, Y.encodeStateAsUpdate(ydoc), storage);
+    storage.data.set('saveRetry', { attempt: 1, auth: 'tok3', adminVersion: { etag: '"v2"' } });
+
+    const puts = [];
+    pss.persistence.put = async (yd, content, auth) => {
+      puts.push({ yd, content, auth });
+      return { ok: false, status: 502 };
+    };
+    await pss.retrySave(docName, storage, daadmin);
+    assert.equal(1, puts.length);
+    assert.equal(docName, puts[0].yd.name);
+    assert.equal(daadmin, puts[0].yd.daadmin);
+    assert(puts[0].content.includes('<p>Stored</p>'));
+    assert.equal('tok3', puts[0].auth);
+    assert.deepStrictEqual({ etag: '"v2"' }, puts[0].yd.adminVersion, 'Should be conditional');
+    assert.deepStrictEqual(
+      { attempt: 2, auth: 'tok3', adminVersion: { etag: '"v2"' } },
+      storage.data.get('saveRetry'),
+    );
+
+    pss.persistence.put = async () => ({ ok: true, status: 200 });
+    await pss.retrySave(docName, storage, daadmin);
+    assert(!storage.data.has('saveRetry'));
+    assert(!storage.data.has('alarm_saveRetry'));
+
+    // The document is open, it's saved through the shared ydoc
+    storage.data.set('saveRetry', { attempt: 1, auth: 'tok3' });
+    const shared = { saveNow: async () => puts.push('saveNow') };
+    await pss.retrySave(docName, storage, daadmin, shared);
+    assert.equal('saveNow', puts[1]);
+    assert.equal(true, shared.saveRetryPending);
   });
 
   it('Test invalidateFromAdmin', async () => {
@@ -393,6 +739,141 @@ describe('Collab Test Suite', () => {
     assert.deepStrictEqual(['close'], called);
   });
 
+  it('Test close connection with a close code', async () => {
+    const doc = new WSSharedDoc('http://foo.bar/q/code.html');
+    const closed = [];
+    const conn = { close: (...args) => closed.push(args) };
+    doc.conns.set(conn, new Set());
+
+    closeConn(doc, conn, 4401, 'Unauthorized');
+    assert.deepStrictEqual([[4401, 'Unauthorized']], closed);
+    assert.equal(0, doc.conns.size);
+  });
+
+  it('Test read token refresh message', () => {
+    let encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 6);
+    encoding.writeVarString(encoder, 'Bearer new');
+    assert.equal('Bearer new', readAuthRefresh(encoding.toUint8Array(encoder)));
+
+    encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 1);
+    encoding.writeVarString(encoder, 'Bearer new');
+    assert.equal(null, readAuthRefresh(encoding.toUint8Array(encoder)));
+    assert.equal(null, readAuthRefresh(new Uint8Array([6])));
+  });
+
+  it('Test close last connection saves now', async () => {
+    const doc = new WSSharedDoc('http://foo.bar/q/last.html');
+    let saved = 0;
+    doc.saveNow = () => { saved += 1; };
+
+    const conn1 = { auth: 'tok1', close() {} };
+    const conn2 = { auth: 'tok2', close() {} };
+    doc.conns.set(conn1, new Set());
+    doc.conns.set(conn2, new Set());
+
+    closeConn(doc, conn1);
+    assert.equal(0, saved, 'Document still has a connection');
+    closeConn(doc, conn2);
+    assert.equal(1, saved);
+  });
+
+  it('Test close last connection resolves when saved', async () => {
+    const doc = new WSSharedDoc('http://foo.bar/q/flushed.html');
+    const done = [];
+    doc.saveNow = async () => {
+      await wait(5);
+      done.push('saved');
+    };
+    doc.storeAttribution = async () => {
+      await wait(10);
+      done.push('attribution');
+    };
+    const conn = { close() {} };
+    doc.conns.set(conn, new Set());
+
+    await closeConn(doc, conn);
+    assert.deepStrictEqual(['saved', 'attribution'], done);
+    await closeConn(doc, conn);
+    assert.equal(2, done.length, 'Closing again saves nothing');
+  });
+
+  it('Test reader closing last saves as the last writer', async () => {
+    const pss = await esmock('../src/shareddoc.js');
+    const docName = 'https://admin.da.live/source/foo/lastwriter.html';
+    const ydoc = new pss.WSSharedDoc(docName);
+    pss.setYDoc(docName, ydoc);
+
+    const puts = [];
+    pss.persistence.get = async () => null;
+    pss.persistence.put = async (yd, content, auth) => {
+      puts.push(auth);
+      return { ok: true, status: 200 };
+    };
+    await pss.persistence.bindState(docName, ydoc, {}, mockStorage());
+
+    const mockConn = (auth, readOnly) => ({
+      auth, readOnly, readyState: 1, send() {}, close() {},
+    });
+    const writer = mockConn('writer', false);
+    const reader = mockConn('reader', true);
+    ydoc.conns.set(writer, new Set());
+    ydoc.conns.set(reader, new Set());
+    ydoc.transact(() => aem2doc('<main><div><p>Edited</p></div></main>', ydoc), writer);
+
+    pss.closeConn(ydoc, writer);
+    assert.equal(0, puts.length, 'The reader is still connected');
+    await pss.closeConn(ydoc, reader);
+    assert.deepStrictEqual(['writer'], puts);
+    assert.equal('saved', ydoc.saveStatus.state);
+  });
+
+  it('Test saveNow and discarded documents', async () => {
+    const debounced = [];
+    const pss = await esmock(
+      '../src/shareddoc.js', {
+        'lodash/debounce.js': {
+          default: (f) => {
+            let pending = false;
+            const d = () => { pending = true; };
+            d.flush = async () => {
+              if (pending) {
+                pending = false;
+                debounced.push('flush');
+                await f();
+              }
+            };
+            return d;
+          }
+        }
+      });
+
+    const docName = 'https://admin.da.live/source/foo/savenow.html';
+    const ydoc = new pss.WSSharedDoc(docName);
+    pss.setYDoc(docName, ydoc);
+
+    const puts = [];
+    pss.persistence.get = async () => null;
+    pss.persistence.put = async (yd, content, auth) => {
+      puts.push(auth);
+      return { ok: true, status: 200 };
+    };
+    await pss.persistence.bindState(docName, ydoc, {}, mockStorage());
+
+    const conn = { auth: 'tok1', readyState: 1, send() {} };
+    ydoc.conns.set(conn, new Set());
+    aem2doc('<main><div>changed</div></main>', ydoc);
+    await ydoc.saveNow();
+    assert.deepStrictEqual(['flush'], debounced);
+    assert.deepStrictEqual(['tok1'], puts);
+
+    ydoc.discarded = true;
+    aem2doc('<main><div>changed again</div></main>', ydoc);
+    await ydoc.saveNow();
+    assert.equal(1, puts.length, 'A discarded document should not be saved');
+  });
+
   it('Test bindState read from da-admin', async () => {
     const aem2DocCalled = [];
     const mockAem2Doc = (sc, yd) => aem2DocCalled.push(sc, yd);
@@ -442,15 +923,12 @@ describe('Collab Test Suite', () => {
     const docName = 'http://foobar.com/mydoc.html';
 
     const ydocUpdateCB = [];
-    const testYDoc = new Y.Doc();
+    const testYDoc = new pss.WSSharedDoc(docName);
     testYDoc.on = (ev, f) => { if (ev === 'update') ydocUpdateCB.push(f); }
     pss.setYDoc(docName, testYDoc);
 
-    const called = []
-    const mockStorage = {
-      deleteAll: async () => called.push('deleteAll'),
-      list: async () => new Map(),
-    };
+    const storage = mockStorage();
+    storage.data.set('version_1', { id: 1 });
 
     // When da-admin returns 404, get returns null
     pss.persistence.get = async () => null;
@@ -462,12 +940,12 @@ describe('Collab Test Suite', () => {
     try {
       globalThis.setTimeout = () => setTimeoutCalls.push('setTimeout');
 
-      await pss.persistence.bindState(docName, testYDoc, {}, mockStorage);
+      await pss.persistence.bindState(docName, testYDoc, {}, storage);
     } finally {
       globalThis.setTimeout = savedSetTimeout;
     }
 
-    assert.deepStrictEqual(['deleteAll'], called);
+    assert.deepStrictEqual(['version_1'], [...storage.data.keys()], 'Should have kept the versions');
     assert.equal(0, setTimeoutCalls.length,
       'Should not have called setTimeout as there is no document to restore from da-admin');
 
@@ -519,7 +997,7 @@ describe('Collab Test Suite', () => {
 
   it('Test bindstate falls back to daadmin on worker storage error', async () => {
     const docName = 'https://admin.da.live/source/foo/bar.html';
-    const ydoc = new Y.Doc();
+    const ydoc = new WSSharedDoc(docName);
     setYDoc(docName, ydoc);
 
     const storage = { list: async () => { throw new Error('yikes') } };
@@ -556,7 +1034,7 @@ describe('Collab Test Suite', () => {
     const docName = 'https://admin.da.live/source/foo/bar.html';
     const storage = { list: async () => new Map() };
     const updObservers = [];
-    const ydoc = new Y.Doc();
+    const ydoc = new pss.WSSharedDoc(docName);
     ydoc.on = (ev, fun) => {
       if (ev === 'update') {
         updObservers.push(fun);
@@ -603,6 +1081,66 @@ describe('Collab Test Suite', () => {
     }
   });
 
+  it('Test save status', async () => {
+    const pss = await esmock(
+      '../src/shareddoc.js', {
+        'lodash/debounce.js': {
+          default: (f) => f
+        }
+      });
+
+    const docName = 'https://admin.da.live/source/foo/status.html';
+    const ydoc = new pss.WSSharedDoc(docName);
+    const updObservers = [];
+    ydoc.on = (ev, fun) => {
+      if (ev === 'update') {
+        updObservers.push(fun);
+      }
+    };
+    pss.setYDoc(docName, ydoc);
+
+    const states = [];
+    const conn = {
+      readyState: 1,
+      send(m) {
+        const decoder = decoding.createDecoder(m);
+        if (decoding.readVarUint(decoder) === 5) {
+          states.push(JSON.parse(decoding.readVarString(decoder)).state);
+        }
+      },
+    };
+    ydoc.conns.set(conn, new Set());
+    const storage = {
+      delete: async () => {},
+      get: async () => undefined,
+      list: async () => new Map(),
+      put: async () => {},
+    };
+
+    pss.persistence.get = async () => null;
+    await pss.persistence.bindState(docName, ydoc, conn, storage);
+    assert.equal('saved', ydoc.saveStatus.state);
+
+    let resolvePut;
+    pss.persistence.put = () => new Promise((resolve) => { resolvePut = resolve; });
+    aem2doc('<main><div>new content</div></main>', ydoc);
+    const saving = updObservers[1]();
+    assert.deepStrictEqual(['dirty', 'saving'], states);
+
+    // The document changes while it's being saved
+    pss.setSaveStatus(ydoc, { state: 'dirty' });
+    resolvePut({ ok: true, status: 200 });
+    await saving;
+    assert.deepStrictEqual(['dirty', 'saving', 'dirty'], states, 'Should still be dirty');
+
+    // Saved on the next try
+    pss.persistence.put = async () => ({ ok: true, status: 200 });
+    aem2doc('<main><div>newer content</div></main>', ydoc);
+    await updObservers[1]();
+    assert.deepStrictEqual(['dirty', 'saving', 'dirty', 'saving', 'saved'], states);
+    assert.equal(200, ydoc.saveStatus.status);
+  });
+
   it('test bind to new doc doesnt set empty server content', async () => {
     const docName = 'https://admin.da.live/source/foo.html';
 
@@ -618,10 +1156,7 @@ describe('Collab Test Suite', () => {
     ydoc.daadmin = serviceBinding;
     setYDoc(docName, ydoc);
     const conn = {};
-    const storage = {
-      deleteAll: async () => {},
-      list: async () => new Map(),
-    };
+    const storage = mockStorage();
 
     const setTimeoutCalled = [];
     const savedSetTimeout = globalThis.setTimeout;
@@ -656,15 +1191,10 @@ describe('Collab Test Suite', () => {
     setYDoc(docName, ydoc);
     const conn = {};
 
-    const deleteAllCalled = [];
-    const stored = new Map();
-    stored.set('docstore', new Uint8Array([254, 255]));
-    stored.set('chunks', 17); // should be ignored
-    stored.set('doc', docName);
-    const storage = {
-      deleteAll: async () => deleteAllCalled.push(true),
-      list: async () => stored,
-    };
+    const storage = mockStorage();
+    storage.data.set('docstore', new Uint8Array([254, 255]));
+    storage.data.set('doc', docName);
+    storage.data.set('authors', {});
 
     const setTimeoutCalled = [];
     const savedSetTimeout = globalThis.setTimeout;
@@ -677,7 +1207,7 @@ describe('Collab Test Suite', () => {
       };
 
       await persistence.bindState(docName, ydoc, conn, storage);
-      assert.deepStrictEqual([true], deleteAllCalled);
+      assert.deepStrictEqual(['authors'], [...storage.data.keys()], 'Should have deleted the state only');
       assert.equal(1, setTimeoutCalled.length, 'SetTimeout should have been called to update the doc');
     } finally {
       globalThis.setTimeout = savedSetTimeout;
@@ -688,7 +1218,7 @@ describe('Collab Test Suite', () => {
     const docName = 'https://admin.da.live/source/foo/bar.html';
 
     const updObservers = [];
-    const ydoc = new Y.Doc();
+    const ydoc = new WSSharedDoc(docName);
     // mock out the 'on' function on the ydoc
     ydoc.on = (ev, fun) => {
       if (ev === 'update') {
@@ -700,7 +1230,8 @@ describe('Collab Test Suite', () => {
     const conn = {};
     const called = [];
     const storage = {
-      deleteAll: async () => called.push('deleteAll'),
+      delete: async (keys) => called.push(keys),
+      get: async () => undefined,
       list: async () => new Map(),
       put: async (obj) => called.push(obj)
     };
@@ -725,7 +1256,7 @@ describe('Collab Test Suite', () => {
 
       // check that it was stored
       assert.equal(2, called.length);
-      assert.equal('deleteAll', called[0]);
+      assert.deepStrictEqual(['doc', 'docstore', 'chunks', 'updates'], called[0]);
 
       const ydoc2 = new Y.Doc();
       Y.applyUpdate(ydoc2, called[1].docstore);
@@ -738,6 +1269,71 @@ describe('Collab Test Suite', () => {
     }
   });
 
+  it('test update log in worker storage', async () => {
+    const docName = 'https://admin.da.live/source/foo/log.html';
+
+    const updObservers = [];
+    const ydoc = new Y.Doc();
+    ydoc.on = (ev, fun) => {
+      if (ev === 'update') {
+        updObservers.push(fun);
+      }
+    };
+    setYDoc(docName, ydoc);
+
+    const data = new Map();
+    const puts = [];
+    const storage = {
+      delete: async (keys) => keys.forEach((k) => data.delete(k)),
+      get: async (key) => data.get(key),
+      list: async () => new Map(data),
+      put: async (obj) => {
+        puts.push(Object.keys(obj));
+        Object.entries(obj).forEach(([k, v]) => data.set(k, v));
+      },
+    };
+
+    const savedGet = persistence.get;
+    try {
+      persistence.get = async () => null;
+      await persistence.bindState(docName, ydoc, {}, storage);
+
+      const change = (i) => {
+        const sv = Y.encodeStateVector(ydoc);
+        ydoc.getMap('yah').set(`k${i}`, i);
+        return Y.encodeStateAsUpdate(ydoc, sv);
+      };
+
+      // The first update stores the full state, the next ones are appended to the log
+      await updObservers[0](change(0));
+      await Promise.all([updObservers[0](change(1)), updObservers[0](change(2))]);
+      assert.deepStrictEqual([
+        ['docstore', 'doc'],
+        ['updates', 'update_0'],
+        ['updates', 'update_1'],
+      ], puts);
+
+      const restored = new Y.Doc();
+      Y.applyUpdate(restored, await readState(docName, storage));
+      assert.deepStrictEqual({ k0: 0, k1: 1, k2: 2 }, restored.getMap('yah').toJSON());
+
+      // The log is compacted when it gets too long
+      for (let i = 3; i < 102; i += 1) {
+        await updObservers[0](change(i));
+      }
+      assert.deepStrictEqual(['docstore', 'doc'], puts[puts.length - 1]);
+      assert.equal(undefined, data.get('updates'));
+      assert.equal(undefined, data.get('update_0'));
+
+      const compacted = new Y.Doc();
+      Y.applyUpdate(compacted, await readState(docName, storage));
+      assert.equal(102, compacted.getMap('yah').size);
+    } finally {
+      persistence.get = savedGet;
+      invalidateFromAdmin(docName);
+    }
+  });
+
   it('Test getYDoc', async () => {
     const savedBS = persistence.bindState;
 
@@ -831,10 +1427,8 @@ describe('Collab Test Suite', () => {
       }
 
       const docName = 'https://somewhere.com/somedoc.html';
-      const eventListeners = new Map();
       const closeCalls = [];
       const mockConn = {
-        addEventListener(msg, fun) { eventListeners.set(msg, fun); },
         close() { closeCalls.push('close'); },
         readyState: 1, // wsReadyStateOpen
         send() {}
@@ -845,7 +1439,6 @@ describe('Collab Test Suite', () => {
       const storage = { foo: 'bar' };
 
       assert.equal(0, bindCalls.length, 'Precondition');
-      assert.equal(0, eventListeners.size, 'Precondition');
       await setupWSConnection(mockConn, docName, env, storage);
 
       assert.equal('arraybuffer', mockConn.binaryType);
@@ -856,19 +1449,56 @@ describe('Collab Test Suite', () => {
       assert.equal(mockConn, bindCalls[0].c);
       assert.deepStrictEqual(storage, bindCalls[0].s)
 
-      const closeLsnr = eventListeners.get('close');
-      assert(closeLsnr);
-      const messageLsnr = eventListeners.get('message');
-      assert(messageLsnr);
-
-      assert.equal(0, closeCalls.length, 'Should not yet have recorded any close calls');
-      closeLsnr();
+      assert(bindCalls[0].d.conns.has(mockConn), 'Connection should be registered');
+      assert.equal(0, closeCalls.length, 'Should not have recorded any close calls');
+      closeConn(bindCalls[0].d, mockConn);
       assert.deepStrictEqual(['close'], closeCalls);
     } finally {
       persistence.bindState = savedBind;
     }
   });
 
+  it('Test restoreWSConnection', async () => {
+    const savedBind = persistence.bindState;
+
+    try {
+      const bindCalls = [];
+      persistence.bindState = async (nm, d, c) => {
+        bindCalls.push({ nm, d, c });
+        return new Map();
+      };
+
+      const docName = 'https://somewhere.com/hibernated.html';
+      const mockConn = (auth) => {
+        const conn = {
+          auth, readyState: 1, sent: [], send: (m) => conn.sent.push(m), close() {},
+        };
+        return conn;
+      };
+      const conn1 = mockConn('auth1');
+      const conn2 = mockConn('auth2');
+      const env = { daadmin: {} };
+
+      const doc = await restoreWSConnection(conn1, docName, env, {}, [123, 456]);
+      assert.equal(doc, findYDoc(docName));
+      assert.equal(false, doc.gc);
+      assert.deepStrictEqual(new Set([123, 456]), doc.conns.get(conn1));
+      assert.deepStrictEqual([0, 0], [...conn1.sent[0].slice(0, 2)], 'Should send sync step 1');
+
+      const doc2 = await restoreWSConnection(conn2, docName, env, {});
+      assert.equal(doc, doc2);
+      assert.deepStrictEqual(new Set(), doc.conns.get(conn2));
+      assert.equal(1, bindCalls.length, 'The ydoc should only be rebuilt once');
+      assert.equal(conn1, bindCalls[0].c);
+
+      closeConn(doc, conn1);
+      closeConn(doc, conn2);
+      assert.equal(undefined, findYDoc(docName));
+    } finally {
+      persistence.bindState = savedBind;
+    }
+  });
+
   it('Test setupWSConnection sync step 1', async () => {
     const savedBind = persistence.bindState;
 
@@ -879,7 +1509,6 @@ describe('Collab Test Suite', () => {
       const closeCalls = [];
       const sendCalls = [];
       const mockConn = {
-        addEventListener() {},
         close() { closeCalls.push('close'); },
         readyState: 1, // wsReadyStateOpen
         send(m, e) { sendCalls.push({m, e}); }
@@ -899,9 +1528,11 @@ describe('Collab Test Suite', () => {
       await setupWSConnection(mockConn, docName, {}, {});
 
       assert.equal(0, closeCalls.length);
-      assert.equal(2, sendCalls.length);
+      assert.equal(3, sendCalls.length);
       assert.deepStrictEqual([0, 0, 1, 0], Array.from(sendCalls[0].m));
       assert(isSubArray(sendCalls[1].m, getAsciiChars('blahblahblah')));
+      assert(isSubArray(sendCalls[2].m, getAsciiChars('{"state":"saved"}')),
+        'The save status should be sent');
     } finally {
       persistence.bindState = savedBind;
     }
@@ -930,6 +1561,52 @@ describe('Collab Test Suite', () => {
     }
   });
 
+  it('Test message listener read-only', () => {
+    const connSent = [];
+    const conn = {
+      readOnly: true,
+      readyState: 1, // wsReadyStateOpen
+      send(m) { connSent.push(m); },
+    };
+
+    const doc = new Y.Doc();
+    doc.getMap('foo').set('bar', 'hello');
+
+    const client = new Y.Doc();
+    Y.applyUpdate(client, Y.encodeStateAsUpdate(doc));
+    const syncMessage = (type, data) => {
+      const encoder = encoding.createEncoder();
+      encoding.writeVarUint(encoder, 0); // messageSync
+      encoding.writeVarUint(encoder, type);
+      encoding.writeVarUint8Array(encoder, data);
+      return encoding.toUint8Array(encoder);
+    };
+
+    // Sync step 1 is answered with the document state
+    messageListener(conn, doc, syncMessage(0, Y.encodeStateVector(new Y.Doc())));
+    assert.equal(1, connSent.length);
+    assert(isSubArray(connSent[0], new Uint8Array(getAsciiChars('hello'))));
+
+    // Sync step 2 without new content is accepted silently
+    messageListener(conn, doc, syncMessage(1, Y.encodeStateAsUpdate(client)));
+    assert.equal(1, connSent.length);
+
+    // Updates are rejected with a permission denied message to this connection
+    const sv = Y.encodeStateVector(client);
+    client.getMap('foo').set('bar', 'changed');
+    const update = Y.encodeStateAsUpdate(client, sv);
+    messageListener(conn, doc, syncMessage(2, update));
+    messageListener(conn, doc, syncMessage(1, Y.encodeStateAsUpdate(client)));
+    assert.equal(3, connSent.length);
+    [connSent[1], connSent[2]].forEach((m) => {
+      const decoder = decoding.createDecoder(m);
+      assert.equal(2, decoding.readVarUint(decoder), 'messageAuth');
+      assert.equal(0, decoding.readVarUint(decoder), 'permission denied');
+      assert(decoding.readVarString(decoder).includes('read-only'));
+    });
+    assert.equal('hello', doc.getMap('foo').get('bar'), 'Document should not be changed');
+  });
+
   it('Test message listener awareness', () => {
     // A fabricated message
     const message = [
@@ -961,6 +1638,7 @@ describe('Collab Test Suite', () => {
     doc.emit = (t, e) => docEmitted.push({t, e});
 
     const conn = {};
+    doc.conns = new Map().set(conn, new Set());
     messageListener(conn, doc, new Uint8Array(message));
 
     assert(awarenessEmitted.length > 0);
@@ -991,20 +1669,16 @@ describe('Collab Test Suite', () => {
 
   it('readState doc mismatch', async () => {
     const docName = 'http://foo.bar/doc123.html';
-    const stored = new Map();
-    stored.set('docstore', new Uint8Array([254, 255]));
-    stored.set('chunks', 17); // should be ignored
-    stored.set('doc', 'http://foo.bar/doc456.html');
-
-    const storageCalled = [];
-    const storage = {
-      list: async () => stored,
-      deleteAll: async () => storageCalled.push('deleteAll'),
-    };
+    const storage = mockStorage();
+    storage.data.set('docstore', new Uint8Array([254, 255]));
+    storage.data.set('updates', 1);
+    storage.data.set('update_0', new Uint8Array([1]));
+    storage.data.set('doc', 'http://foo.bar/doc456.html');
+    storage.data.set('alarm_versions', 42);
 
     const data = await readState(docName, storage);
     assert.equal(data, undefined);
-    assert.deepStrictEqual(['deleteAll'], storageCalled);
+    assert.deepStrictEqual(['alarm_versions'], [...storage.data.keys()]);
   });
 
   it('readState chunked', async () => {
@@ -1026,31 +1700,87 @@ describe('Collab Test Suite', () => {
 
     const called = [];
     const storage = {
-      deleteAll: async () => called.push('deleteAll'),
+      delete: async (keys) => called.push(keys),
+      get: async (key) => (key === 'chunks' ? 2 : undefined),
       put: (obj) => called.push(obj)
     };
 
     await storeState(docName, state, storage, 10);
 
     assert.equal(2, called.length);
-    assert.equal('deleteAll', called[0]);
+    assert.deepStrictEqual(['doc', 'docstore', 'chunks', 'updates', 'chunk_0', 'chunk_1'], called[0],
+      'Should only delete the previous state');
     assert.deepStrictEqual(state, called[1].docstore);
     assert.equal(docName, called[1].doc);
   });
 
+  it('storeState deletes many chunks in batches', async () => {
+    const called = [];
+    const storage = {
+      delete: async (keys) => called.push(keys),
+      get: async (key) => (key === 'chunks' ? 127 : undefined),
+      put: () => {}
+    };
+
+    await storeState('somedoc', new Uint8Array([1]), storage);
+
+    assert.equal(2, called.length);
+    assert.equal(128, called[0].length);
+    assert.deepStrictEqual(['chunk_124', 'chunk_125', 'chunk_126'], called[1]);
+  });
+
+  it('readState ignores other stored data', async () => {
+    const stored = new Map();
+    stored.set('version_123', { id: 123 });
+
+    const storage = { list: async () => stored };
+
+    const data = await readState('mydoc', storage);
+    assert.equal(data, undefined);
+  });
+
+  it('Test loadYDoc', async () => {
+    const docName = 'https://admin.da.live/source/load/me.html';
+    const testDoc = new Y.Doc();
+    testDoc.getMap('foo').set('bar', 'from storage');
+
+    const stored = new Map();
+    stored.set('docstore', Y.encodeStateAsUpdate(testDoc));
+    stored.set('doc', docName);
+    const storage = { list: async () => stored };
+
+    const restored = await loadYDoc(docName, storage);
+    assert.equal('from storage', restored.getMap('foo').get('bar'));
+    assert.equal(false, restored.gc, 'Restored docs should support snapshots');
+    assert.equal(undefined, findYDoc(docName), 'Restored doc should not be shared');
+
+    const liveDoc = new WSSharedDoc(docName);
+    setYDoc(docName, liveDoc);
+    try {
+      assert.equal(liveDoc, await loadYDoc(docName, storage));
+      assert.equal(liveDoc, findYDoc(docName));
+    } finally {
+      invalidateFromAdmin(docName);
+    }
+
+    const empty = { list: async () => new Map() };
+    assert.equal(undefined, await loadYDoc('https://admin.da.live/none.html', empty));
+  });
+
   it('storeState chunked', async () => {
     const state = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9]);
 
     const called = [];
     const storage = {
-      deleteAll: async () => called.push('deleteAll'),
+      delete: async (keys) => called.push(keys),
+      get: async () => undefined,
       put: (obj) => called.push(obj)
     };
 
     await storeState('somedoc', state, storage, 4);
 
     assert.equal(2, called.length);
-    assert.equal('deleteAll', called[0]);
+    assert.deepStrictEqual(['doc', 'docstore', 'chunks', 'updates'], called[0]);
     assert.equal(3, called[1].chunks);
     assert.equal('somedoc', called[1].doc);
     assert.deepStrictEqual(new Uint8Array([1, 2, 3, 4]), called[1].chunk_0);
@@ -1058,24 +1788,63 @@ describe('Collab Test Suite', () => {
     assert.deepStrictEqual(new Uint8Array([9]), called[1].chunk_2);
   });
 
-  it('Test showError', () => {
-    const errorMap = new Map();
-    const called = [];
-    const mockYDoc = {
-      getMap(nm) { return nm === 'error' ? errorMap : null; },
-      transact(f) {
-        called.push('transact');
-        f();
-      }
+  it('storeState too large', async () => {
+    const storage = {
+      delete: async () => {},
+      get: async () => undefined,
+      put: async () => assert.fail('Should not store'),
     };
 
-    let error = new Error('foo');
+    await assert.rejects(storeState('somedoc', new Uint8Array(200), storage, 1),
+      { code: 'STORAGE_TOO_LARGE' });
+  });
 
-    showError(mockYDoc, error);
-    assert.equal('foo', errorMap.get('message'));
-    assert(errorMap.get('timestamp') > 0);
-    assert(errorMap.get('stack').includes('shareddoc.test.js'),
-      'The stack trace should contain the name of this test file');
-    assert.deepStrictEqual(['transact'], called);
-  })
+  it('Test message listener error is sent to the connection', () => {
+    const sent = [];
+    const conn = { readyState: 1, send: (m) => sent.push(m) };
+    const other = { readyState: 1, send: () => assert.fail('Should not be sent to others') };
+    const doc = new WSSharedDoc('https://admin.da.live/invalid.html');
+    doc.conns.set(conn, new Set());
+    doc.conns.set(other, new Set());
+
+    // An awareness message with an invalid awareness update
+    messageListener(conn, doc, new Uint8Array([1, 3, 1, 2, 3]));
+    assert.equal(1, sent.length);
+    const decoder = decoding.createDecoder(sent[0]);
+    assert.equal(4, decoding.readVarUint(decoder), 'messageError');
+    assert.equal('PARSE_FAILED', JSON.parse(decoding.readVarString(decoder)).code);
+  });
+
+  it('Test sendError', () => {
+    const doc = new WSSharedDoc('https://admin.da.live/error.html');
+    const sent = [];
+    const mockConn = (name) => ({
+      readyState: 1, // wsReadyStateOpen
+      send(m) { sent.push({ name, m }); },
+    });
+    const conn1 = mockConn('conn1');
+    const conn2 = mockConn('conn2');
+    doc.conns.set(conn1, new Set());
+    doc.conns.set(conn2, new Set());
+
+    const readError = (m) => {
+      const decoder = decoding.createDecoder(m);
+      assert.equal(4, decoding.readVarUint(decoder), 'messageError');
+      return JSON.parse(decoding.readVarString(decoder));
+    };
+
+    sendError(doc, errorCodes.SAVE_FAILED, new Error('foo'));
+    assert.deepStrictEqual(['conn1', 'conn2'], sent.map((s) => s.name));
+    const error = readError(sent[0].m);
+    assert.equal('SAVE_FAILED', error.code);
+    assert.equal('foo', error.message);
+    assert(error.timestamp > 0);
+    assert.equal(undefined, error.stack, 'The stack trace should not be sent');
+
+    sendError(doc, errorCodes.PARSE_FAILED, new Error('bar'), conn2);
+    assert.equal(3, sent.length);
+    assert.equal('conn2', sent[2].name);
+    assert.equal('PARSE_FAILED', readError(sent[2].m).code);
+    assert.equal(0, doc.getMap('error').size, 'Errors should not be stored in the document');
+  });
 });
@@ -0,0 +1,143 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import * as Y from 'yjs';
+
+import { aem2doc, doc2aem } from '../src/collab.js';
+import {
+  createScheduledVersion, createVersion, getVersion, listVersions, restoreVersion,
+  scheduleVersions, VERSION_INTERVAL,
+} from '../src/versions.js';
+import { mockStorage } from './mocks/helpers.js';
+
+function html(content) {
+  return `
+<body>
+  <header></header>
+  <main><div>${content}</div></main>
+  <footer></footer>
+</body>
+`;
+}
+
+describe('Versions test suite', () => {
+  it('Test create and list versions', async () => {
+    const storage = mockStorage();
+    const ydoc = new Y.Doc({ gc: false });
+    aem2doc(html('<p>Hello</p>'), ydoc);
+
+    assert.deepStrictEqual([], await listVersions(storage));
+
+    const v1 = await createVersion(ydoc, storage, 'First');
+    const v2 = await createVersion(ydoc, storage);
+    assert(v2.id > v1.id, 'Version ids should be unique');
+
+    const versions = await listVersions(storage);
+    assert.equal(2, versions.length);
+    assert.deepStrictEqual(v2, versions[0], 'Newest first');
+    assert.deepStrictEqual(v1, versions[1]);
+    assert.equal('First', v1.label);
+    assert.equal(null, v2.label);
+    assert.equal(false, v1.auto);
+    assert(v1.created > 0);
+    assert.equal(undefined, versions[0].snapshot, 'Snapshot should not be listed');
+  });
+
+  it('Test get version', async () => {
+    const storage = mockStorage();
+    const ydoc = new Y.Doc({ gc: false });
+    aem2doc(html('<p>Hello</p>'), ydoc);
+    const v1 = await createVersion(ydoc, storage);
+
+    const rootType = ydoc.getXmlFragment('prosemirror');
+    rootType.delete(0, rootType.length);
+    aem2doc(html('<p>Goodbye</p>'), ydoc);
+    assert(doc2aem(ydoc).includes('Goodbye'), 'Precondition');
+
+    assert.equal(html('<p>Hello</p>'), await getVersion(ydoc, storage, v1.id));
+    assert.equal(null, await getVersion(ydoc, storage, 42));
+  });
+
+  it('Test restore version', async () => {
+    const storage = mockStorage();
+    const ydoc = new Y.Doc({ gc: false });
+    aem2doc(html('<p>Hello</p><p>World</p>'), ydoc);
+    const v1 = await createVersion(ydoc, storage);
+
+    // Another client follows the document
+    const client = new Y.Doc();
+    Y.applyUpdate(client, Y.encodeStateAsUpdate(ydoc));
+    ydoc.on('update', (update) => Y.applyUpdate(client, update));
+
+    const rootType = ydoc.getXmlFragment('prosemirror');
+    rootType.delete(1, 1);
+    aem2doc(html('<p>Hello</p><p>Everyone</p>'), ydoc);
+    assert.equal(html('<p>Hello</p><p>Everyone</p>'), doc2aem(ydoc), 'Precondition');
+
+    assert(await restoreVersion(ydoc, storage, v1.id));
+    assert.equal(html('<p>Hello</p><p>World</p>'), doc2aem(ydoc));
+    assert.equal(html('<p>Hello</p><p>World</p>'), doc2aem(client),
+      'Restore should be sent as an update');
+
+    const versions = await listVersions(storage);
+    assert.equal(2, versions.length);
+    assert.equal(`Before restoring version ${v1.id}`, versions[0].label);
+    assert.equal(html('<p>Hello</p><p>Everyone</p>'), await getVersion(ydoc, storage, versions[0].id));
+
+    assert.equal(false, await restoreVersion(ydoc, storage, 42));
+  });
+
+  it('Test scheduled version only when changed', async () => {
+    const storage = mockStorage();
+    const ydoc = new Y.Doc({ gc: false });
+    aem2doc(html('<p>Hello</p>'), ydoc);
+
+    const v1 = await createScheduledVersion(ydoc, storage);
+    assert.equal(true, v1.auto);
+    assert.equal(null, await createScheduledVersion(ydoc, storage),
+      'No new version if the document was not changed');
+
+    ydoc.getXmlFragment('prosemirror').delete(0, 1);
+    const v2 = await createScheduledVersion(ydoc, storage);
+    assert(v2.id > v1.id);
+    assert.equal(2, (await listVersions(storage)).length);
+  });
+
+  it('Test automatic versions are pruned', async () => {
+    const storage = mockStorage();
+    const ydoc = new Y.Doc({ gc: false });
+    aem2doc(html('<p>Hello</p>'), ydoc);
+
+    await createVersion(ydoc, storage, 'Keep me');
+    for (let i = 0; i < 100; i += 1) {
+      await createVersion(ydoc, storage, null, true);
+    }
+
+    const versions = await listVersions(storage);
+    assert.equal(97, versions.length);
+    assert.equal(96, versions.filter((v) => v.auto).length);
+    assert.equal('Keep me', versions[96].label, 'Named version should not be pruned');
+  });
+
+  it('Test schedule versions', async () => {
+    const storage = mockStorage();
+
+    const before = Date.now();
+    await scheduleVersions(storage);
+    const alarm = await storage.getAlarm();
+    assert(alarm >= before + VERSION_INTERVAL);
+
+    await storage.setAlarm(12345);
+    await scheduleVersions(storage);
+    assert.equal(12345, await storage.getAlarm(), 'Existing alarm should be kept');
+  });
+});